@@ -1,68 +1,51 @@
 /**
  * Wayfinder Bridge Test Interface
- * JavaScript logic for interacting with CantonBridge on Sepolia
+ * Browser UI for the CantonBridge SDK (see sdk/)
  */
 
-// =============================================================================
-// ABI Definitions
-// =============================================================================
-
-const BRIDGE_ABI = [
-    // Core deposit/withdrawal functions
-    "function depositToCanton(address token, uint256 amount, bytes32 cantonRecipient) returns (uint256 nonce)",
-    "function executeLargeWithdrawal(bytes32 withdrawalId)",
-    "function cancelLargeWithdrawal(bytes32 withdrawalId)",
-
-    // View functions
-    "function getLockedBalance(address token) view returns (uint256)",
-    "function isTokenRegistered(address token) view returns (bool)",
-    "function processedWithdrawals(bytes32) view returns (bool)",
-    "function queuedWithdrawals(bytes32) view returns (address token, uint256 amount, address recipient, uint256 executeAfter)",
-    "function timeLockDelay() view returns (uint256)",
-    "function depositNonces(address) view returns (uint256)",
-    "function registeredTokens(address) view returns (bool)",
-    "function lockedBalances(address) view returns (uint256)",
-    "function largeWithdrawalThresholds(address) view returns (uint256)",
-
-    // Rate limit functions (from RateLimiter)
-    "function getRateLimit(address token) view returns (uint256 maxAmount, uint256 period, uint256 lastReset, uint256 usedAmount)",
-    "function getRemainingRateLimit(address token) view returns (uint256)",
-
-    // Events
-    "event DepositToCanton(address indexed token, address indexed sender, uint256 amount, bytes32 indexed cantonRecipient, uint256 nonce)",
-    "event WithdrawalFromCanton(address indexed token, address indexed recipient, uint256 amount, bytes32 indexed cantonSender, bytes32 withdrawalId)",
-    "event WithdrawalProcessed(bytes32 indexed withdrawalId, bool success)",
-    "event LargeWithdrawalQueued(bytes32 indexed withdrawalId, address indexed token, uint256 amount, uint256 executeAfter)",
-    "event LargeWithdrawalCancelled(bytes32 indexed withdrawalId)",
-    "event TokenRegistered(address indexed token, string symbol, bytes32 indexed cantonTokenId, bool isNative)",
-    "event TokenDeregistered(address indexed token)",
-    "event BridgePaused(address indexed by)",
-    "event BridgeUnpaused(address indexed by)",
-    "event RateLimitSet(address indexed token, uint256 amount, uint256 period)",
-    "event EmergencyWithdrawal(address indexed token, uint256 amount, address indexed recipient)"
-];
-
-const ERC20_ABI = [
-    "function approve(address spender, uint256 amount) returns (bool)",
-    "function allowance(address owner, address spender) view returns (uint256)",
-    "function balanceOf(address account) view returns (uint256)",
-    "function symbol() view returns (string)",
-    "function name() view returns (string)",
-    "function decimals() view returns (uint8)",
-    "function totalSupply() view returns (uint256)",
-    "function mint(address to, uint256 amount)"
-];
-
-// =============================================================================
-// Configuration
-// =============================================================================
-
-const CONFIG = {
-    rpcUrl: 'https://eth-sepolia.g.alchemy.com/v2/MeMdx3uk0ZFuSy2YFs0VAGjG7gXf0wJP',
-    bridgeAddress: '0x523a865Bf51d93df22Fb643e6BDE2F66438e32c2',
-    chainId: 11155111,
-    explorerUrl: 'https://sepolia.etherscan.io'
-};
+import {
+    ADMIN_ACTIONS,
+    BRIDGE_ROLES,
+    BridgeClient,
+    CONFIG,
+    CantonEventExplorer,
+    DEFAULT_NETWORK,
+    EventIndex,
+    STAGE_LABELS,
+    TRANSFER_EVENTS,
+    TransferTracker,
+    TxManager,
+    WALLETCONNECT_ID,
+    WalletConnectConnector,
+    WalletRegistry,
+    applyNetwork,
+    applyTokenList,
+    computeFingerprint,
+    ethers,
+    formatFee,
+    formatGwei,
+    formatTokenAmount,
+    isBytes32,
+    matchesHistoryFilter,
+    mergeNetworks,
+    pairingQrCode,
+    parseTokenList,
+    RateLimitMonitor,
+    Reconciler,
+    REGISTRY_ACTIONS,
+    reportToCsv,
+    reportToJson,
+    resolveNetwork,
+    summaryToCsv,
+    toAddChainParams,
+    toHexChainId
+} from './sdk/index.js';
+
+// localStorage keys
+const STORAGE_NETWORK = 'cantonBridge.network';
+const STORAGE_USER_NETWORKS = 'cantonBridge.userNetworks';
+const STORAGE_TOKEN_LIST = 'cantonBridge.tokenList';
+const STORAGE_WALLET = 'cantonBridge.wallet';
 
 // =============================================================================
 // Activity Logger Class
@@ -145,7 +128,7 @@ class ActivityLogger {
         }
         if (typeof details === 'object') {
             try {
-                const str = JSON.stringify(details, null, 2);
+                const str = JSON.stringify(details, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
                 // Truncate long values
                 return this.escapeHtml(str.length > 500 ? str.slice(0, 500) + '...' : str);
             } catch {
@@ -158,7 +141,8 @@ class ActivityLogger {
     escapeHtml(str) {
         const div = document.createElement('div');
         div.textContent = str;
-        return div.innerHTML;
+        // innerHTML leaves quotes alone; escape them for attribute values
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     trimLogs() {
@@ -184,30 +168,102 @@ class ActivityLogger {
 // Bridge Interface Class
 // =============================================================================
 
+// Configuration form input per profile field
+const CONFIG_FORM_FIELDS = {
+    rpcUrl: 'rpc-url',
+    bridgeAddress: 'bridge-address',
+    registryAddress: 'registry-address',
+    chainId: 'chain-id',
+    explorerUrl: 'explorer-url',
+    walletConnectProjectId: 'walletconnect-project-id',
+    apiUrl: 'api-url',
+    relayerUrl: 'relayer-url',
+    cantonEventsUrl: 'canton-events-url'
+};
+
+// Token picker select -> address input it fills
+const TOKEN_PICKERS = {
+    'token-picker': 'token-address',
+    'query-token-picker': 'query-token',
+    'admin-token-picker': 'admin-token'
+};
+
+// BRIDGE_ROLES / REGISTRY_ROLES key -> flag returned by getRoles() / getRegistryRoles()
+const ROLE_FLAGS = {
+    DEFAULT_ADMIN: 'defaultAdmin',
+    ADMIN: 'admin',
+    PAUSER: 'pauser',
+    RELAYER: 'relayer',
+    REGISTRAR: 'registrar'
+};
+
+// Confirmation prompt title per admin action
+const ADMIN_ACTION_LABELS = {
+    registerToken: 'Register token',
+    deregisterToken: 'Deregister token',
+    setTokenRateLimit: 'Set rate limit',
+    setLargeWithdrawalThreshold: 'Set large withdrawal threshold',
+    setTimeLockDelay: 'Set time lock delay',
+    pause: 'Pause the bridge',
+    unpause: 'Unpause the bridge',
+    emergencyWithdraw: 'Emergency withdraw'
+};
+
+// Event log CSS class per bridge event
+const EVENT_CLASSES = {
+    DepositToCanton: 'deposit',
+    WithdrawalFromCanton: 'withdrawal',
+    WithdrawalProcessed: 'processed',
+    LargeWithdrawalQueued: 'queued',
+    LargeWithdrawalCancelled: 'cancelled',
+    TokenRegistered: 'deposit'
+};
+
+// Bridge events that change the withdrawal queue
+const QUEUE_EVENTS = ['LargeWithdrawalQueued', 'LargeWithdrawalCancelled', 'WithdrawalProcessed'];
+
+// TokenTransferEvent records per Canton history page
+const CANTON_HISTORY_PAGE_SIZE = 10;
+
+// Events per Canton event explorer page
+const CANTON_EXPLORER_PAGE_SIZE = 20;
+
 class BridgeInterface {
     constructor() {
+        this.client = null;  // Headless BridgeClient, recreated on init()
+        this.tracker = null;  // Transfer tracker bound to the current client
+        this.txManager = null;  // Submitted transactions of the current client, for speed-up and cancel
+        this.eventIndex = null;  // Cached bridge events for the current client
+        this.rateLimits = null;  // RateLimitMonitor for the current client
+        this.networks = {};  // Available network profiles by key
+        this.tokens = [];  // Active registry tokens with token list metadata
+        this.queuedWithdrawals = [];  // Large withdrawals waiting out the time lock
+        this.cantonHistoryCursors = [null];  // Cursor of each Canton history page seen so far
+        this.cantonHistoryPage = 0;
+        this.cantonExplorer = null;  // CantonEventExplorer for the current client and source
+        this.explorerCursors = [null];  // Cursor of each explorer page seen so far
+        this.explorerPage = 0;
+        this.roles = {};  // Bridge roles of the connected account
+        this.registryRoles = {};  // TokenRegistry roles of the connected account
+        this.registryOverview = null;  // Registry tokens, chains and drift, once loaded
+        this.roleMembers = [];  // RoleMembership list of the contract picked in Role Members
         this.provider = null;
         this.signer = null;
-        this.bridge = null;
-        this.readProvider = null;
-        this.readBridge = null;
-        this.isListening = false;
         this.eventCount = 0;
+        this.historyScan = null;  // AbortController of the running history scan
+        this.reconciliation = null;  // AbortController of the running reconciliation
+        this.reconciliationReport = null;  // Last ReconciliationReport, for download
         this.userFingerprint = null;  // Cached fingerprint after registration
         this.logger = new ActivityLogger('activity-log');
-        this.ethereum = null;  // Store MetaMask provider reference for event handling
+        this.wallets = new WalletRegistry();  // EIP-6963 and window.ethereum wallets
+        this.walletConnect = null;  // WalletConnectConnector, created on first use
+        this.walletConnectCancel = null;  // Rejects the pairing in progress
+        this.wallet = null;  // WalletEntry of the connected wallet
+        this.ethereum = null;  // EIP-1193 provider of the connected wallet
+        this.listenedProvider = null;  // Provider the account/chain listeners are attached to
         this.isConnected = false;
     }
 
-    /**
-     * Compute fingerprint from EVM address (keccak256 hash).
-     * This matches the server-side computation in auth/evm.go
-     */
-    computeFingerprint(address) {
-        // keccak256 of the address bytes (ethers handles the conversion)
-        return ethers.keccak256(address);
-    }
-
     /**
      * Truncate a long hex string for display.
      * Shows first N and last M characters with ellipsis in between.
@@ -235,9 +291,25 @@ class BridgeInterface {
     }
 
     async init() {
-        // Initialize read-only provider for event listening
-        this.readProvider = new ethers.JsonRpcProvider(CONFIG.rpcUrl);
-        this.readBridge = new ethers.Contract(CONFIG.bridgeAddress, BRIDGE_ABI, this.readProvider);
+        // (Re)create the SDK client for the current configuration
+        if (this.client) this.client.stopEventListening();
+        this.client = new BridgeClient({
+            config: CONFIG,
+            signer: this.signer,
+            confirmTx: (request) => this.confirmTxFee(request)
+        });
+        this.bindClient(this.client);
+        this.initEventIndex();
+        this.initRateLimits();
+        this.initTxManager();
+
+        // Role holders and registry tokens belong to the previous network's contracts
+        this.registryOverview = null;
+        document.getElementById('registry-tokens').innerHTML =
+            '<div class="empty-state" style="padding: 20px;">Click Refresh to compare registry and bridge tokens</div>';
+        this.roleMembers = [];
+        document.getElementById('role-members').innerHTML =
+            '<div class="empty-state" style="padding: 20px;">Click Refresh to rebuild role holders from RoleGranted/RoleRevoked logs</div>';
 
         // Update UI
         document.getElementById('bridge-addr-display').textContent =
@@ -245,26 +317,88 @@ class BridgeInterface {
 
         this.logger.info('Bridge interface initialized');
         this.logger.info(`Bridge: ${CONFIG.bridgeAddress.slice(0, 10)}...`);
-        this.logger.info(`Chain ID: ${CONFIG.chainId} (Sepolia)`);
+        this.logger.info(`Chain ID: ${CONFIG.chainId} (${CONFIG.name})`);
+
+        // Populate token pickers and resume tracked transfers in the background
+        this.loadTokens();
+        this.initTracker();
+        this.refreshQueuedWithdrawals();
+        this.loadRoles();
+        this.refreshAdminState();
 
         // Expose to window for clear button
         window.bridgeInterface = this;
     }
 
     /**
-     * Set up event listeners for account and chain changes.
-     * Called once after successful connection.
+     * Show a write's simulated fee and ask before the wallet prompt opens.
+     */
+    confirmTxFee({ message, estimate }) {
+        const proceed = confirm(
+            `${message.replace(/\.+$/, '')}\n\n` +
+            `Estimated fee: ${formatFee(estimate.fee)} (at most ${formatFee(estimate.maxFee)})\n` +
+            `Gas: ${estimate.gas} at ${formatGwei(estimate.baseFee + estimate.priorityFee)}\n\n` +
+            'Continue to the wallet?'
+        );
+        if (!proceed) this.logger.info('Transaction not sent: fee declined');
+        return proceed;
+    }
+
+    /**
+     * Route SDK progress events to the activity log and transaction status panel.
+     */
+    bindClient(client) {
+        client.on('api', ({ method, endpoint, params }) => {
+            this.logger.api(method, endpoint, params);
+        });
+
+        client.on('log', ({ level, message, details }) => {
+            this.logger.log(level, message, details);
+        });
+
+        client.on('session', () => this.renderMiddlewareSession());
+
+        client.on('step', ({ step, steps, label }) => {
+            this.logger.info(`Step ${step}/${steps}: ${label}`);
+            this.showTxPending(`Step ${step}/${steps}: ${label}...`);
+        });
+
+        client.on('tx', ({ stage, message, hash }) => {
+            if (stage === 'pending') {
+                this.showTxPending(message);
+            } else if (stage === 'simulated') {
+                this.logger.info(message);
+                this.showTxPending(`${message}. Confirm in your wallet...`);
+            } else if (stage === 'submitted') {
+                this.logger.tx(message, hash);
+                this.showTxPending(`${message}: ${hash}`);
+            } else if (stage === 'replaced') {
+                this.logger.warn(message);
+                this.showTxPending(message);
+            } else if (stage === 'confirmed') {
+                this.logger.success(message);
+                this.showTxSuccess(message, hash);
+            }
+        });
+
+        client.on('bridgeEvent', async (event) => {
+            if (QUEUE_EVENTS.includes(event.name)) this.refreshQueuedWithdrawals();
+            const data = await this.formatEventArgs(event);
+            this.logger.event(event.name, data);
+            this.addEventToLog(event.name, EVENT_CLASSES[event.name] || 'deposit', data, event);
+        });
+    }
+
+    /**
+     * Set up event listeners for account and chain changes on the connected
+     * wallet's provider. Called after each successful connection; listeners
+     * on a previously connected wallet are removed first.
      */
     setupEventListeners() {
         if (!this.ethereum) return;
 
         // Remove any existing listeners to prevent duplicates
-        if (this._handleAccountsChanged) {
-            this.ethereum.removeListener('accountsChanged', this._handleAccountsChanged);
-        }
-        if (this._handleChainChanged) {
-            this.ethereum.removeListener('chainChanged', this._handleChainChanged);
-        }
+        this.removeEventListeners();
 
         // Bind handlers to preserve 'this' context
         this._handleAccountsChanged = (accounts) => {
@@ -279,27 +413,47 @@ class BridgeInterface {
             this.handleChainChange(chainId);
         };
 
+        this._handleProviderDisconnect = () => {
+            this.handleDisconnect();
+        };
+
         // Add listeners
         this.ethereum.on('accountsChanged', this._handleAccountsChanged);
         this.ethereum.on('chainChanged', this._handleChainChanged);
+        this.ethereum.on('disconnect', this._handleProviderDisconnect);
+        this.listenedProvider = this.ethereum;
 
         this.logger.info('Event listeners set up for account/chain changes');
     }
 
+    removeEventListeners() {
+        const provider = this.listenedProvider;
+        if (!provider) return;
+        // EIP-1193 names it removeListener; some providers only have off()
+        const remove = (provider.removeListener || provider.off)?.bind(provider);
+        if (remove) {
+            remove('accountsChanged', this._handleAccountsChanged);
+            remove('chainChanged', this._handleChainChanged);
+            remove('disconnect', this._handleProviderDisconnect);
+        }
+        this.listenedProvider = null;
+    }
+
     /**
-     * Handle account change from MetaMask.
+     * Handle account change from the wallet.
      * Updates signer, UI, and clears cached fingerprint.
      */
     async handleAccountChange(newAddress) {
-        this.logger.info(`Account changed in MetaMask: ${newAddress.slice(0, 10)}...`);
+        this.logger.info(`Account changed in ${this.wallet?.name || 'wallet'}: ${newAddress.slice(0, 10)}...`);
 
         try {
             // Update signer with new account
             this.signer = await this.provider.getSigner();
             const address = await this.signer.getAddress();
 
-            // Recreate bridge contract with new signer
-            this.bridge = new ethers.Contract(CONFIG.bridgeAddress, BRIDGE_ABI, this.signer);
+            // Reconnect the SDK client with the new signer
+            this.client.connect(this.signer);
+            this.loadRoles();
 
             // Update UI
             document.getElementById('wallet-status').textContent =
@@ -316,6 +470,7 @@ class BridgeInterface {
             // Clear Canton account status
             document.getElementById('canton-account-status').innerHTML =
                 '<div class="tx-pending">Account changed. Please register to link this wallet.</div>';
+            this.renderMiddlewareSession();
 
             this.logger.success(`Now using account: ${address.slice(0, 10)}...`);
         } catch (e) {
@@ -323,9 +478,110 @@ class BridgeInterface {
         }
     }
 
+    // =========================================================================
+    // Network Profiles
+    // =========================================================================
+
     /**
-     * Handle chain/network change from MetaMask.
-     * Warns user if they switch away from Sepolia.
+     * Load the built-in profiles, profiles from networks.json (or the file
+     * named by ?networks=) and profiles saved in this browser, then select
+     * ?network=, the saved choice, or the default.
+     */
+    async loadNetworks() {
+        const params = new URLSearchParams(window.location.search);
+
+        let fileNetworks = null;
+        const networksFile = params.get('networks') || 'networks.json';
+        try {
+            const response = await fetch(networksFile);
+            if (response.ok) {
+                fileNetworks = await response.json();
+                this.logger.info(`Loaded network profiles from ${networksFile}`);
+            }
+        } catch (e) {
+            // networks.json is optional
+        }
+
+        this.networks = mergeNetworks(fileNetworks, this.loadUserNetworks());
+
+        const requested = params.get('network') || localStorage.getItem(STORAGE_NETWORK) || DEFAULT_NETWORK;
+        try {
+            applyNetwork(resolveNetwork(requested, this.networks));
+        } catch (e) {
+            this.logger.warn(e.message);
+            applyNetwork(resolveNetwork(DEFAULT_NETWORK, this.networks));
+        }
+
+        this.renderNetworkProfiles();
+    }
+
+    loadUserNetworks() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_USER_NETWORKS)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    renderNetworkProfiles() {
+        const select = document.getElementById('network-profile');
+        select.innerHTML = Object.entries(this.networks).map(([key, profile]) =>
+            `<option value="${key}" ${key === CONFIG.network ? 'selected' : ''}>${profile.name || key}</option>`
+        ).join('');
+        this.fillConfigForm(CONFIG.network, CONFIG);
+    }
+
+    fillConfigForm(key, profile) {
+        document.getElementById('profile-key').value = key;
+        for (const [field, inputId] of Object.entries(CONFIG_FORM_FIELDS)) {
+            document.getElementById(inputId).value = profile[field] ?? '';
+        }
+    }
+
+    /**
+     * Apply the configuration form. Edited fields (or a new profile name) are
+     * saved as a user-defined profile, and the selection is persisted.
+     */
+    async applyConfiguration() {
+        const selected = document.getElementById('network-profile').value;
+        const key = document.getElementById('profile-key').value.trim() || selected;
+
+        const edited = {};
+        for (const [field, inputId] of Object.entries(CONFIG_FORM_FIELDS)) {
+            const value = document.getElementById(inputId).value.trim();
+            edited[field] = field === 'chainId' ? parseInt(value) : value;
+        }
+
+        // A new name starts from the selected profile (wallet params etc.)
+        const base = this.networks[key] || { ...this.networks[selected], name: key };
+        const changed = !this.networks[key] ||
+            Object.keys(edited).some(field => String(edited[field]) !== String(base[field] ?? ''));
+        const profile = resolveNetwork(key, { [key]: { ...base, ...edited } });
+
+        if (changed) {
+            const userNetworks = this.loadUserNetworks();
+            userNetworks[key] = this.networks[key] ? { ...userNetworks[key], ...edited } : { ...base, ...edited };
+            localStorage.setItem(STORAGE_USER_NETWORKS, JSON.stringify(userNetworks));
+            this.networks[key] = { ...base, ...edited };
+        }
+        localStorage.setItem(STORAGE_NETWORK, key);
+        applyNetwork(profile);
+
+        // Move a connected wallet to the new chain and refresh its signer
+        if (this.isConnected && this.ethereum) {
+            await this.switchChain(this.ethereum);
+            this.provider = new ethers.BrowserProvider(this.ethereum);
+            this.signer = await this.provider.getSigner();
+        }
+
+        await this.init();
+        this.renderNetworkProfiles();
+        this.logger.success(`Switched to ${profile.name} (${key})`);
+    }
+
+    /**
+     * Handle chain/network change from the wallet.
+     * Warns user if they switch away from the selected network.
      */
     handleChainChange(chainIdHex) {
         const chainId = parseInt(chainIdHex, 16);
@@ -334,11 +590,11 @@ class BridgeInterface {
         if (chainId !== CONFIG.chainId) {
             document.getElementById('network-name').textContent = `Chain ${chainId} (WRONG!)`;
             document.getElementById('network-name').style.color = '#e74c3c';
-            this.logger.warn(`Wrong network! Expected Sepolia (${CONFIG.chainId}), got ${chainId}`);
+            this.logger.warn(`Wrong network! Expected ${CONFIG.name} (${CONFIG.chainId}), got ${chainId}`);
         } else {
-            document.getElementById('network-name').textContent = 'Sepolia';
+            document.getElementById('network-name').textContent = CONFIG.name;
             document.getElementById('network-name').style.color = '#27ae60';
-            this.logger.success('Connected to Sepolia');
+            this.logger.success(`Connected to ${CONFIG.name}`);
         }
     }
 
@@ -350,9 +606,14 @@ class BridgeInterface {
         this.logger.info('Wallet disconnected');
 
         this.signer = null;
-        this.bridge = null;
+        this.client.connect(null);
         this.userFingerprint = null;
         this.isConnected = false;
+        this.loadRoles();
+        this.removeEventListeners();
+        this.wallet = null;
+        this.ethereum = null;
+        this.renderWalletPicker();
 
         // Update UI
         document.getElementById('wallet-dot').classList.remove('connected');
@@ -368,6 +629,26 @@ class BridgeInterface {
 
         // Clear Canton account status
         document.getElementById('canton-account-status').innerHTML = '';
+        this.renderMiddlewareSession();
+    }
+
+    /**
+     * Middleware session of the connected account: who is signed in to the
+     * API server and until when.
+     */
+    async renderMiddlewareSession() {
+        const status = document.getElementById('middleware-session');
+        const signOut = document.getElementById('sign-out-btn');
+        const apiUrl = document.getElementById('api-url').value;
+        const session = this.isConnected && apiUrl ? await this.client.getSession(apiUrl).catch(() => null) : null;
+        if (session) {
+            status.textContent = `Signed in as ${session.address.slice(0, 10)}... until ${new Date(session.expiresAt * 1000).toLocaleTimeString()}`;
+            status.style.color = '#27ae60';
+        } else {
+            status.textContent = 'Not signed in. The first request asks your wallet to sign in (Sign-In with Ethereum).';
+            status.style.color = '#7f8c8d';
+        }
+        signOut.disabled = !session;
     }
 
     /**
@@ -381,6 +662,18 @@ class BridgeInterface {
             return;
         }
 
+        if (this.wallet?.walletConnect) {
+            // Ends the session in the wallet too
+            try {
+                await this.walletConnect.disconnect();
+                this.logger.success('WalletConnect session ended.');
+            } catch (e) {
+                this.logger.warn('Failed to end the WalletConnect session', e.message);
+            }
+            this.handleDisconnect();
+            return;
+        }
+
         this.logger.info('Revoking wallet permissions...');
 
         try {
@@ -398,104 +691,195 @@ class BridgeInterface {
         this.handleDisconnect();
     }
 
+    // =========================================================================
+    // Wallets
+    // =========================================================================
+
     /**
-     * Find MetaMask provider specifically, even when multiple wallets are installed.
-     * Handles EIP-5749 multi-provider standard used when Phantom/MetaMask coexist.
+     * Discover installed wallets and fill the picker. Wallets announcing
+     * themselves later are added as they arrive.
      */
-    findMetaMaskProvider() {
-        if (!window.ethereum) {
-            console.log('[Bridge] No ethereum provider found');
-            return null;
+    async loadWallets() {
+        this.wallets.on('update', () => this.renderWalletPicker());
+        const wallets = await this.wallets.discover();
+        this.renderWalletPicker();
+        if (wallets.length) {
+            this.logger.info(`Wallets found: ${wallets.map(wallet => wallet.name).join(', ')}`);
+        } else {
+            this.logger.warn('No wallet found. Install an Ethereum wallet extension to connect.');
         }
+    }
 
-        // EIP-5749: Check if providers array exists (multiple wallets installed)
-        if (window.ethereum.providers && Array.isArray(window.ethereum.providers)) {
-            console.log('[Bridge] Multiple providers detected:', window.ethereum.providers.length);
-
-            // Find MetaMask specifically
-            for (const provider of window.ethereum.providers) {
-                if (provider.isMetaMask && !provider.isPhantom) {
-                    console.log('[Bridge] Found MetaMask in providers array');
-                    return provider;
-                }
-            }
-
-            // Log what we found for debugging
-            window.ethereum.providers.forEach((p, i) => {
-                console.log(`[Bridge] Provider ${i}: isMetaMask=${p.isMetaMask}, isPhantom=${p.isPhantom}`);
-            });
+    /**
+     * Wallet picker, selecting the connected wallet, else the one used last.
+     */
+    renderWalletPicker() {
+        const picker = document.getElementById('wallet-picker');
+        const wallets = this.wallets.list();
+        const selected = this.wallet?.id || picker.value || localStorage.getItem(STORAGE_WALLET);
 
-            console.log('[Bridge] MetaMask not found in providers array');
-            return null;
+        if (wallets.length === 0) {
+            picker.innerHTML = '<option value="">No browser wallet found</option>';
+        } else {
+            picker.innerHTML = wallets.map(wallet =>
+                `<option value="${this.logger.escapeHtml(wallet.id)}">${this.logger.escapeHtml(wallet.name)}${wallet.legacy ? ' (window.ethereum)' : ''}</option>`
+            ).join('');
         }
+        picker.insertAdjacentHTML('beforeend', `<option value="${WALLETCONNECT_ID}">WalletConnect (mobile / hardware)</option>`);
+        if ([...picker.options].some(option => option.value === selected)) picker.value = selected;
+        picker.disabled = this.isConnected;
+        this.renderWalletIcon();
+    }
 
-        // Single provider - check if it's MetaMask (not Phantom pretending to be MetaMask)
-        if (window.ethereum.isMetaMask && !window.ethereum.isPhantom) {
-            console.log('[Bridge] Single MetaMask provider found');
-            return window.ethereum;
+    renderWalletIcon() {
+        const icon = document.getElementById('wallet-icon');
+        const wallet = this.wallets.get(document.getElementById('wallet-picker').value);
+        // EIP-6963 requires a data URI; anything else is not loaded
+        if (wallet?.icon?.startsWith('data:image/')) {
+            icon.src = wallet.icon;
+            icon.alt = wallet.name;
+            icon.style.display = '';
+        } else {
+            icon.removeAttribute('src');
+            icon.style.display = 'none';
         }
+    }
 
-        // Phantom sets isMetaMask=true but also isPhantom=true
-        if (window.ethereum.isPhantom) {
-            console.log('[Bridge] Only Phantom found, MetaMask not available');
-            return null;
-        }
+    // =========================================================================
+    // WalletConnect
+    // =========================================================================
 
-        console.log('[Bridge] Unknown provider, attempting to use');
-        return window.ethereum;
+    /**
+     * Connector for the current profile, recreated when the project ID or
+     * chain changes.
+     */
+    getWalletConnect() {
+        const projectId = CONFIG.walletConnectProjectId;
+        if (!projectId) {
+            throw new Error('WalletConnect needs a project ID. Set "WalletConnect Project ID" in the configuration (free at cloud.walletconnect.com).');
+        }
+        if (this.walletConnect?.projectId === projectId && this.walletConnect.chainId === CONFIG.chainId) {
+            return this.walletConnect;
+        }
+        const connector = new WalletConnectConnector({
+            projectId,
+            chainId: CONFIG.chainId,
+            rpcUrl: CONFIG.rpcUrl,
+            metadata: {
+                name: 'Wayfinder Bridge',
+                description: 'Canton-Ethereum Bridge Testing Tool',
+                url: window.location.origin,
+                icons: []
+            }
+        });
+        connector.on('uri', ({ uri }) => this.showWalletConnectQr(uri));
+        this.walletConnect = connector;
+        return connector;
     }
 
-    async connectWallet() {
-        // Find MetaMask specifically when multiple wallets are installed
-        let ethereum = this.findMetaMaskProvider();
+    /**
+     * Pair with a wallet through a QR code, or reuse the stored session.
+     * @returns {Promise<Object>}  Wallet entry for connectWallet()
+     */
+    async openWalletConnect() {
+        const connector = this.getWalletConnect();
+        this.logger.info('Starting WalletConnect...');
+        const cancelled = new Promise((resolve, reject) => {
+            this.walletConnectCancel = () => reject(new Error('WalletConnect pairing cancelled'));
+        });
+        try {
+            const provider = await Promise.race([connector.connect(), cancelled]);
+            return {
+                id: WALLETCONNECT_ID,
+                name: connector.peerName ? `${connector.peerName} (WalletConnect)` : 'WalletConnect',
+                icon: null,
+                rdns: null,
+                legacy: false,
+                walletConnect: true,
+                provider
+            };
+        } finally {
+            this.walletConnectCancel = null;
+            this.hideWalletConnectQr();
+        }
+    }
 
-        if (!ethereum) {
-            throw new Error('MetaMask not found. Please install MetaMask or disable other wallet extensions.');
+    /**
+     * Reconnect the WalletConnect session of the last visit, if it is still
+     * alive. Nothing is shown to the user when there is none.
+     */
+    async restoreWalletConnect() {
+        if (localStorage.getItem(STORAGE_WALLET) !== WALLETCONNECT_ID || !CONFIG.walletConnectProjectId) return;
+        try {
+            const connector = this.getWalletConnect();
+            await connector.init();
+            if (!connector.connected || this.isConnected) return;
+            document.getElementById('wallet-picker').value = WALLETCONNECT_ID;
+            await this.connectWallet();
+            this.logger.info('Restored WalletConnect session');
+        } catch (e) {
+            this.logger.warn('Could not restore the WalletConnect session', e.message);
         }
+    }
 
-        // Store reference for event listeners
-        this.ethereum = ethereum;
+    async showWalletConnectQr(uri) {
+        document.getElementById('walletconnect-modal').style.display = 'flex';
+        document.getElementById('walletconnect-uri').value = uri;
+        const image = document.getElementById('walletconnect-qr');
+        try {
+            image.src = await pairingQrCode(uri);
+        } catch (e) {
+            image.removeAttribute('src');
+            this.logger.error('Failed to render the pairing QR code; copy the link instead', e);
+        }
+    }
 
-        console.log('[Bridge] Using provider:', ethereum.isMetaMask ? 'MetaMask' : 'Unknown');
+    hideWalletConnectQr() {
+        document.getElementById('walletconnect-modal').style.display = 'none';
+        document.getElementById('walletconnect-uri').value = '';
+    }
 
-        // For MetaMask: Switch to Sepolia FIRST before connecting
-        const sepoliaChainId = '0xaa36a7'; // 11155111 in hex
+    /**
+     * Ask the wallet to switch to the selected network, adding it first if
+     * the wallet does not know the chain yet.
+     */
+    async switchChain(ethereum) {
+        const chainId = toHexChainId(CONFIG.chainId);
 
         try {
-            console.log('[Bridge] Requesting switch to Sepolia...');
+            console.log(`[Bridge] Requesting switch to ${CONFIG.name}...`);
             await ethereum.request({
                 method: 'wallet_switchEthereumChain',
-                params: [{ chainId: sepoliaChainId }]
+                params: [{ chainId }]
             });
-            console.log('[Bridge] Switched to Sepolia');
+            console.log(`[Bridge] Switched to ${CONFIG.name}`);
         } catch (switchError) {
             console.log('[Bridge] Switch error code:', switchError.code);
             if (switchError.code === 4902) {
-                // Chain not in MetaMask, add it
-                console.log('[Bridge] Sepolia not found, adding...');
+                // Chain not known to the wallet, add it
+                console.log(`[Bridge] ${CONFIG.name} not found, adding...`);
                 await ethereum.request({
                     method: 'wallet_addEthereumChain',
-                    params: [{
-                        chainId: sepoliaChainId,
-                        chainName: 'Sepolia',
-                        nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 },
-                        rpcUrls: ['https://rpc.sepolia.org'],
-                        blockExplorerUrls: ['https://sepolia.etherscan.io']
-                    }]
+                    params: [toAddChainParams(CONFIG)]
                 });
             } else if (switchError.code === 4001) {
-                throw new Error('You rejected the network switch. Please switch to Sepolia manually in MetaMask.');
+                throw new Error(`You rejected the network switch. Please switch to ${CONFIG.name} manually in your wallet.`);
             } else {
                 console.error('[Bridge] Switch error:', switchError);
             }
         }
+    }
 
-        // Request fresh permissions - this forces MetaMask to show account selection popup
-        // This is key to letting user choose which account to connect
+    /**
+     * Request fresh permissions - wallets that support it show an account
+     * selection popup. This is key to letting user choose which account to
+     * connect.
+     */
+    async requestAccountPermissions(wallet) {
         console.log('[Bridge] Requesting account permissions...');
-        this.logger.info('MetaMask popup opened. Click "Edit accounts" to select a different account.');
+        this.logger.info(`${wallet.name} popup opened. Select the account to connect.`);
         try {
-            await ethereum.request({
+            await wallet.provider.request({
                 method: 'wallet_requestPermissions',
                 params: [{ eth_accounts: {} }]
             });
@@ -505,12 +889,39 @@ class BridgeInterface {
                 throw new Error('You rejected the account selection. Please try again and select an account.');
             }
             if (permError.code === -32002) {
-                // Request already pending - tell user to check MetaMask
-                throw new Error('MetaMask has a pending request. Please click the MetaMask extension icon to complete or cancel it, then try again.');
+                // Request already pending - tell user to check the wallet
+                throw new Error(`${wallet.name} has a pending request. Please open ${wallet.name} to complete or cancel it, then try again.`);
             }
             // Some wallets may not support wallet_requestPermissions, fall back to eth_requestAccounts
             console.log('[Bridge] wallet_requestPermissions not supported, using eth_requestAccounts');
         }
+    }
+
+    async connectWallet() {
+        const selected = document.getElementById('wallet-picker').value;
+        const wallet = selected === WALLETCONNECT_ID
+            ? await this.openWalletConnect()
+            : this.wallets.get(selected);
+        if (!wallet) {
+            throw new Error('No wallet found. Install an Ethereum wallet extension (MetaMask, Rabby, Coinbase Wallet, Frame, ...) and reload the page, or use WalletConnect.');
+        }
+        const ethereum = wallet.provider;
+
+        // Store reference for event listeners
+        this.wallet = wallet;
+        this.ethereum = ethereum;
+
+        console.log('[Bridge] Using wallet:', wallet.name, wallet.rdns || (wallet.walletConnect ? '(WalletConnect)' : '(window.ethereum)'));
+
+        if (wallet.walletConnect) {
+            // The session already holds the approved accounts; only the chain may need switching
+            const chainId = parseInt(await ethereum.request({ method: 'eth_chainId' }), 16);
+            if (chainId !== CONFIG.chainId) await this.switchChain(ethereum);
+        } else {
+            // Switch to the selected network FIRST before connecting
+            await this.switchChain(ethereum);
+            await this.requestAccountPermissions(wallet);
+        }
 
         // Now get the accounts the user selected
         this.provider = new ethers.BrowserProvider(ethereum);
@@ -520,7 +931,7 @@ class BridgeInterface {
         const address = await this.signer.getAddress();
         console.log('[Bridge] Connected address:', address);
 
-        // Verify we're on Sepolia
+        // Verify we're on the selected network
         const network = await this.provider.getNetwork();
         const chainId = Number(network.chainId);
         console.log('[Bridge] Connected on chain ID:', chainId);
@@ -529,15 +940,18 @@ class BridgeInterface {
             console.warn('[Bridge] WARNING: On wrong network!');
             document.getElementById('network-name').textContent = `Chain ${chainId} (WRONG!)`;
             document.getElementById('network-name').style.color = '#e74c3c';
-            alert(`Still on chain ${chainId}. Please manually switch to Sepolia in MetaMask.`);
+            alert(`Still on chain ${chainId}. Please manually switch to ${CONFIG.name} in ${wallet.name}.`);
         } else {
-            console.log('[Bridge] Successfully connected to Sepolia!');
-            document.getElementById('network-name').textContent = 'Sepolia';
+            console.log(`[Bridge] Successfully connected to ${CONFIG.name}!`);
+            document.getElementById('network-name').textContent = CONFIG.name;
             document.getElementById('network-name').style.color = '#27ae60';
         }
 
-        this.bridge = new ethers.Contract(CONFIG.bridgeAddress, BRIDGE_ABI, this.signer);
+        this.client.connect(this.signer);
         this.isConnected = true;
+        this.loadRoles();
+        localStorage.setItem(STORAGE_WALLET, wallet.id);
+        this.renderWalletPicker();
 
         const connectedAddress = await this.signer.getAddress();
         console.log('[Bridge] Wallet connected:', connectedAddress);
@@ -553,7 +967,9 @@ class BridgeInterface {
         document.getElementById('connect-wallet').textContent = 'Disconnect';
         document.getElementById('connect-wallet').disabled = false;  // Keep enabled for disconnecting
 
-        this.logger.success(`Wallet connected: ${connectedAddress.slice(0, 10)}...`);
+        this.renderMiddlewareSession();
+
+        this.logger.success(`${wallet.name} connected: ${connectedAddress.slice(0, 10)}...`);
         return connectedAddress;
     }
 
@@ -561,42 +977,6 @@ class BridgeInterface {
     // Deposit Functions
     // =========================================================================
 
-    async getTokenInfo(tokenAddress) {
-        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
-        const [symbol, name, decimals] = await Promise.all([
-            token.symbol(),
-            token.name(),
-            token.decimals()
-        ]);
-        return { symbol, name, decimals: Number(decimals) };
-    }
-
-    /**
-     * Get ERC20 token balance and allowance for the connected user.
-     * Returns { balance, allowance, symbol, decimals }
-     */
-    async getTokenBalanceAndAllowance(tokenAddress) {
-        if (!this.signer) throw new Error('Wallet not connected');
-
-        const userAddress = await this.signer.getAddress();
-        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
-        const tokenInfo = await this.getTokenInfo(tokenAddress);
-
-        const [balance, allowance] = await Promise.all([
-            token.balanceOf(userAddress),
-            token.allowance(userAddress, CONFIG.bridgeAddress)
-        ]);
-
-        return {
-            balance: ethers.formatUnits(balance, tokenInfo.decimals),
-            allowance: ethers.formatUnits(allowance, tokenInfo.decimals),
-            symbol: tokenInfo.symbol,
-            decimals: tokenInfo.decimals,
-            balanceRaw: balance,
-            allowanceRaw: allowance
-        };
-    }
-
     /**
      * Update the UI to show the user's fingerprint and enable deposit.
      */
@@ -610,265 +990,1186 @@ class BridgeInterface {
         this.logger.success(`Fingerprint set: ${fingerprint.slice(0, 20)}...`);
     }
 
-    async approve(tokenAddress, amount) {
-        if (!this.signer) throw new Error('Wallet not connected');
+    // =========================================================================
+    // Token List
+    // =========================================================================
 
-        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
-        const tokenInfo = await this.getTokenInfo(tokenAddress);
-        const amountWei = ethers.parseUnits(amount.toString(), tokenInfo.decimals);
+    /**
+     * Load active tokens from the TokenRegistry, decorated with metadata from
+     * an imported token list, and refresh the pickers.
+     */
+    async loadTokens() {
+        this.tokens = [];
+        if (!this.client.readRegistry) {
+            this.renderTokenPickers('No token registry for this network');
+            this.watchRateLimits();
+            return;
+        }
 
-        this.logger.api('CALL', `ERC20.approve(${CONFIG.bridgeAddress.slice(0,10)}...)`, { amount, token: tokenAddress.slice(0,10) });
-        this.showTxPending('Approving token spend...');
-        const tx = await token.approve(CONFIG.bridgeAddress, amountWei);
-        this.logger.tx(`Approval TX submitted`, tx.hash);
-        this.showTxPending(`Approval TX submitted: ${tx.hash}`);
+        try {
+            const tokens = await this.client.getRegistryTokens();
+            this.tokens = applyTokenList(tokens, this.loadTokenList());
+            this.logger.info(`Loaded ${this.tokens.length} active registry tokens`);
+        } catch (e) {
+            this.logger.error('Failed to load registry tokens', e);
+        }
+        this.renderTokenPickers();
+        this.watchRateLimits();
+    }
 
-        const receipt = await tx.wait();
-        this.logger.success(`Approved ${amount} ${tokenInfo.symbol}`);
-        this.showTxSuccess(`Approved ${amount} ${tokenInfo.symbol}`, tx.hash);
-        return receipt;
+    loadTokenList() {
+        const raw = localStorage.getItem(STORAGE_TOKEN_LIST);
+        if (!raw) return null;
+        try {
+            return parseTokenList(raw, CONFIG.chainId);
+        } catch {
+            return null;
+        }
     }
 
-    async deposit(tokenAddress, amount, cantonRecipient) {
-        if (!this.signer) throw new Error('Wallet not connected');
+    /**
+     * Import a Uniswap-style token list file. It is kept in localStorage and
+     * only used for display metadata.
+     */
+    async importTokenList(file) {
+        const text = await file.text();
+        const entries = parseTokenList(text, CONFIG.chainId);
+        localStorage.setItem(STORAGE_TOKEN_LIST, text);
+        this.logger.success(`Imported token list: ${entries.size} tokens for chain ${CONFIG.chainId}`);
+        await this.loadTokens();
+    }
 
-        // Validate canton recipient
-        if (!cantonRecipient.startsWith('0x') || cantonRecipient.length !== 66) {
-            throw new Error('Canton recipient must be 32 bytes (0x + 64 hex chars)');
-        }
+    renderTokenPickers(emptyMessage = 'No active registry tokens') {
+        for (const [pickerId, inputId] of Object.entries(TOKEN_PICKERS)) {
+            const select = document.getElementById(pickerId);
+            const current = document.getElementById(inputId).value.toLowerCase();
 
-        // Check if token is registered
-        const isRegistered = await this.bridge.isTokenRegistered(tokenAddress);
-        if (!isRegistered) {
-            throw new Error('Token not registered with bridge');
+            const options = this.tokens.map(token => {
+                const label = `${token.symbol} - ${token.name} (${token.decimals} decimals) | Canton ${this.truncateHash(token.cantonTokenId)}`;
+                const selected = token.address.toLowerCase() === current ? 'selected' : '';
+                return `<option value="${token.address}" ${selected}>${this.logger.escapeHtml(label)}</option>`;
+            });
+            select.innerHTML = `<option value="">${this.tokens.length ? 'Custom address' : emptyMessage}</option>` +
+                options.join('');
         }
+        this.showTokenDetails(document.getElementById('token-address').value);
+    }
 
-        const tokenInfo = await this.getTokenInfo(tokenAddress);
-        const amountWei = ethers.parseUnits(amount.toString(), tokenInfo.decimals);
+    selectToken(pickerId, address) {
+        if (!address) return;
+        document.getElementById(TOKEN_PICKERS[pickerId]).value = address;
+        if (pickerId === 'token-picker') this.selectDepositToken(address);
+        if (pickerId === 'admin-token-picker') this.refreshAdminState();
+    }
 
-        // Check allowance
-        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
-        const userAddress = await this.signer.getAddress();
-        const allowance = await token.allowance(userAddress, CONFIG.bridgeAddress);
+    /**
+     * Show a deposit-form token's details and start watching its rate limit.
+     */
+    selectDepositToken(address) {
+        this.showTokenDetails(address);
+        this.showDepositRateLimit();
+        this.watchRateLimits();
+    }
 
-        if (allowance < amountWei) {
-            throw new Error(`Insufficient allowance. Please approve first. Current: ${ethers.formatUnits(allowance, tokenInfo.decimals)}`);
+    showTokenDetails(address) {
+        const info = document.getElementById('token-picker-info');
+        const token = this.tokens.find(t => t.address.toLowerCase() === address.toLowerCase());
+        if (!token) {
+            info.innerHTML = '';
+            return;
         }
+        const logo = token.logoURI
+            ? `<img src="${this.logger.escapeHtml(token.logoURI)}" alt="" style="width: 14px; height: 14px; vertical-align: middle;"> `
+            : '';
+        info.innerHTML = `${logo}${this.logger.escapeHtml(token.name)} (${this.logger.escapeHtml(token.symbol)}), ` +
+            `${token.decimals} decimals<br>Canton token ID: <code>${token.cantonTokenId}</code>`;
+    }
+
+    /**
+     * Pick the token an amount refers to when the source does not say:
+     * the only active registry token if there is exactly one, otherwise the
+     * token selected in the deposit form.
+     */
+    resolveToken(tokenAddress) {
+        if (tokenAddress) return tokenAddress;
+        if (this.tokens.length === 1) return this.tokens[0].address;
+        const selected = document.getElementById('token-address').value;
+        return ethers.isAddress(selected) ? selected : null;
+    }
 
-        this.logger.api('CALL', `Bridge.depositToCanton()`, { amount, recipient: cantonRecipient.slice(0,20) });
-        this.showTxPending('Submitting deposit transaction...');
-        const tx = await this.bridge.depositToCanton(tokenAddress, amountWei, cantonRecipient);
-        this.logger.tx('Deposit TX submitted', tx.hash);
-        this.showTxPending(`Deposit TX submitted: ${tx.hash}`);
+    /**
+     * Format a raw amount for display, falling back to base units when the
+     * token metadata cannot be loaded.
+     */
+    async formatAmount(tokenAddress, raw) {
+        try {
+            return await this.client.formatAmount(tokenAddress, raw);
+        } catch (e) {
+            return `${raw.toString()} (base units)`;
+        }
+    }
 
-        const receipt = await tx.wait();
-        this.logger.success(`Deposited ${amount} ${tokenInfo.symbol} to Canton`);
-        this.showTxSuccess(`Deposited ${amount} ${tokenInfo.symbol} to Canton`, tx.hash);
-        return receipt;
+    /**
+     * Format a Canton balance (already in token units) with the token's
+     * decimals and symbol.
+     */
+    async formatCantonBalance(result) {
+        const token = this.resolveToken(result.tokenAddress || result.token);
+        if (!token) return result.balance;
+        try {
+            const metadata = await this.client.getTokenInfo(token);
+            return formatTokenAmount(ethers.parseUnits(String(result.balance), metadata.decimals), metadata);
+        } catch (e) {
+            return result.balance;
+        }
     }
 
     // =========================================================================
-    // Canton Account Functions (Registration & Balance)
+    // Transfer Tracker
     // =========================================================================
 
     /**
-     * Register the connected wallet with the Canton bridge.
-     * Creates a FingerprintMapping on Canton linking the EVM address to a Canton party.
+     * (Re)create the transfer tracker for the current client and resume
+     * polling the deposits and withdrawals stored for this network.
      */
-    async registerWallet(apiUrl) {
-        if (!this.signer) throw new Error('Wallet not connected');
+    async initTracker() {
+        if (this.tracker) {
+            this.tracker.stop();
+            this.tracker.detach();
+        }
+        const tracker = new TransferTracker({
+            client: this.client,
+            apiUrl: document.getElementById('api-url').value || null,
+            pollMiddleware: true
+        });
+        this.tracker = tracker;
+        tracker.on('update', () => this.renderTrackedTransfers());
+        tracker.on('removed', () => this.renderTrackedTransfers());
+        tracker.on('log', ({ level, message, details }) => this.logger.log(level, message, details));
+        tracker.attach();
 
-        const userAddress = await this.signer.getAddress();
-        const timestamp = Math.floor(Date.now() / 1000);
-        const message = `user_register:${timestamp}`;
+        try {
+            const transfers = await tracker.load();
+            if (transfers.length) this.logger.info(`Resumed tracking ${transfers.length} transfers`);
+        } catch (e) {
+            this.logger.error('Failed to load tracked transfers', e);
+        }
+        if (this.tracker !== tracker) return;
+        await this.renderTrackedTransfers();
+        tracker.start();
+    }
 
-        // Sign the message for authentication
-        const signature = await this.signer.signMessage(message);
+    async renderTrackedTransfers() {
+        const container = document.getElementById('tracked-transfers');
+        const transfers = this.tracker.list();
+        if (transfers.length === 0) {
+            container.innerHTML = '<div class="empty-state" style="padding: 20px;">Deposits and withdrawals made here are tracked until they complete</div>';
+            return;
+        }
 
-        const rpcRequest = {
-            jsonrpc: '2.0',
-            method: 'user_register',
-            params: {},
-            id: 1
-        };
+        const amounts = await Promise.all(transfers.map(t => (t.token && t.amount !== null)
+            ? this.formatAmount(t.token, BigInt(t.amount))
+            : t.requestedAmount));
 
-        this.logger.api('POST', apiUrl, { method: 'user_register', address: userAddress.slice(0,10) });
+        container.innerHTML = transfers.map((t, i) => `
+            <div class="tracked-transfer ${t.stage}">
+                <div class="stuck-transfer-header">
+                    <span class="stuck-transfer-id">${t.kind === 'withdrawal' ? 'Withdraw' : 'Deposit'} ${this.logger.escapeHtml(amounts[i])}</span>
+                    <span class="stuck-transfer-status ${t.stage}">${STAGE_LABELS[t.stage].toUpperCase()}</span>
+                </div>
+                ${t.kind === 'withdrawal' ? this.renderWithdrawalDetails(t) : this.renderDepositDetails(t)}
+                ${this.renderTimeline(t)}
+                ${t.error ? `<div class="stuck-transfer-details" style="color: #e74c3c;"><strong>Error:</strong> ${this.logger.escapeHtml(t.error)}</div>` : ''}
+                <div class="stuck-transfer-actions">
+                    <button class="btn-primary" data-action="check" data-id="${this.logger.escapeHtml(t.id)}">Check Canton</button>
+                    ${t.stage === 'queued' ? `<button class="btn-warning" data-action="fill" data-id="${this.logger.escapeHtml(t.id)}">Use ID</button>` : ''}
+                    <button class="btn-danger" data-action="remove" data-id="${this.logger.escapeHtml(t.id)}">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
 
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Signature': signature,
-                'X-Message': message
-            },
-            body: JSON.stringify(rpcRequest)
+    renderDepositDetails(transfer) {
+        return `
+            <div class="stuck-transfer-details">
+                <span><strong>TX:</strong> ${this.explorerTxLink(transfer.hash)}</span>
+                <span><strong>Nonce:</strong> ${transfer.nonce ?? '-'}</span>
+                <span><strong>Fingerprint:</strong> <code>${this.truncateHash(transfer.fingerprint)}</code></span>
+            </div>
+        `;
+    }
+
+    renderWithdrawalDetails(transfer) {
+        const countdown = transfer.stage === 'queued' && transfer.executeAfter
+            ? `<span><strong>Time lock:</strong> <span class="countdown" data-until="${transfer.executeAfter}">${this.formatCountdown(transfer.executeAfter)}</span></span>`
+            : '';
+        return `
+            <div class="stuck-transfer-details">
+                <span><strong>ID:</strong> <code title="${this.logger.escapeHtml(transfer.withdrawalId)}">${this.logger.escapeHtml(this.truncateHash(transfer.withdrawalId))}</code></span>
+                <span><strong>To:</strong> <code>${this.logger.escapeHtml(this.truncateHash(transfer.destination))}</code></span>
+                <span><strong>Canton:</strong> ${this.logger.escapeHtml(transfer.cantonStatus || '-')}</span>
+                ${countdown}
+            </div>
+            <div class="stuck-transfer-details">
+                ${transfer.queueHash ? `<span><strong>Queued:</strong> ${this.explorerTxLink(transfer.queueHash)}</span>` : ''}
+                ${transfer.hash ? `<span><strong>${transfer.stage === 'cancelled' ? 'Cancelled' : 'Released'}:</strong> ${this.explorerTxLink(transfer.hash)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Time left until `until` (unix seconds), e.g. until a queued withdrawal
+     * can be executed. `expired` is shown once it has passed.
+     */
+    formatCountdown(until, expired = 'time lock expired, ready to execute') {
+        const remaining = until - Math.floor(Date.now() / 1000);
+        if (remaining <= 0) return expired;
+        const hours = Math.floor(remaining / 3600);
+        const minutes = Math.floor((remaining % 3600) / 60);
+        const seconds = remaining % 60;
+        return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds).padStart(2, '0')}s`;
+    }
+
+    updateCountdowns() {
+        document.querySelectorAll('.countdown').forEach(el => {
+            el.textContent = this.formatCountdown(Number(el.dataset.until), el.dataset.expired);
         });
+        document.querySelectorAll('.tx-age').forEach(el => {
+            el.textContent = this.formatAge(Number(el.dataset.since));
+        });
+    }
 
-        const result = await response.json();
+    /**
+     * Time since `since` (ms timestamp), e.g. "3m 05s".
+     */
+    formatAge(since) {
+        const elapsed = Math.max(0, Math.floor((Date.now() - since) / 1000));
+        const hours = Math.floor(elapsed / 3600);
+        const minutes = Math.floor((elapsed % 3600) / 60);
+        const seconds = String(elapsed % 60).padStart(2, '0');
+        return hours ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m ${seconds}s`;
+    }
+
+    /**
+     * Stage timeline: reached stages with their time, the rest greyed out.
+     * Stages a transfer skipped (e.g. `queued` for a small withdrawal) are
+     * left out once it is past them.
+     */
+    renderTimeline(transfer) {
+        const reached = new Map(transfer.history.map(entry => [entry.stage, entry]));
+        const finished = this.tracker.isFinal(transfer);
+        const stages = this.tracker.stagesOf(transfer)
+            .filter(stage => reached.has(stage) || !finished);
+        if (!stages.includes(transfer.stage)) stages.push(transfer.stage);
+
+        const steps = stages.map(stage => {
+            const entry = reached.get(stage);
+            const state = stage === transfer.stage ? 'current' : entry ? 'done' : '';
+            const time = entry ? new Date(entry.at).toLocaleString() : '';
+            const title = entry?.detail ? ` title="${this.logger.escapeHtml(entry.detail)}"` : '';
+            return `<li class="timeline-step ${state} ${stage}"${title}>${STAGE_LABELS[stage]}<small>${time}</small></li>`;
+        });
+        return `<ol class="timeline">${steps.join('')}</ol>`;
+    }
+
+    /**
+     * Query the middleware for one transfer now, without waiting for the
+     * next poll.
+     */
+    async checkTrackedTransfer(id) {
+        try {
+            await this.tracker.refresh(id);
+            await this.tracker.checkMiddleware(id);
+        } catch (e) {
+            this.logger.error('Transfer status check failed', e);
+        }
+    }
+
+    // =========================================================================
+    // Transactions
+    // =========================================================================
+
+    /**
+     * (Re)create the transaction manager for the current client and resume
+     * checking the transactions stored for this chain.
+     */
+    initTxManager() {
+        if (this.txManager) {
+            this.txManager.stop();
+            this.txManager.detach();
+        }
+        const manager = new TxManager({ client: this.client });
+        this.txManager = manager;
+        manager.on('update', () => this.renderManagedTxs());
+        manager.on('removed', () => this.renderManagedTxs());
+        manager.on('log', ({ level, message, details }) => this.logger.log(level, message, details));
+        manager.attach();
+
+        const pending = manager.load().filter(tx => tx.status === 'pending');
+        if (pending.length) this.logger.info(`${pending.length} transactions still pending`);
+        document.getElementById('tx-confirmations-note').textContent =
+            `Confirmed after ${manager.confirmations} block${manager.confirmations === 1 ? '' : 's'}.`;
+        this.renderManagedTxs();
+        manager.start();
+    }
 
-        if (result.error) {
-            this.logger.error('Registration failed', result.error);
-            throw new Error(result.error.message || result.error.data || 'Registration failed');
+    renderManagedTxs() {
+        const container = document.getElementById('managed-txs');
+        const txs = this.txManager.list();
+        if (txs.length === 0) {
+            container.innerHTML = '<div class="empty-state" style="padding: 20px;">Transactions sent from this page are listed here until they confirm</div>';
+            return;
         }
 
-        this.logger.success('Registration successful', { fingerprint: result.result?.fingerprint?.slice(0,20) });
-        return result.result;
+        container.innerHTML = txs.map(tx => {
+            const gasPrice = tx.maxFeePerGas !== null
+                ? `max ${formatGwei(BigInt(tx.maxFeePerGas))} (tip ${formatGwei(BigInt(tx.maxPriorityFeePerGas))})`
+                : formatGwei(BigInt(tx.gasPrice ?? 0));
+            const status = tx.status === 'replaced' && tx.reason ? `${tx.status} (${tx.reason})` : tx.status;
+            return `
+                <div class="tracked-transfer tx-${tx.status === 'mined' ? 'pending' : tx.status}">
+                    <div class="stuck-transfer-header">
+                        <span class="stuck-transfer-id">${this.logger.escapeHtml(tx.label || tx.action)}</span>
+                        <span class="stuck-transfer-status ${tx.status}">${status.toUpperCase()}</span>
+                    </div>
+                    <div class="stuck-transfer-details">
+                        <span><strong>TX:</strong> ${this.explorerTxLink(tx.hash)}</span>
+                        <span><strong>Nonce:</strong> ${tx.nonce}</span>
+                        <span><strong>Gas price:</strong> ${gasPrice}</span>
+                        ${tx.status === 'pending'
+                            ? `<span><strong>Age:</strong> <span class="tx-age" data-since="${tx.submittedAt}">${this.formatAge(tx.submittedAt)}</span></span>`
+                            : `<span><strong>Sent:</strong> ${new Date(tx.submittedAt).toLocaleString()}</span>`}
+                        ${tx.blockNumber !== null ? `<span><strong>Block:</strong> ${tx.blockNumber} (${tx.confirmations}/${this.txManager.confirmations} confirmations)</span>` : ''}
+                    </div>
+                    ${tx.replaces || tx.replacedBy ? `
+                    <div class="stuck-transfer-details">
+                        ${tx.replaces ? `<span><strong>Replaces:</strong> <code>${this.truncateHash(tx.replaces)}</code></span>` : ''}
+                        ${tx.replacedBy ? `<span><strong>Replaced by:</strong> ${this.explorerTxLink(tx.replacedBy)}</span>` : ''}
+                    </div>` : ''}
+                    <div class="stuck-transfer-actions">
+                        ${tx.status === 'pending' ? `
+                        <button class="btn-warning" data-action="speed-up" data-hash="${tx.hash}">Speed Up</button>
+                        <button class="btn-danger" data-action="cancel" data-hash="${tx.hash}">Cancel</button>` : ''}
+                        <button class="btn-primary" data-action="remove" data-hash="${tx.hash}">Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Speed up or cancel a pending transaction from the Transactions panel.
+     */
+    async replaceManagedTx(action, hash) {
+        try {
+            const replacement = action === 'cancel'
+                ? await this.txManager.cancel(hash)
+                : await this.txManager.speedUp(hash);
+            this.logger.tx(replacement.label, replacement.hash);
+        } catch (e) {
+            this.logger.error(`${action === 'cancel' ? 'Cancel' : 'Speed up'} failed`, e);
+            this.showTxError(e.message);
+        }
     }
 
+    // =========================================================================
+    // Canton Wallet
+    // =========================================================================
+
     /**
-     * Check the Canton balance for the connected wallet.
+     * Party IDs are "<hint>::<fingerprint>"; show the hint and the start of
+     * the fingerprint.
      */
-    async checkCantonBalance(apiUrl) {
-        if (!this.signer) throw new Error('Wallet not connected');
+    formatParty(party) {
+        if (!party) return '-';
+        const [hint, fingerprint] = party.split('::');
+        return fingerprint ? `${hint}::${fingerprint.slice(0, 8)}...` : this.truncateHash(party);
+    }
 
-        const userAddress = await this.signer.getAddress();
-        const timestamp = Math.floor(Date.now() / 1000);
-        const message = `erc20_balanceOf:${timestamp}`;
+    async refreshCantonHoldings() {
+        const container = document.getElementById('canton-holdings');
+        const apiUrl = document.getElementById('api-url').value;
+        if (!this.isConnected) {
+            container.innerHTML = '<div class="empty-state">Connect your wallet to see your Canton holdings</div>';
+            return;
+        }
+        container.innerHTML = '<div class="empty-state">Loading holdings...</div>';
+        try {
+            const { holdings, totals } = await this.client.getCantonHoldings(apiUrl);
+            if (holdings.length === 0) {
+                container.innerHTML = '<div class="empty-state">No holdings on Canton</div>';
+                return;
+            }
+            container.innerHTML = `
+                ${totals.map(({ instrument, unlocked, locked }) => {
+                    const symbol = this.logger.escapeHtml(instrument || '');
+                    return `
+                <div class="state-item"><span class="state-label">Available:</span><span class="state-value">${unlocked} ${symbol}</span></div>
+                <div class="state-item"><span class="state-label">Locked:</span><span class="state-value">${locked} ${symbol}</span></div>`;
+                }).join('')}
+                ${holdings.map(holding => `
+                <div class="queued-withdrawal">
+                    <div class="label">Holding ${holding.locked ? '<span class="stuck-transfer-status pending">LOCKED</span>' : ''}</div>
+                    <div class="value">${this.formatHashWithCopy(this.logger.escapeHtml(holding.contractId))}</div>
+                    <div class="label">Amount</div>
+                    <div class="value">${this.logger.escapeHtml(holding.amount)} ${this.logger.escapeHtml(holding.instrument || '')}</div>
+                    ${holding.lock ? `
+                    <div class="label">Locked by</div>
+                    <div class="value">${holding.lock.holders.map(holder => this.logger.escapeHtml(this.formatParty(holder))).join(', ') || '-'}
+                        ${holding.lock.expiresAt ? `until ${new Date(holding.lock.expiresAt).toLocaleString()}` : ''}
+                        ${holding.lock.context ? `(${this.logger.escapeHtml(holding.lock.context)})` : ''}</div>` : ''}
+                </div>`).join('')}
+            `;
+        } catch (e) {
+            this.logger.error('Failed to load Canton holdings', e);
+            container.innerHTML = `<div class="tx-error">Error: ${this.logger.escapeHtml(e.message)}</div>`;
+        }
+    }
 
-        // Sign the message for authentication
-        const signature = await this.signer.signMessage(message);
+    /**
+     * Show a page of the Canton transfer history. Pages are reached through
+     * the cursors of the pages before them, so only the next page and the
+     * ones already seen can be opened.
+     */
+    async loadCantonHistory(page = 0) {
+        const container = document.getElementById('canton-history');
+        const apiUrl = document.getElementById('api-url').value;
+        if (!this.isConnected) {
+            container.innerHTML = '<div class="empty-state">Connect your wallet to see your Canton transfers</div>';
+            return;
+        }
+        if (page === 0) this.cantonHistoryCursors = [null];
+        container.innerHTML = '<div class="empty-state">Loading transfer history...</div>';
+        try {
+            const { events, nextCursor } = await this.client.getCantonTransferHistory(apiUrl, {
+                cursor: this.cantonHistoryCursors[page],
+                limit: CANTON_HISTORY_PAGE_SIZE
+            });
+            this.cantonHistoryPage = page;
+            this.cantonHistoryCursors[page + 1] = nextCursor;
+            this.renderCantonHistory(events);
+        } catch (e) {
+            this.logger.error('Failed to load Canton transfer history', e);
+            container.innerHTML = `<div class="tx-error">Error: ${this.logger.escapeHtml(e.message)}</div>`;
+        }
+    }
 
-        const rpcRequest = {
-            jsonrpc: '2.0',
-            method: 'erc20_balanceOf',
-            params: {},
-            id: 1
+    renderCantonHistory(events) {
+        const container = document.getElementById('canton-history');
+        const page = this.cantonHistoryPage;
+        document.getElementById('canton-history-page').textContent = `Page ${page + 1}`;
+        document.getElementById('canton-history-newer').disabled = page === 0;
+        document.getElementById('canton-history-older').disabled = !this.cantonHistoryCursors[page + 1];
+
+        if (events.length === 0) {
+            container.innerHTML = '<div class="empty-state">No Canton transfers yet</div>';
+            return;
+        }
+        container.innerHTML = events.map(event => {
+            const label = event.kind === 'transfer'
+                ? (event.direction === 'in' ? 'Received' : 'Sent')
+                : (event.kind === 'mint' ? 'Minted (deposit)' : 'Burned (withdrawal)');
+            const counterparty = event.kind === 'transfer'
+                ? `<span><strong>${event.direction === 'in' ? 'From' : 'To'}:</strong> <code>${this.logger.escapeHtml(this.formatParty(event.direction === 'in' ? event.from : event.to))}</code></span>`
+                : '';
+            return `
+                <div class="event-item ${event.kind === 'burn' ? 'withdrawal' : 'deposit'}">
+                    <div class="stuck-transfer-header">
+                        <span class="stuck-transfer-id">${label}: ${this.logger.escapeHtml(event.amount)} ${this.logger.escapeHtml(event.instrument || '')}</span>
+                        <span>${event.timestamp ? new Date(event.timestamp).toLocaleString() : ''}</span>
+                    </div>
+                    <div class="stuck-transfer-details">
+                        ${counterparty}
+                        ${event.externalTxId ? `<span><strong>EVM TX:</strong> ${ethers.isHexString(event.externalTxId, 32) ? this.explorerTxLink(event.externalTxId) : `<code>${this.logger.escapeHtml(event.externalTxId)}</code>`}</span>` : ''}
+                        ${event.externalAddress ? `<span><strong>EVM address:</strong> <code>${this.logger.escapeHtml(this.truncateHash(event.externalAddress))}</code></span>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // =========================================================================
+    // Canton Event Explorer
+    // =========================================================================
+
+    /**
+     * Explorer reading from the JSON stand-in when one is set, else from the
+     * middleware. Recreated when the client or either URL changes.
+     */
+    getCantonExplorer() {
+        const apiUrl = document.getElementById('api-url').value || null;
+        const sourceUrl = document.getElementById('canton-events-url').value.trim() || null;
+        const current = this.cantonExplorer;
+        if (current?.client === this.client && current.apiUrl === apiUrl && current.sourceUrl === sourceUrl) return current;
+
+        const explorer = new CantonEventExplorer({ client: this.client, apiUrl, sourceUrl });
+        explorer.on('log', ({ level, message, details }) => this.logger.log(level, message, details));
+        this.cantonExplorer = explorer;
+        return explorer;
+    }
+
+    readExplorerFilter() {
+        const time = (id) => {
+            const value = document.getElementById(id).value;
+            return value ? new Date(value).getTime() : null;
         };
+        return {
+            party: document.getElementById('explorer-party').value.trim() || null,
+            instrument: document.getElementById('explorer-instrument').value.trim() || null,
+            kind: document.getElementById('explorer-kind').value || null,
+            direction: document.getElementById('explorer-direction').value || null,
+            since: time('explorer-since'),
+            until: time('explorer-until')
+        };
+    }
+
+    /**
+     * Show a page of events matching the filter form. Page 0 starts a new
+     * search; later pages follow the cursors of the pages before them.
+     */
+    async searchCantonEvents(page = 0) {
+        const container = document.getElementById('canton-events');
+        if (page === 0) this.explorerCursors = [null];
+        container.innerHTML = '<div class="empty-state" style="padding: 20px;">Loading Canton events...</div>';
+        try {
+            const explorer = this.getCantonExplorer();
+            if (page === 0) explorer.refresh();
+            const { events, nextCursor } = await explorer.query(this.readExplorerFilter(), {
+                cursor: this.explorerCursors[page],
+                limit: CANTON_EXPLORER_PAGE_SIZE
+            });
+            this.explorerPage = page;
+            this.explorerCursors[page + 1] = nextCursor;
+            this.renderCantonEvents(events);
+        } catch (e) {
+            this.logger.error('Failed to load Canton events', e);
+            container.innerHTML = `<div class="tx-error">Error: ${this.logger.escapeHtml(e.message)}</div>`;
+        }
+    }
 
-        this.logger.api('POST', apiUrl, { method: 'erc20_balanceOf', address: userAddress.slice(0,10) });
+    renderCantonEvents(events) {
+        const container = document.getElementById('canton-events');
+        const page = this.explorerPage;
+        document.getElementById('explorer-page').textContent = `Page ${page + 1}`;
+        document.getElementById('explorer-newer').disabled = page === 0;
+        document.getElementById('explorer-older').disabled = !this.explorerCursors[page + 1];
 
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Signature': signature,
-                'X-Message': message
-            },
-            body: JSON.stringify(rpcRequest)
+        if (events.length === 0) {
+            container.innerHTML = '<div class="empty-state" style="padding: 20px;">No events match the filter</div>';
+            return;
+        }
+        const escape = (value) => this.logger.escapeHtml(value);
+        container.innerHTML = events.map((event, i) => `
+            <div class="event-item ${event.kind === 'burn' ? 'withdrawal' : 'deposit'}">
+                <div class="stuck-transfer-header">
+                    <span class="stuck-transfer-id">${event.kind.toUpperCase()} ${escape(event.amount)} ${escape(event.instrument || '')}</span>
+                    <span>${event.timestamp ? new Date(event.timestamp).toLocaleString() : ''}</span>
+                </div>
+                <div class="stuck-transfer-details">
+                    ${event.from ? `<span><strong>From:</strong> <code title="${escape(event.from)}">${escape(this.formatParty(event.from))}</code></span>` : ''}
+                    ${event.to ? `<span><strong>To:</strong> <code title="${escape(event.to)}">${escape(this.formatParty(event.to))}</code></span>` : ''}
+                    ${event.fingerprint ? `<span><strong>Fingerprint:</strong> <code>${escape(this.truncateHash(event.fingerprint))}</code></span>` : ''}
+                    ${event.externalAddress ? `<span><strong>EVM address:</strong> <code>${escape(this.truncateHash(event.externalAddress))}</code></span>` : ''}
+                </div>
+                ${event.externalTxId ? `
+                <div class="stuck-transfer-details">
+                    <span><strong>EVM ${event.kind === 'mint' ? 'deposit' : 'transaction'}:</strong>
+                        ${ethers.isHexString(event.externalTxId, 32) ? this.explorerTxLink(event.externalTxId) : `<code>${escape(event.externalTxId)}</code>`}</span>
+                    ${event.kind === 'mint' ? `<span id="canton-event-deposit-${i}">Checking DepositToCanton...</span>` : ''}
+                </div>` : ''}
+            </div>
+        `).join('');
+
+        events.forEach((event, i) => {
+            if (event.kind === 'mint' && event.externalTxId) this.renderEventDeposit(event, `canton-event-deposit-${i}`);
         });
+    }
 
-        const result = await response.json();
+    /**
+     * Fill in the DepositToCanton log behind a bridged mint.
+     */
+    async renderEventDeposit(event, elementId) {
+        let text;
+        try {
+            const deposit = await this.cantonExplorer.resolveDeposit(event);
+            if (!deposit) {
+                text = '<span style="color: #e67e22;">Not an EVM transaction hash</span>';
+            } else if (!deposit.found) {
+                text = '<span style="color: #e74c3c;">No DepositToCanton on this bridge in that transaction</span>';
+            } else {
+                const amount = await this.formatAmount(deposit.token, deposit.amount);
+                text = `DepositToCanton of ${this.logger.escapeHtml(amount)} from <code>${this.truncateHash(deposit.sender)}</code> in block ${deposit.blockNumber}`;
+            }
+        } catch (e) {
+            text = `<span style="color: #e74c3c;">Deposit lookup failed: ${this.logger.escapeHtml(e.message)}</span>`;
+        }
+        const element = document.getElementById(elementId);
+        if (element) element.innerHTML = text;
+    }
 
-        if (result.error) {
-            this.logger.error('Balance check failed', result.error);
-            throw new Error(result.error.message || result.error.data || 'Balance check failed');
+    // =========================================================================
+    // Reconciliation
+    // =========================================================================
+
+    /**
+     * Build a reconciliation report for the tokens in the form (default:
+     * every registry token). Canton supply comes from the middleware, mints
+     * and burns from the Event Explorer's source.
+     */
+    async runReconciliation() {
+        this.cancelReconciliation();
+        const controller = new AbortController();
+        this.reconciliation = controller;
+
+        const progress = document.getElementById('reconcile-progress');
+        const runBtn = document.getElementById('reconcile-btn');
+        const cancelBtn = document.getElementById('cancel-reconcile-btn');
+        runBtn.disabled = true;
+        cancelBtn.disabled = false;
+        document.getElementById('reconcile-summary').innerHTML = '';
+        document.getElementById('reconcile-discrepancies').innerHTML = '';
+
+        try {
+            const block = (id) => {
+                const value = document.getElementById(id).value;
+                return value === '' ? undefined : parseInt(value);
+            };
+            const tokens = document.getElementById('reconcile-tokens').value
+                .split(',').map(token => token.trim()).filter(Boolean);
+            for (const token of tokens) {
+                if (!ethers.isAddress(token)) throw new Error(`Not a token address: ${token}`);
+            }
+
+            const apiUrl = document.getElementById('api-url').value || null;
+            const reconciler = new Reconciler({ client: this.client, apiUrl, explorer: this.getCantonExplorer() });
+            reconciler.on('progress', ({ message }) => {
+                if (this.reconciliation === controller) progress.textContent = message;
+            });
+            reconciler.on('log', ({ level, message, details }) => this.logger.log(level, message, details));
+
+            this.logger.info('Running reconciliation', { tokens: tokens.length ? tokens : 'all' });
+            const report = await reconciler.run({
+                tokens: tokens.length ? tokens : null,
+                fromBlock: block('reconcile-from-block'),
+                toBlock: block('reconcile-to-block'),
+                signal: controller.signal
+            });
+            if (this.reconciliation !== controller) return;
+
+            this.reconciliationReport = report;
+            progress.textContent = `Blocks ${report.range.fromBlock} to ${report.range.toBlock}: ` +
+                `${report.tokens.length} tokens, ${report.discrepancies.length} discrepancies`;
+            this.renderReconciliation(report);
+        } catch (e) {
+            progress.textContent = `Reconciliation failed: ${e.shortMessage || e.message}`;
+            this.logger.error('Reconciliation failed', e);
+        } finally {
+            if (this.reconciliation === controller) {
+                this.reconciliation = null;
+                runBtn.disabled = false;
+                cancelBtn.disabled = true;
+            }
+            const hasReport = Boolean(this.reconciliationReport);
+            for (const id of ['reconcile-json-btn', 'reconcile-csv-btn', 'reconcile-summary-csv-btn']) {
+                document.getElementById(id).disabled = !hasReport;
+            }
         }
+    }
 
-        this.logger.success(`Canton balance: ${result.result.balance}`);
-        return result.result;
+    cancelReconciliation() {
+        if (this.reconciliation) this.reconciliation.abort();
+    }
+
+    renderReconciliation(report) {
+        const escape = (value) => this.logger.escapeHtml(value);
+        const value = (amount, symbol) => amount === null || amount === undefined ? '-' : `${escape(amount)} ${escape(symbol)}`;
+
+        document.getElementById('reconcile-summary').innerHTML = report.tokens.map(token => `
+            <div class="event-item ${token.status === 'ok' ? 'deposit' : 'withdrawal'}">
+                <div class="stuck-transfer-header">
+                    <span class="stuck-transfer-id">${escape(token.symbol)} ${token.instrument ? `(${escape(token.instrument)} on Canton)` : ''}</span>
+                    <span style="color: ${token.status === 'ok' ? '#27ae60' : '#e74c3c'};">${token.status === 'ok' ? 'Reconciled' : 'Discrepancies'}</span>
+                </div>
+                <div class="stuck-transfer-details">
+                    <span><strong>Deposited:</strong> ${value(token.evm.deposited, token.symbol)}</span>
+                    <span><strong>Withdrawn:</strong> ${value(token.evm.withdrawn, token.symbol)}</span>
+                    ${token.evm.emergency !== '0.0' ? `<span><strong>Emergency:</strong> ${value(token.evm.emergency, token.symbol)}</span>` : ''}
+                </div>
+                <div class="stuck-transfer-details">
+                    <span><strong>Locked:</strong> ${value(token.evm.lockedBalance, token.symbol)}</span>
+                    <span><strong>Bridge balance:</strong> ${value(token.evm.bridgeBalance, token.symbol)}</span>
+                    <span><strong>Canton supply:</strong> ${value(token.canton?.supply, token.symbol)}</span>
+                    ${token.backed === false ? '<span style="color: #e74c3c;"><strong>Not fully backed</strong></span>' : ''}
+                </div>
+                <div class="stuck-transfer-details">
+                    <span><strong>Awaiting mint:</strong> ${value(token.inFlight.pendingDeposits, token.symbol)}</span>
+                    <span><strong>Awaiting release:</strong> ${value(token.inFlight.pendingReleases, token.symbol)}</span>
+                </div>
+            </div>
+        `).join('') || '<div class="empty-state" style="padding: 20px;">No tokens to reconcile</div>';
+
+        const container = document.getElementById('reconcile-discrepancies');
+        if (report.discrepancies.length === 0) {
+            container.innerHTML = report.tokens.length
+                ? '<div class="empty-state" style="padding: 20px;">No discrepancies</div>'
+                : '';
+            return;
+        }
+        container.innerHTML = `<h3 style="font-size: 14px;">Discrepancies (${report.discrepancies.length})</h3>` +
+            report.discrepancies.map(d => `
+            <div class="stuck-transfer failed">
+                <div class="stuck-transfer-header">
+                    <span class="stuck-transfer-id">${escape(d.type)}: ${escape(d.symbol)}</span>
+                    <span>${d.amount !== null ? value(d.amount, d.symbol) : ''}</span>
+                </div>
+                <div class="stuck-transfer-details">
+                    <span>${escape(d.detail)}</span>
+                    ${d.evmTx ? `<span><strong>EVM TX:</strong> ${ethers.isHexString(d.evmTx, 32) ? this.explorerTxLink(d.evmTx) : `<code>${escape(d.evmTx)}</code>`}</span>` : ''}
+                    ${d.cantonEvent ? `<span><strong>Canton event:</strong> <code title="${escape(d.cantonEvent)}">${escape(this.truncateHash(d.cantonEvent))}</code></span>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Save the last report as a file: `json`, `csv` (discrepancies) or
+     * `summary` (per-token totals as CSV).
+     */
+    downloadReconciliation(format) {
+        const report = this.reconciliationReport;
+        if (!report) return;
+        const [content, type, suffix] = format === 'json'
+            ? [reportToJson(report), 'application/json', 'json']
+            : format === 'summary'
+                ? [summaryToCsv(report), 'text/csv', 'summary.csv']
+                : [reportToCsv(report), 'text/csv', 'discrepancies.csv'];
+
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `reconciliation-${report.network.chainId}-${report.range.toBlock}.${suffix}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // =========================================================================
+    // Queued Withdrawals
+    // =========================================================================
+
+    /**
+     * Rebuild the list of time-locked withdrawals from bridge events.
+     */
+    async refreshQueuedWithdrawals() {
+        const container = document.getElementById('queued-withdrawals-list');
+        container.innerHTML = '<div class="empty-state">Loading queued withdrawals...</div>';
+        try {
+            this.queuedWithdrawals = await this.client.getQueuedWithdrawals();
+        } catch (e) {
+            this.queuedWithdrawals = [];
+            this.logger.error('Failed to load queued withdrawals', e);
+            container.innerHTML = `<div class="tx-error">Error: ${this.logger.escapeHtml(e.message)}</div>`;
+            return;
+        }
+        await this.renderQueuedWithdrawals();
+    }
+
+    /**
+     * Look up the connected account's bridge roles; they gate the
+     * Execute (relayer) and Cancel (admin) buttons and the admin console.
+     */
+    async loadRoles() {
+        this.roles = {};
+        this.registryRoles = {};
+        if (this.signer) {
+            const account = await this.signer.getAddress();
+            try {
+                this.roles = await this.client.getRoles(account);
+            } catch (e) {
+                this.logger.warn('Failed to read bridge roles', e.message);
+            }
+            if (this.client.readRegistry) {
+                try {
+                    this.registryRoles = await this.client.getRegistryRoles(account);
+                } catch (e) {
+                    this.logger.warn('Failed to read registry roles', e.message);
+                }
+            }
+        }
+        this.renderAdminRoles();
+        this.renderRegistryActions();
+        await this.renderRoleMembers();
+        await this.renderQueuedWithdrawals();
+    }
+
+    async renderQueuedWithdrawals() {
+        const container = document.getElementById('queued-withdrawals-list');
+        if (this.queuedWithdrawals.length === 0) {
+            container.innerHTML = '<div class="empty-state">No queued withdrawals found</div>';
+            return;
+        }
+
+        const amounts = await Promise.all(this.queuedWithdrawals.map(w => this.formatAmount(w.token, w.amount)));
+        const executeTitle = this.roles.relayer ? '' : 'title="Requires RELAYER_ROLE"';
+        const cancelTitle = this.roles.admin ? '' : 'title="Requires ADMIN_ROLE"';
+
+        container.innerHTML = this.queuedWithdrawals.map((w, i) => `
+            <div class="queued-withdrawal">
+                <div class="label">Withdrawal ID</div>
+                <div class="value">${this.formatHashWithCopy(w.withdrawalId)}</div>
+                <div class="label">Amount</div>
+                <div class="value">${this.logger.escapeHtml(amounts[i])}</div>
+                <div class="label">Token / Recipient</div>
+                <div class="value"><code>${this.truncateHash(w.token)}</code> &rarr; <code>${this.truncateHash(w.recipient)}</code></div>
+                <div class="label">Executable in</div>
+                <div class="value"><span class="countdown" data-until="${w.executeAfter}">${this.formatCountdown(w.executeAfter)}</span></div>
+                <div class="btn-group" style="margin-top: 8px;">
+                    <button class="btn-success" data-action="execute" data-id="${w.withdrawalId}" ${this.roles.relayer ? '' : 'disabled'} ${executeTitle} style="padding: 4px 10px; font-size: 11px;">Execute</button>
+                    <button class="btn-danger" data-action="cancel" data-id="${w.withdrawalId}" ${this.roles.admin ? '' : 'disabled'} ${cancelTitle} style="padding: 4px 10px; font-size: 11px;">Cancel</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // =========================================================================
+    // Admin Console
+    // =========================================================================
+
+    /**
+     * Show which roles the account holds and enable the admin actions it
+     * may call.
+     */
+    renderAdminRoles() {
+        document.getElementById('admin-roles').innerHTML = Object.keys(BRIDGE_ROLES).map(role =>
+            `<span class="role-badge ${this.roles[ROLE_FLAGS[role]] ? 'held' : ''}">${role}_ROLE</span>`
+        ).join('');
+
+        for (const button of document.querySelectorAll('[data-admin-action]')) {
+            const role = ADMIN_ACTIONS[button.dataset.adminAction];
+            const allowed = Boolean(this.roles[ROLE_FLAGS[role]]);
+            button.disabled = !allowed;
+            button.title = allowed ? '' : `Requires ${role}_ROLE`;
+        }
+    }
+
+    /**
+     * Read the bridge settings, and those of the selected token, into the
+     * admin console.
+     */
+    async refreshAdminState() {
+        const tokenAddress = document.getElementById('admin-token').value.trim();
+        const tokenState = document.getElementById('admin-token-state');
+        try {
+            const state = await this.client.getAdminState(ethers.isAddress(tokenAddress) ? tokenAddress : null);
+            document.getElementById('admin-paused').textContent = state.paused ? 'Yes' : 'No';
+            document.getElementById('admin-timelock').textContent = `${state.timeLockDelay} s`;
+
+            if (!state.token) {
+                tokenState.innerHTML = '';
+                return;
+            }
+            const { info, rateLimit } = state.token;
+            const amount = (raw) => formatTokenAmount(raw, info);
+            const rows = [
+                ['Registered', state.token.registered ? 'Yes' : 'No'],
+                ['Canton Token ID', this.truncateHash(state.token.cantonTokenId)],
+                ['Rate Limit', rateLimit.maxAmount === 0n ? 'Not set' : `${amount(rateLimit.maxAmount)} per ${rateLimit.period} s`],
+                ['Large Withdrawal Threshold', state.token.threshold === 0n ? 'Disabled' : amount(state.token.threshold)],
+                ['Locked Balance', amount(state.token.lockedBalance)],
+                ['Bridge Balance', amount(state.token.balance)]
+            ];
+            tokenState.innerHTML = rows.map(([label, value]) => `
+                <div class="state-item">
+                    <span class="state-label">${label}:</span>
+                    <span class="state-value">${this.logger.escapeHtml(value)}</span>
+                </div>
+            `).join('');
+        } catch (e) {
+            tokenState.innerHTML = '';
+            this.logger.error('Failed to read admin state', e);
+        }
+    }
+
+    /**
+     * Parameters of an admin action, from the admin console form.
+     */
+    readAdminParams(action) {
+        const value = (id) => document.getElementById(id).value.trim();
+        switch (action) {
+            case 'setTimeLockDelay':
+                return { delay: value('admin-delay') };
+            case 'registerToken':
+                return { token: value('admin-token'), cantonTokenId: value('admin-canton-token-id') };
+            case 'setTokenRateLimit':
+                return { token: value('admin-token'), maxAmount: value('admin-rate-max') || '0', period: value('admin-rate-period') || '0' };
+            case 'setLargeWithdrawalThreshold':
+                return { token: value('admin-token'), threshold: value('admin-threshold') || '0' };
+            case 'emergencyWithdraw':
+                return { token: value('admin-token'), amount: value('admin-emergency-amount'), recipient: value('admin-emergency-recipient') };
+            case 'deregisterToken':
+                return { token: value('admin-token') };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Preview an admin action's on-chain changes, ask for confirmation,
+     * then send it.
+     */
+    async runAdminAction(action) {
+        const params = this.readAdminParams(action);
+        try {
+            const changes = await this.client.previewAdminAction(action, params);
+            const summary = changes.map(c => `${c.label}: ${c.before} \u2192 ${c.after}`).join('\n');
+            const warning = action === 'emergencyWithdraw'
+                ? '\n\nThis bypasses the bridge accounting and cannot be undone.'
+                : '';
+            if (!confirm(`${ADMIN_ACTION_LABELS[action]}?\n\n${summary}${warning}`)) return;
+
+            switch (action) {
+                case 'registerToken':
+                    await this.client.registerToken(params.token, params.cantonTokenId);
+                    break;
+                case 'deregisterToken':
+                    await this.client.deregisterToken(params.token);
+                    break;
+                case 'setTokenRateLimit':
+                    await this.client.setTokenRateLimit(params.token, params.maxAmount, params.period);
+                    this.rateLimits.refresh(params.token);
+                    break;
+                case 'setLargeWithdrawalThreshold':
+                    await this.client.setLargeWithdrawalThreshold(params.token, params.threshold);
+                    break;
+                case 'setTimeLockDelay':
+                    await this.client.setTimeLockDelay(params.delay);
+                    break;
+                case 'emergencyWithdraw':
+                    await this.client.emergencyWithdraw(params.token, params.amount, params.recipient);
+                    break;
+                default:
+                    await this.client[action]();
+            }
+            await this.refreshAdminState();
+        } catch (e) {
+            this.showTxError(e.shortMessage || e.message);
+            this.logger.error(`${ADMIN_ACTION_LABELS[action]} failed`, e);
+        }
+    }
+
+    // =========================================================================
+    // Token Registry
+    // =========================================================================
+
+    /**
+     * Load registry tokens, supported chains and bridge/registry drift.
+     */
+    async loadRegistry() {
+        const container = document.getElementById('registry-tokens');
+        if (!this.client.readRegistry) {
+            container.innerHTML = '<div class="empty-state" style="padding: 20px;">No token registry for this network</div>';
+            return;
+        }
+        container.innerHTML = '<div class="empty-state" style="padding: 20px;">Reading registry and bridge tokens...</div>';
+        try {
+            this.registryOverview = await this.client.getRegistryOverview();
+        } catch (e) {
+            container.innerHTML = `<div class="tx-error" style="margin: 10px;">Error: ${this.logger.escapeHtml(e.shortMessage || e.message)}</div>`;
+            this.logger.error('Failed to load the token registry', e);
+            return;
+        }
+        const drifted = this.registryOverview.tokens.filter(t => t.drift.length).length;
+        if (drifted) this.logger.warn(`${drifted} tokens differ between bridge and registry`);
+        this.renderRegistry();
+    }
+
+    renderRegistry() {
+        const { tokens, chains } = this.registryOverview;
+        const escape = (value) => this.logger.escapeHtml(String(value));
+
+        document.getElementById('registry-tokens').innerHTML = tokens.length === 0
+            ? '<div class="empty-state" style="padding: 20px;">No tokens in the registry or the bridge</div>'
+            : tokens.map(t => {
+                const r = t.registry;
+                const status = !r ? 'Not in registry' : r.isActive ? 'Active' : 'Inactive';
+                const cardClass = t.drift.length ? 'drift' : r?.isActive ? '' : 'inactive';
+                const toggle = r && (r.isActive
+                    ? `<button class="btn-danger" data-registry-action="deactivateToken" data-token="${t.address}" style="padding: 4px 10px; font-size: 11px;">Deactivate</button>`
+                    : `<button class="btn-success" data-registry-action="reactivateToken" data-token="${t.address}" style="padding: 4px 10px; font-size: 11px;">Reactivate</button>`);
+                return `
+                    <div class="registry-token ${cardClass}">
+                        <div class="registry-token-details">
+                            <strong>${r ? `${escape(r.symbol)} - ${escape(r.name)}` : 'Unknown token'}</strong>
+                            ${this.formatHashWithCopy(t.address)}
+                        </div>
+                        <div class="registry-token-details">
+                            <span><strong>Registry:</strong> ${status}</span>
+                            <span><strong>Bridge:</strong> ${t.bridgeRegistered ? 'Registered' : 'Not registered'}</span>
+                            ${r ? `<span><strong>Decimals:</strong> ${r.decimals}</span>` : ''}
+                            ${r ? `<span><strong>Native:</strong> ${r.isNative ? 'Yes' : 'No'}</span>` : ''}
+                            ${r ? `<span><strong>Chain:</strong> ${r.chainId}</span>` : ''}
+                        </div>
+                        ${r ? `<div class="registry-token-details">${this.formatHashWithCopy(r.cantonTokenId, 'Canton ID: ')}
+                            <span>&rarr; ${t.reverseToken.toLowerCase() === t.address.toLowerCase() ? 'maps back to this token' : `maps to <code>${this.truncateHash(t.reverseToken)}</code>`}</span></div>` : ''}
+                        ${t.drift.map(d => `<div class="registry-drift">&#9888; ${escape(d)}</div>`).join('')}
+                        ${toggle ? `<div class="btn-group" style="margin-top: 8px;">${toggle}</div>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+        document.getElementById('registry-chains').innerHTML = chains.map(c => `
+            <div class="state-item">
+                <span class="state-label">Chain ${c.chainId}</span>
+                <span class="state-value">${c.supported ? 'Supported' : 'Removed'}</span>
+            </div>
+        `).join('') || '<div class="empty-state" style="padding: 10px;">No supported chains</div>';
+
+        this.renderRegistryActions();
+    }
+
+    /**
+     * Enable the registry actions the connected account's roles allow.
+     */
+    renderRegistryActions() {
+        for (const button of document.querySelectorAll('[data-registry-action]')) {
+            const role = REGISTRY_ACTIONS[button.dataset.registryAction];
+            const allowed = Boolean(this.registryRoles[ROLE_FLAGS[role]]);
+            button.disabled = !allowed;
+            button.title = allowed ? '' : `Requires ${role}_ROLE on the registry`;
+        }
+    }
+
+    /**
+     * Confirm and send a registry mutation. Per-token buttons pass their
+     * token; the others read the Token Registry forms.
+     */
+    async runRegistryAction(action, token = null) {
+        const value = (id) => document.getElementById(id).value.trim();
+        token = token || value('registry-token');
+        const cantonTokenId = value('registry-canton-id');
+        const chainId = value('registry-chain-id');
+        const prompts = {
+            registerToken: `Register ${token} in the registry with Canton token ID ${cantonTokenId}?`,
+            updateCantonTokenId: `Map ${token} to Canton token ID ${cantonTokenId}? The old ID stops resolving to this token.`,
+            deactivateToken: `Deactivate ${token} in the registry? Deposits through this UI are blocked until it is reactivated.`,
+            reactivateToken: `Reactivate ${token} in the registry?`,
+            addSupportedChain: `Add chain ${chainId} to the supported chains?`,
+            removeSupportedChain: `Remove chain ${chainId} from the supported chains?`
+        };
+        if (!confirm(prompts[action])) return;
+
+        try {
+            switch (action) {
+                case 'registerToken': {
+                    const metadata = value('registry-symbol') || value('registry-name') || value('registry-decimals')
+                        ? { symbol: value('registry-symbol'), name: value('registry-name'), decimals: value('registry-decimals') || 18 }
+                        : null;
+                    await this.client.registerRegistryToken(token, cantonTokenId, document.getElementById('registry-native').checked, metadata);
+                    break;
+                }
+                case 'updateCantonTokenId':
+                    await this.client.updateCantonTokenId(token, cantonTokenId);
+                    break;
+                case 'deactivateToken':
+                    await this.client.deactivateRegistryToken(token);
+                    break;
+                case 'reactivateToken':
+                    await this.client.reactivateRegistryToken(token);
+                    break;
+                case 'addSupportedChain':
+                    await this.client.addSupportedChain(chainId);
+                    break;
+                case 'removeSupportedChain':
+                    await this.client.removeSupportedChain(chainId);
+                    break;
+            }
+            await Promise.all([this.loadRegistry(), this.loadTokens()]);
+        } catch (e) {
+            this.showTxError(e.shortMessage || e.message);
+            this.logger.error('Registry update failed', e);
+        }
     }
 
     // =========================================================================
-    // Withdrawal Functions (Canton → EVM)
+    // Role Members
     // =========================================================================
 
     /**
-     * Initiate a withdrawal from Canton via the middleware RPC API.
-     * This calls erc20_withdraw which creates a withdrawal event on Canton.
-     * The middleware then processes it and releases tokens on EVM.
+     * Rebuild the role holders of the contract picked in the Role Members
+     * panel from its RoleGranted / RoleRevoked logs.
      */
-    async initiateWithdrawal(apiUrl, amount, destination) {
-        if (!this.signer) throw new Error('Wallet not connected');
-
-        const userAddress = await this.signer.getAddress();
-        const timestamp = Math.floor(Date.now() / 1000);
-        const message = `erc20_withdraw:${timestamp}`;
-
-        // Sign the message for authentication
-        const signature = await this.signer.signMessage(message);
-
-        // Prepare RPC request
-        const params = { amount };
-        if (destination && destination.trim()) {
-            params.to = destination.trim();
-        }
-
-        const rpcRequest = {
-            jsonrpc: '2.0',
-            method: 'erc20_withdraw',
-            params: params,
-            id: 1
-        };
-
-        this.logger.api('POST', apiUrl, { method: 'erc20_withdraw', amount, destination: destination || userAddress });
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Signature': signature,
-                'X-Message': message
-            },
-            body: JSON.stringify(rpcRequest)
-        });
-
-        const result = await response.json();
-
-        if (result.error) {
-            this.logger.error('Withdrawal failed', result.error);
-            throw new Error(result.error.message || result.error.data || 'Withdrawal failed');
+    async loadRoleMembers() {
+        const contract = document.getElementById('role-members-contract').value;
+        const container = document.getElementById('role-members');
+        container.innerHTML = '<div class="empty-state" style="padding: 20px;">Replaying role events...</div>';
+        try {
+            this.roleMembers = await this.client.getRoleMembers(contract);
+        } catch (e) {
+            this.roleMembers = [];
+            container.innerHTML = `<div class="empty-state" style="padding: 20px;">Failed to load roles: ${this.logger.escapeHtml(e.shortMessage || e.message)}</div>`;
+            this.logger.error('Failed to load role members', e);
+            return;
         }
-
-        this.logger.success(`Withdrawal initiated`, { id: result.result?.withdrawalId?.slice(0,20), amount });
-        return result.result;
+        await this.renderRoleMembers();
     }
 
-    async executeWithdrawal(withdrawalId) {
-        if (!this.signer) throw new Error('Wallet not connected');
-
-        // Validate withdrawal ID
-        if (!withdrawalId.startsWith('0x') || withdrawalId.length !== 66) {
-            throw new Error('Withdrawal ID must be 32 bytes (0x + 64 hex chars)');
-        }
-
-        // Check if already processed
-        const processed = await this.bridge.processedWithdrawals(withdrawalId);
-        if (processed) {
-            throw new Error('Withdrawal already processed');
-        }
-
-        // Check if queued
-        const queued = await this.bridge.queuedWithdrawals(withdrawalId);
-        if (queued.executeAfter === 0n) {
-            throw new Error('Withdrawal not found in queue');
-        }
+    roleLabel(role) {
+        return isBytes32(role) ? this.truncateHash(role) : `${role}_ROLE`;
+    }
 
-        // Check time lock
-        const now = BigInt(Math.floor(Date.now() / 1000));
-        if (now < queued.executeAfter) {
-            const remaining = Number(queued.executeAfter - now);
-            throw new Error(`Withdrawal still time-locked. ${remaining} seconds remaining.`);
-        }
+    /**
+     * Whether the connected account appears among the holders of `role`.
+     */
+    async holdsListedRole(role) {
+        if (!this.signer) return false;
+        const account = (await this.signer.getAddress()).toLowerCase();
+        return this.roleMembers.some(r => r.role === role && r.members.some(m => m.account.toLowerCase() === account));
+    }
 
-        this.logger.api('CALL', 'Bridge.executeLargeWithdrawal()', { withdrawalId: withdrawalId.slice(0,20) });
-        this.showTxPending('Executing withdrawal...');
-        const tx = await this.bridge.executeLargeWithdrawal(withdrawalId);
-        this.logger.tx('Execute TX submitted', tx.hash);
-        this.showTxPending(`Execute TX submitted: ${tx.hash}`);
+    async renderRoleMembers() {
+        if (this.roleMembers.length === 0) return;
+        const manageable = await Promise.all(this.roleMembers.map(r => this.holdsListedRole(r.adminRole)));
+
+        document.getElementById('role-members').innerHTML = this.roleMembers.map((r, i) => {
+            const revokeAttrs = manageable[i] ? '' : `disabled title="Requires ${this.roleLabel(r.adminRole)}"`;
+            const members = r.members.map(m => `
+                <div class="role-member">
+                    <span>${this.formatHashWithCopy(m.account)}</span>
+                    <span>Granted in block ${m.grantedBlock} by <code title="${m.grantedBy}">${this.truncateHash(m.grantedBy)}</code></span>
+                    <button class="btn-danger" data-action="revoke" data-role="${r.role}" data-account="${m.account}" ${revokeAttrs} style="padding: 4px 10px; font-size: 11px;">Revoke</button>
+                </div>
+            `).join('');
+            return `
+                <div class="role-group">
+                    <h3>${this.roleLabel(r.role)} <small>managed by ${this.roleLabel(r.adminRole)}</small></h3>
+                    ${members || '<div class="role-member">No holders</div>'}
+                </div>
+            `;
+        }).join('');
 
-        const receipt = await tx.wait();
-        this.logger.success('Withdrawal executed successfully');
-        this.showTxSuccess('Withdrawal executed successfully', tx.hash);
-        return receipt;
+        document.getElementById('grant-role').innerHTML = this.roleMembers.map((r, i) =>
+            `<option value="${r.role}" ${manageable[i] ? '' : 'disabled'}>${this.roleLabel(r.role)}</option>`
+        ).join('');
     }
 
-    async cancelWithdrawal(withdrawalId) {
-        if (!this.signer) throw new Error('Wallet not connected');
-
-        if (!withdrawalId.startsWith('0x') || withdrawalId.length !== 66) {
-            throw new Error('Withdrawal ID must be 32 bytes (0x + 64 hex chars)');
+    /**
+     * Grant or revoke a role on the contract picked in the Role Members panel.
+     */
+    async changeRole(action, role, account) {
+        const contract = document.getElementById('role-members-contract').value;
+        try {
+            if (action === 'grant') {
+                await this.client.grantRole(contract, role, account);
+            } else {
+                await this.client.revokeRole(contract, role, account);
+            }
+            await this.loadRoleMembers();
+            await this.loadRoles();
+        } catch (e) {
+            this.showTxError(e.shortMessage || e.message);
+            this.logger.error(`Failed to ${action} ${this.roleLabel(role)}`, e);
         }
-
-        this.logger.api('CALL', 'Bridge.cancelLargeWithdrawal()', { withdrawalId: withdrawalId.slice(0,20) });
-        this.showTxPending('Cancelling withdrawal...');
-        const tx = await this.bridge.cancelLargeWithdrawal(withdrawalId);
-        this.logger.tx('Cancel TX submitted', tx.hash);
-        this.showTxPending(`Cancel TX submitted: ${tx.hash}`);
-
-        const receipt = await tx.wait();
-        this.logger.success('Withdrawal cancelled');
-        this.showTxSuccess('Withdrawal cancelled', tx.hash);
-        return receipt;
     }
 
     // =========================================================================
@@ -882,38 +2183,33 @@ class BridgeInterface {
             document.getElementById('state-rate-max').textContent = '-';
             document.getElementById('state-rate-used').textContent = '-';
             document.getElementById('state-rate-remaining').textContent = '-';
+            document.getElementById('state-rate-reset').textContent = '-';
             return;
         }
 
         try {
-            const tokenInfo = await this.getTokenInfo(tokenAddress);
-            const [isRegistered, lockedBalance, timeLockDelay] = await Promise.all([
-                this.readBridge.isTokenRegistered(tokenAddress),
-                this.readBridge.lockedBalances(tokenAddress),
-                this.readBridge.timeLockDelay()
-            ]);
-
-            document.getElementById('state-registered').textContent = isRegistered ? 'Yes' : 'No';
+            const state = await this.client.getBridgeState(tokenAddress);
+            const { decimals, symbol } = state.token;
+
+            document.getElementById('state-registered').textContent = state.isRegistered ? 'Yes' : 'No';
             document.getElementById('state-locked').textContent =
-                ethers.formatUnits(lockedBalance, tokenInfo.decimals) + ' ' + tokenInfo.symbol;
+                ethers.formatUnits(state.lockedBalance, decimals) + ' ' + symbol;
             document.getElementById('state-timelock').textContent =
-                Number(timeLockDelay) / 3600 + ' hours';
-
-            // Try to get rate limit (may not be set)
-            try {
-                const rateLimit = await this.readBridge.getRateLimit(tokenAddress);
-                const remaining = await this.readBridge.getRemainingRateLimit(tokenAddress);
+                Number(state.timeLockDelay) / 3600 + ' hours';
 
+            if (state.rateLimit?.limited) {
                 document.getElementById('state-rate-max').textContent =
-                    ethers.formatUnits(rateLimit.maxAmount, tokenInfo.decimals) + ' ' + tokenInfo.symbol;
+                    ethers.formatUnits(state.rateLimit.maxAmount, decimals) + ' ' + symbol;
                 document.getElementById('state-rate-used').textContent =
-                    ethers.formatUnits(rateLimit.usedAmount, tokenInfo.decimals) + ' ' + tokenInfo.symbol;
+                    ethers.formatUnits(state.rateLimit.usedAmount, decimals) + ' ' + symbol;
                 document.getElementById('state-rate-remaining').textContent =
-                    ethers.formatUnits(remaining, tokenInfo.decimals) + ' ' + tokenInfo.symbol;
-            } catch (e) {
+                    ethers.formatUnits(state.rateLimit.remaining, decimals) + ' ' + symbol;
+                document.getElementById('state-rate-reset').innerHTML = this.renderRateLimitReset(state.rateLimit);
+            } else {
                 document.getElementById('state-rate-max').textContent = 'Not set';
                 document.getElementById('state-rate-used').textContent = '-';
                 document.getElementById('state-rate-remaining').textContent = '-';
+                document.getElementById('state-rate-reset').textContent = '-';
             }
 
         } catch (e) {
@@ -922,22 +2218,109 @@ class BridgeInterface {
         }
     }
 
-    async queryQueuedWithdrawal(withdrawalId) {
-        const queued = await this.readBridge.queuedWithdrawals(withdrawalId);
-        if (queued.executeAfter === 0n) return null;
+    // =========================================================================
+    // Rate Limits
+    // =========================================================================
+
+    /**
+     * (Re)create the rate-limit monitor for the current client. It follows
+     * the registry tokens and the deposit form's token.
+     */
+    initRateLimits() {
+        if (this.rateLimits) this.rateLimits.stop();
+        this.rateLimits = new RateLimitMonitor({ client: this.client });
+        this.rateLimits.on('update', () => {
+            this.renderRateLimits();
+            this.showDepositRateLimit();
+        });
+        this.rateLimits.start();
+        this.renderRateLimits();
+    }
+
+    watchRateLimits() {
+        const tokens = this.tokens.map(token => token.address);
+        const selected = document.getElementById('token-address').value;
+        if (ethers.isAddress(selected)) tokens.push(selected);
+        return this.rateLimits.watch(tokens);
+    }
+
+    async renderRateLimits() {
+        const container = document.getElementById('rate-limit-gauges');
+        const entries = this.rateLimits.list();
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="empty-state" style="padding: 20px;">Registry tokens and the deposit token are shown here</div>';
+            return;
+        }
+        const gauges = await Promise.all(entries.map(({ token, status }) => this.renderRateLimitGauge(token, status)));
+        container.innerHTML = gauges.join('');
+    }
+
+    async renderRateLimitGauge(token, status) {
+        const info = await this.client.getTokenInfo(token).catch(() => null);
+        const name = info ? this.logger.escapeHtml(info.symbol) : `<code>${this.truncateHash(token)}</code>`;
+        const header = (detail) => `
+            <div class="rate-gauge-header">
+                <strong title="${this.logger.escapeHtml(token)}">${name}</strong>
+                <span>${detail}</span>
+            </div>
+        `;
 
-        const tokenInfo = await this.getTokenInfo(queued.token);
-        const now = BigInt(Math.floor(Date.now() / 1000));
+        if (!status) return `<div class="rate-gauge">${header('Rate limit unavailable')}</div>`;
+        if (!status.limited) return `<div class="rate-gauge">${header('No rate limit')}</div>`;
 
-        return {
-            token: queued.token,
-            tokenSymbol: tokenInfo.symbol,
-            amount: ethers.formatUnits(queued.amount, tokenInfo.decimals),
-            recipient: queued.recipient,
-            executeAfter: new Date(Number(queued.executeAfter) * 1000).toLocaleString(),
-            canExecute: now >= queued.executeAfter,
-            secondsRemaining: now < queued.executeAfter ? Number(queued.executeAfter - now) : 0
-        };
+        const percent = Math.min(100, Number(status.usedAmount * 10000n / status.maxAmount) / 100);
+        const level = percent >= 90 ? 'high' : percent >= 70 ? 'medium' : '';
+        const [used, max, remaining] = await Promise.all(
+            [status.usedAmount, status.maxAmount, status.remaining]
+                .map(async raw => this.logger.escapeHtml(await this.formatAmount(token, raw)))
+        );
+        return `
+            <div class="rate-gauge">
+                ${header(`${used} / ${max} per ${status.period} s`)}
+                <div class="rate-gauge-bar"><div class="rate-gauge-fill ${level}" style="width: ${percent}%"></div></div>
+                <div class="rate-gauge-details">
+                    <span><strong>Remaining:</strong> ${remaining}</span>
+                    <span><strong>Window resets:</strong> ${this.renderRateLimitReset(status)}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Countdown to the end of the current window.
+     */
+    renderRateLimitReset(status) {
+        if (!status.resetsAt) return 'no window running, full limit available';
+        const expired = 'window ended, full limit available';
+        return `<span class="countdown" data-until="${status.resetsAt}" data-expired="${expired}">${this.formatCountdown(status.resetsAt, expired)}</span>`;
+    }
+
+    /**
+     * Rate-limit hint under the deposit amount; red when the amount would
+     * exceed what the current window still allows.
+     */
+    async showDepositRateLimit() {
+        const hint = document.getElementById('deposit-rate-limit');
+        const token = document.getElementById('token-address').value;
+        const status = ethers.isAddress(token) ? this.rateLimits.get(token) : null;
+        if (!status?.limited) {
+            hint.innerHTML = '';
+            return;
+        }
+
+        let amount = null;
+        try {
+            const { decimals } = await this.client.getTokenInfo(token);
+            amount = ethers.parseUnits(document.getElementById('deposit-amount').value.trim(), decimals);
+        } catch {
+            // Unparseable amount or unknown token: show the limit without judging the amount
+        }
+        const [available, max] = await Promise.all(
+            [status.remaining, status.maxAmount].map(async raw => this.logger.escapeHtml(await this.formatAmount(token, raw)))
+        );
+        const resets = status.resetsAt ? `, window resets in ${this.renderRateLimitReset(status)}` : '';
+        hint.innerHTML = `Rate limit: ${available} of ${max} available now${resets}`;
+        hint.style.color = amount !== null && amount > status.remaining ? '#e74c3c' : '';
     }
 
     // =========================================================================
@@ -945,146 +2328,160 @@ class BridgeInterface {
     // =========================================================================
 
     startEventListening() {
-        if (this.isListening) return;
-        this.isListening = true;
-
-        this.logger.info('Started event listening on bridge contract');
-
-        // Listen to all events
-        this.readBridge.on('DepositToCanton', (token, sender, amount, cantonRecipient, nonce, event) => {
-            this.logger.event('DepositToCanton', { sender: sender.slice(0,10), amount: ethers.formatUnits(amount, 18) });
-            this.addEventToLog('DepositToCanton', 'deposit', {
-                token,
-                sender,
-                amount: ethers.formatUnits(amount, 18),
-                cantonRecipient,
-                nonce: nonce.toString()
-            }, event);
-        });
+        this.client.startEventListening();
+    }
 
-        this.readBridge.on('WithdrawalFromCanton', (token, recipient, amount, cantonSender, withdrawalId, event) => {
-            this.logger.event('WithdrawalFromCanton', { recipient: recipient.slice(0,10), amount: ethers.formatUnits(amount, 18) });
-            this.addEventToLog('WithdrawalFromCanton', 'withdrawal', {
-                token,
-                recipient,
-                amount: ethers.formatUnits(amount, 18),
-                cantonSender,
-                withdrawalId
-            }, event);
-        });
+    stopEventListening() {
+        this.client.stopEventListening();
+    }
 
-        this.readBridge.on('WithdrawalProcessed', (withdrawalId, success, event) => {
-            this.logger.event('WithdrawalProcessed', { success, id: withdrawalId.slice(0,20) });
-            this.addEventToLog('WithdrawalProcessed', 'processed', {
-                withdrawalId,
-                success
-            }, event);
-        });
+    /**
+     * (Re)create the event index for the current client. Live events are
+     * stored as they arrive; history is synced on "Load History".
+     */
+    initEventIndex() {
+        if (this.eventIndex) this.eventIndex.detach();
+        this.eventIndex = new EventIndex({ client: this.client });
+        this.eventIndex.on('log', ({ level, message, details }) => this.logger.log(level, message, details));
+        this.eventIndex.attach();
+    }
 
-        this.readBridge.on('LargeWithdrawalQueued', (withdrawalId, token, amount, executeAfter, event) => {
-            this.logger.event('LargeWithdrawalQueued', { amount: ethers.formatUnits(amount, 18) });
-            this.addEventToLog('LargeWithdrawalQueued', 'queued', {
-                withdrawalId,
-                token,
-                amount: ethers.formatUnits(amount, 18),
-                executeAfter: new Date(Number(executeAfter) * 1000).toLocaleString()
-            }, event);
-        });
+    /**
+     * Sync the event index, then show events matching the Bridge Events
+     * filters, newest first: blocks fetched by the sync stream in chunk by
+     * chunk, followed by older events from the cache. When the sync fails
+     * (e.g. offline) the cached events are still shown.
+     */
+    async loadEventHistory() {
+        this.cancelEventHistory();
+        const controller = new AbortController();
+        this.historyScan = controller;
+        const index = this.eventIndex;
+
+        const progress = document.getElementById('history-progress');
+        const loadBtn = document.getElementById('load-history');
+        const cancelBtn = document.getElementById('cancel-history');
+        loadBtn.disabled = true;
+        cancelBtn.disabled = false;
+        this.clearEventLog('Syncing bridge history...');
+
+        let found = 0;
+        const show = async (events) => {
+            for (const event of events) {
+                const data = await this.formatEventArgs(event);
+                this.addEventToLog(event.name, EVENT_CLASSES[event.name] || 'deposit', data, event, false);
+            }
+            found += events.length;
+        };
 
-        this.readBridge.on('LargeWithdrawalCancelled', (withdrawalId, event) => {
-            this.logger.event('LargeWithdrawalCancelled', { id: withdrawalId.slice(0,20) });
-            this.addEventToLog('LargeWithdrawalCancelled', 'cancelled', {
-                withdrawalId
-            }, event);
-        });
+        try {
+            const options = this.readHistoryForm();
+            const matches = (event) => options.events.includes(event.name) && matchesHistoryFilter(event, options.filter);
+            this.logger.info('Loading bridge history', options.filter);
 
-        this.readBridge.on('TokenRegistered', (token, symbol, cantonTokenId, isNative, event) => {
-            this.logger.event('TokenRegistered', { symbol, token: token.slice(0,10) });
-            this.addEventToLog('TokenRegistered', 'deposit', {
-                token,
-                symbol,
-                cantonTokenId,
-                isNative
-            }, event);
-        });
-    }
+            // Oldest block shown from the sync; older events come from the cache
+            let syncedFrom = null;
+            let outcome;
+            try {
+                const result = await index.sync({
+                    chunkSize: options.chunkSize,
+                    signal: controller.signal,
+                    onBatch: async (batch) => {
+                        // A newer scan owns the log now
+                        if (this.historyScan !== controller) return;
+                        await show(batch.events.filter(matches));
+                        syncedFrom = batch.fromBlock;
+                        progress.textContent = `Synced ${batch.scannedBlocks} of ${batch.totalBlocks} new blocks ` +
+                            `(down to block ${batch.fromBlock}), ${found} events`;
+                    }
+                });
+                outcome = result.complete ? `Synced to block ${result.toBlock}` : 'Sync cancelled';
+            } catch (e) {
+                outcome = `Sync failed (${e.shortMessage || e.message}), showing cached events`;
+                this.logger.error('Event sync failed', e);
+            }
+            if (this.historyScan !== controller) return;
 
-    stopEventListening() {
-        if (!this.isListening) return;
-        this.readBridge.removeAllListeners();
-        this.isListening = false;
-        this.logger.info('Stopped event listening');
-    }
-
-    async loadEventHistory(blocks = 100) {
-        this.logger.info(`Loading events from last ${blocks} blocks...`);
-
-        const currentBlock = await this.readProvider.getBlockNumber();
-        const fromBlock = currentBlock - blocks;
-
-        const events = await Promise.all([
-            this.readBridge.queryFilter('DepositToCanton', fromBlock, currentBlock),
-            this.readBridge.queryFilter('WithdrawalFromCanton', fromBlock, currentBlock),
-            this.readBridge.queryFilter('WithdrawalProcessed', fromBlock, currentBlock),
-            this.readBridge.queryFilter('LargeWithdrawalQueued', fromBlock, currentBlock),
-            this.readBridge.queryFilter('LargeWithdrawalCancelled', fromBlock, currentBlock)
-        ]);
-
-        // Flatten and sort by block number
-        const allEvents = events.flat().sort((a, b) => a.blockNumber - b.blockNumber);
-
-        this.logger.success(`Found ${allEvents.length} events in history`);
-
-        for (const event of allEvents) {
-            const eventName = event.fragment.name;
-            let eventClass = 'deposit';
-            let data = {};
-
-            switch (eventName) {
-                case 'DepositToCanton':
-                    eventClass = 'deposit';
-                    data = {
-                        token: event.args[0],
-                        sender: event.args[1],
-                        amount: ethers.formatUnits(event.args[2], 18),
-                        cantonRecipient: event.args[3],
-                        nonce: event.args[4].toString()
-                    };
-                    break;
-                case 'WithdrawalFromCanton':
-                    eventClass = 'withdrawal';
-                    data = {
-                        token: event.args[0],
-                        recipient: event.args[1],
-                        amount: ethers.formatUnits(event.args[2], 18),
-                        cantonSender: event.args[3],
-                        withdrawalId: event.args[4]
-                    };
-                    break;
-                case 'WithdrawalProcessed':
-                    eventClass = 'processed';
-                    data = {
-                        withdrawalId: event.args[0],
-                        success: event.args[1]
-                    };
-                    break;
-                case 'LargeWithdrawalQueued':
-                    eventClass = 'queued';
-                    data = {
-                        withdrawalId: event.args[0],
-                        token: event.args[1],
-                        amount: ethers.formatUnits(event.args[2], 18),
-                        executeAfter: new Date(Number(event.args[3]) * 1000).toLocaleString()
-                    };
-                    break;
-                case 'LargeWithdrawalCancelled':
-                    eventClass = 'cancelled';
-                    data = { withdrawalId: event.args[0] };
-                    break;
+            await show(await index.query({ events: options.events, filter: options.filter, beforeBlock: syncedFrom }));
+            progress.textContent = `${outcome} - ${found} events`;
+            this.logger.success(`${outcome}: ${found} events`);
+        } catch (e) {
+            progress.textContent = `History failed: ${e.shortMessage || e.message}`;
+            this.logger.error('History load failed', e);
+        } finally {
+            if (this.historyScan === controller) {
+                this.historyScan = null;
+                loadBtn.disabled = false;
+                cancelBtn.disabled = true;
+                if (found === 0) this.clearEventLog('No matching events');
             }
+        }
+    }
+
+    /**
+     * Drop the cached events of this network; the next load re-syncs from
+     * the deploy block.
+     */
+    async resetEventCache() {
+        this.cancelEventHistory();
+        try {
+            await this.eventIndex.reset();
+            document.getElementById('history-progress').textContent = 'Event cache cleared';
+        } catch (e) {
+            this.logger.error('Failed to clear the event cache', e);
+        }
+    }
+
+    cancelEventHistory() {
+        if (this.historyScan) this.historyScan.abort();
+    }
+
+    /**
+     * Scan options from the Bridge Events panel.
+     */
+    readHistoryForm() {
+        const value = (id) => document.getElementById(id).value.trim();
+        const filter = {};
+        for (const [key, id] of [['token', 'history-token'], ['sender', 'history-sender']]) {
+            if (!value(id)) continue;
+            if (!ethers.isAddress(value(id))) throw new Error(`Invalid ${key} address`);
+            filter[key] = value(id);
+        }
+        if (value('history-fingerprint')) filter.fingerprint = value('history-fingerprint');
+        if (value('history-since')) filter.since = new Date(value('history-since'));
+        if (value('history-until')) filter.until = new Date(value('history-until'));
+
+        const event = value('history-event');
+        return {
+            events: event ? [event] : TRANSFER_EVENTS,
+            chunkSize: Number(value('history-chunk-size')) || undefined,
+            filter
+        };
+    }
+
+    clearEventLog(message) {
+        document.getElementById('event-log').innerHTML = `<div class="empty-state">${message}</div>`;
+        this.eventCount = 0;
+    }
 
-            this.addEventToLog(eventName, eventClass, data, event, false);
+    /**
+     * Convert raw event arguments into display values.
+     * Amounts use the decimals and symbol of the event's token.
+     */
+    async formatEventArgs(event) {
+        const data = {};
+        for (const [key, value] of Object.entries(event.args)) {
+            if (key === 'amount' && event.args.token) {
+                data[key] = await this.formatAmount(event.args.token, value);
+            } else if (key === 'executeAfter') {
+                data[key] = new Date(Number(value) * 1000).toLocaleString();
+            } else if (typeof value === 'bigint') {
+                data[key] = value.toString();
+            } else {
+                data[key] = value;
+            }
         }
+        return data;
     }
 
     // =========================================================================
@@ -1099,7 +2496,9 @@ class BridgeInterface {
         if (emptyState) emptyState.remove();
 
         this.eventCount++;
-        const timestamp = new Date().toLocaleTimeString();
+        const timestamp = event.timestamp
+            ? new Date(event.timestamp * 1000).toLocaleString()
+            : new Date().toLocaleTimeString();
 
         const html = `
             <div class="event-item ${eventClass}">
@@ -1110,9 +2509,7 @@ class BridgeInterface {
                 <div class="event-data">${this.formatEventData(data)}</div>
                 <div class="event-tx">
                     Block: ${event.blockNumber} |
-                    <a href="${CONFIG.explorerUrl}/tx/${event.transactionHash}" target="_blank">
-                        View on Etherscan
-                    </a>
+                    ${this.explorerTxLink(event.transactionHash)}
                 </div>
             </div>
         `;
@@ -1134,6 +2531,15 @@ class BridgeInterface {
         }).join('<br>');
     }
 
+    /**
+     * Link to a transaction on the selected network's explorer.
+     * Falls back to the bare hash when the profile has no explorer (e.g. anvil).
+     */
+    explorerTxLink(txHash) {
+        if (!CONFIG.explorerUrl) return `<code>${this.truncateHash(txHash)}</code>`;
+        return `<a href="${CONFIG.explorerUrl}/tx/${txHash}" target="_blank">View on Explorer</a>`;
+    }
+
     showTxPending(message) {
         document.getElementById('tx-status').innerHTML = `
             <div class="tx-pending">
@@ -1146,7 +2552,7 @@ class BridgeInterface {
         document.getElementById('tx-status').innerHTML = `
             <div class="tx-success">
                 <strong>Success:</strong> ${message}<br>
-                <a href="${CONFIG.explorerUrl}/tx/${txHash}" target="_blank">View on Etherscan</a>
+                ${this.explorerTxLink(txHash)}
             </div>
         `;
     }
@@ -1168,71 +2574,21 @@ class BridgeInterface {
     // Stuck Transfers Functions (Relayer API)
     // =========================================================================
 
-    /**
-     * Fetch stuck transfers from the relayer API
-     */
-    async fetchStuckTransfers(relayerUrl) {
-        const url = `${relayerUrl}/transfers/stuck`;
-        this.logger.api('GET', url);
-
-        try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            const data = await response.json();
-            this.logger.success(`Found ${data.transfers?.length || 0} stuck transfers`);
-            return data.transfers || [];
-        } catch (e) {
-            this.logger.error('Failed to fetch stuck transfers', e);
-            throw e;
-        }
-    }
-
-    /**
-     * Retry a failed transfer
-     */
-    async retryTransfer(relayerUrl, transferId) {
-        const url = `${relayerUrl}/transfers/${encodeURIComponent(transferId)}/retry`;
-        this.logger.api('POST', url, { id: transferId });
-
-        try {
-            const response = await fetch(url, { method: 'POST' });
-            if (!response.ok) {
-                const text = await response.text();
-                throw new Error(text || `HTTP ${response.status}`);
-            }
-            const data = await response.json();
-            this.logger.success(`Transfer ${transferId} marked for retry`);
-            return data;
-        } catch (e) {
-            this.logger.error(`Failed to retry transfer ${transferId}`, e);
-            throw e;
-        }
-    }
-
     /**
      * Render stuck transfers in the UI
      */
-    renderStuckTransfers(transfers, container, relayerUrl) {
+    async renderStuckTransfers(transfers, container, relayerUrl) {
         if (!transfers || transfers.length === 0) {
             container.innerHTML = '<div class="empty-state" style="padding: 20px;">No stuck transfers found</div>';
             return;
         }
 
-        const html = transfers.map(t => {
+        const amounts = await Promise.all(transfers.map(t => this.formatTransferAmount(t)));
+
+        const html = transfers.map((t, i) => {
             const statusClass = t.Status === 'failed' ? 'failed' : 'pending';
             const direction = t.Direction === 'canton_to_ethereum' ? 'Canton to EVM' : 'EVM to Canton';
-
-            // Format amount (assuming 18 decimals)
-            let amountDisplay = t.Amount;
-            try {
-                const amountBigInt = BigInt(t.Amount);
-                const formatted = ethers.formatUnits(amountBigInt, 18);
-                amountDisplay = parseFloat(formatted).toFixed(4);
-            } catch (e) {
-                // If not a valid bigint, just display as-is
-            }
+            const amountDisplay = amounts[i];
 
             return `
                 <div class="stuck-transfer ${statusClass}">
@@ -1265,7 +2621,7 @@ class BridgeInterface {
                 e.target.disabled = true;
                 e.target.textContent = 'Retrying...';
                 try {
-                    await this.retryTransfer(relayerUrl, id);
+                    await this.client.retryTransfer(relayerUrl, id);
                     alert(`Transfer ${id} marked for retry!`);
                     // Refresh the list
                     await this.refreshStuckTransfers(relayerUrl);
@@ -1278,6 +2634,21 @@ class BridgeInterface {
         });
     }
 
+    /**
+     * Format a relayer transfer amount (base units) using its token's decimals.
+     */
+    async formatTransferAmount(transfer) {
+        let raw;
+        try {
+            raw = BigInt(transfer.Amount);
+        } catch (e) {
+            // If not a valid bigint, just display as-is
+            return transfer.Amount;
+        }
+        const token = this.resolveToken(transfer.TokenAddress || transfer.Token);
+        return token ? this.formatAmount(token, raw) : `${raw} (base units)`;
+    }
+
     /**
      * Refresh and render stuck transfers
      */
@@ -1286,8 +2657,8 @@ class BridgeInterface {
         container.innerHTML = '<div class="empty-state" style="padding: 20px;">Loading...</div>';
 
         try {
-            const transfers = await this.fetchStuckTransfers(relayerUrl);
-            this.renderStuckTransfers(transfers, container, relayerUrl);
+            const transfers = await this.client.fetchStuckTransfers(relayerUrl);
+            await this.renderStuckTransfers(transfers, container, relayerUrl);
         } catch (e) {
             container.innerHTML = `<div class="tx-error" style="margin: 10px;">Error: ${e.message}</div>`;
         }
@@ -1302,7 +2673,22 @@ let app;
 
 document.addEventListener('DOMContentLoaded', async () => {
     app = new BridgeInterface();
+    await app.loadNetworks();
     await app.init();
+    await app.loadWallets();
+    app.restoreWalletConnect();
+
+    document.getElementById('wallet-picker').addEventListener('change', () => app.renderWalletIcon());
+    document.getElementById('walletconnect-cancel').addEventListener('click', () => {
+        if (app.walletConnectCancel) app.walletConnectCancel();
+        app.hideWalletConnectQr();
+    });
+    document.getElementById('walletconnect-copy').addEventListener('click', (e) => {
+        navigator.clipboard.writeText(document.getElementById('walletconnect-uri').value).then(() => {
+            e.target.textContent = 'Copied!';
+            setTimeout(() => { e.target.textContent = 'Copy Link'; }, 1500);
+        });
+    });
 
     // Connect wallet button - handles both connect and disconnect
     document.getElementById('connect-wallet').addEventListener('click', async () => {
@@ -1319,21 +2705,50 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Network profile picker fills the form; Apply switches to it
+    document.getElementById('network-profile').addEventListener('change', (e) => {
+        app.fillConfigForm(e.target.value, app.networks[e.target.value]);
+    });
+
     // Apply configuration
-    document.getElementById('apply-config').addEventListener('click', () => {
-        CONFIG.rpcUrl = document.getElementById('rpc-url').value;
-        CONFIG.bridgeAddress = document.getElementById('bridge-address').value;
-        CONFIG.chainId = parseInt(document.getElementById('chain-id').value);
-
-        app.stopEventListening();
-        app.init();
-        alert('Configuration applied');
+    document.getElementById('apply-config').addEventListener('click', async () => {
+        try {
+            app.stopEventListening();
+            await app.applyConfiguration();
+            alert(`Configuration applied: ${CONFIG.name}`);
+        } catch (e) {
+            alert('Failed: ' + e.message);
+        }
+    });
+
+    // Token pickers fill the address inputs
+    for (const pickerId of Object.keys(TOKEN_PICKERS)) {
+        document.getElementById(pickerId).addEventListener('change', (e) => {
+            app.selectToken(pickerId, e.target.value);
+        });
+    }
+    document.getElementById('token-address').addEventListener('change', (e) => {
+        app.selectDepositToken(e.target.value);
+    });
+    document.getElementById('deposit-amount').addEventListener('input', () => app.showDepositRateLimit());
+
+    // Token list import
+    document.getElementById('token-list-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            await app.importTokenList(file);
+        } catch (err) {
+            alert('Token list import failed: ' + err.message);
+        }
+        e.target.value = '';
     });
 
     // Approve button
     document.getElementById('approve-btn').addEventListener('click', async () => {
         const token = document.getElementById('token-address').value;
         const amount = document.getElementById('deposit-amount').value;
+        const unlimited = document.getElementById('approval-mode').value === 'unlimited';
 
         if (!token) {
             alert('Please enter a token address');
@@ -1341,7 +2756,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         try {
-            await app.approve(token, amount);
+            await app.client.approve(token, amount, { unlimited });
         } catch (e) {
             app.showTxError(e.message);
             console.error(e);
@@ -1378,7 +2793,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         try {
-            await app.deposit(token, amount, recipient);
+            const approval = document.getElementById('approval-mode').value;
+            const result = await app.client.depositWithApproval(token, amount, recipient, { approval });
+            if (result.authorization === 'permit') app.logger.info('Deposit authorised with an EIP-2612 permit');
         } catch (e) {
             app.showTxError(e.message);
             console.error(e);
@@ -1391,8 +2808,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         const statusDiv = document.getElementById('canton-account-status');
 
         try {
-            statusDiv.innerHTML = '<div class="tx-pending">Signing message and registering wallet...</div>';
-            const result = await app.registerWallet(apiUrl);
+            statusDiv.innerHTML = '<div class="tx-pending">Registering wallet (sign in with your wallet if asked)...</div>';
+            const result = await app.client.registerWallet(apiUrl);
 
             // Auto-populate fingerprint in deposit form
             if (result.fingerprint) {
@@ -1412,7 +2829,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (e.message.includes('already registered')) {
                 try {
                     const address = await app.signer.getAddress();
-                    const fingerprint = app.computeFingerprint(address);
+                    const fingerprint = computeFingerprint(address);
                     app.setUserFingerprint(fingerprint);
                     statusDiv.innerHTML = `
                         <div class="tx-success">
@@ -1431,6 +2848,35 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Middleware session buttons
+    document.getElementById('sign-in-btn').addEventListener('click', async () => {
+        const apiUrl = document.getElementById('api-url').value;
+        if (!app.signer) {
+            alert('Please connect your wallet first');
+            return;
+        }
+        try {
+            await app.client.signIn(apiUrl);
+        } catch (e) {
+            app.logger.error('Sign-in failed', e);
+            document.getElementById('canton-account-status').innerHTML = `<div class="tx-error"><strong>Error:</strong> ${e.message}</div>`;
+        }
+    });
+
+    document.getElementById('sign-out-btn').addEventListener('click', async () => {
+        try {
+            await app.client.signOut(document.getElementById('api-url').value);
+        } catch (e) {
+            app.logger.error('Sign-out failed', e);
+        }
+        app.renderMiddlewareSession();
+    });
+
+    document.getElementById('api-url').addEventListener('change', () => {
+        if (app.tracker) app.tracker.apiUrl = document.getElementById('api-url').value || null;
+        app.renderMiddlewareSession();
+    });
+
     // Refresh ERC20 balance button
     document.getElementById('refresh-balance-btn').addEventListener('click', async () => {
         const tokenAddress = document.getElementById('token-address').value;
@@ -1448,7 +2894,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             balanceSpan.textContent = 'Loading...';
             allowanceSpan.textContent = 'Loading...';
 
-            const info = await app.getTokenBalanceAndAllowance(tokenAddress);
+            const info = await app.client.getTokenBalanceAndAllowance(tokenAddress);
             balanceSpan.textContent = `${info.balance} ${info.symbol}`;
             allowanceSpan.textContent = `${info.allowance} ${info.symbol}`;
 
@@ -1471,11 +2917,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         try {
             statusDiv.innerHTML = '<div class="tx-pending">Checking Canton balance...</div>';
-            const result = await app.checkCantonBalance(apiUrl);
-            const balance = parseFloat(result.balance);  // Balance is already in token units
+            const result = await app.client.checkCantonBalance(apiUrl);
+            const balance = await app.formatCantonBalance(result);
             statusDiv.innerHTML = `
                 <div class="tx-success">
-                    <strong>Canton Balance:</strong> ${balance.toFixed(6)} PROMPT<br>
+                    <strong>Canton Balance:</strong> ${balance}<br>
                     <strong>Address:</strong> ${result.address}
                 </div>
             `;
@@ -1499,8 +2945,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         const statusDiv = document.getElementById('withdraw-status');
 
         try {
-            statusDiv.innerHTML = '<div class="tx-pending">Signing message and initiating withdrawal...</div>';
-            const result = await app.initiateWithdrawal(apiUrl, amount, destination);
+            statusDiv.innerHTML = '<div class="tx-pending">Sign the withdrawal request in your wallet...</div>';
+            const result = await app.client.initiateWithdrawal(apiUrl, amount, destination);
             const withdrawalIdHtml = app.formatHashWithCopy(result.withdrawalId, '<strong>Withdrawal ID:</strong> ');
             statusDiv.innerHTML = `
                 <div class="tx-success">
@@ -1517,6 +2963,53 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Canton wallet: send, holdings and history
+    document.getElementById('canton-transfer-btn').addEventListener('click', async () => {
+        const apiUrl = document.getElementById('api-url').value;
+        const recipient = document.getElementById('canton-transfer-recipient').value;
+        const amount = document.getElementById('canton-transfer-amount').value;
+        const statusDiv = document.getElementById('canton-transfer-status');
+
+        if (!app.signer) {
+            alert('Please connect your wallet first');
+            return;
+        }
+
+        try {
+            statusDiv.innerHTML = '<div class="tx-pending">Sign the transfer in your wallet...</div>';
+            const result = await app.client.transferOnCanton(apiUrl, recipient, amount);
+            statusDiv.innerHTML = `
+                <div class="tx-success">
+                    <strong>Sent ${app.logger.escapeHtml(result?.amount ?? amount)}</strong>
+                    to <code>${app.logger.escapeHtml(result?.recipientParty ? app.formatParty(result.recipientParty) : recipient)}</code>
+                    ${result?.updateId ? `<br>${app.formatHashWithCopy(app.logger.escapeHtml(result.updateId), '<strong>Update:</strong> ')}` : ''}
+                </div>
+            `;
+            app.refreshCantonHoldings();
+            app.loadCantonHistory();
+        } catch (e) {
+            statusDiv.innerHTML = `<div class="tx-error"><strong>Error:</strong> ${app.logger.escapeHtml(e.message)}</div>`;
+            console.error(e);
+        }
+    });
+
+    document.getElementById('refresh-holdings-btn').addEventListener('click', () => app.refreshCantonHoldings());
+    document.getElementById('refresh-canton-history-btn').addEventListener('click', () => app.loadCantonHistory());
+    document.getElementById('canton-history-newer').addEventListener('click', () => app.loadCantonHistory(app.cantonHistoryPage - 1));
+    document.getElementById('canton-history-older').addEventListener('click', () => app.loadCantonHistory(app.cantonHistoryPage + 1));
+
+    // Canton event explorer
+    document.getElementById('explorer-search-btn').addEventListener('click', () => app.searchCantonEvents());
+    document.getElementById('explorer-newer').addEventListener('click', () => app.searchCantonEvents(app.explorerPage - 1));
+    document.getElementById('explorer-older').addEventListener('click', () => app.searchCantonEvents(app.explorerPage + 1));
+
+    // Reconciliation
+    document.getElementById('reconcile-btn').addEventListener('click', () => app.runReconciliation());
+    document.getElementById('cancel-reconcile-btn').addEventListener('click', () => app.cancelReconciliation());
+    document.getElementById('reconcile-json-btn').addEventListener('click', () => app.downloadReconciliation('json'));
+    document.getElementById('reconcile-csv-btn').addEventListener('click', () => app.downloadReconciliation('csv'));
+    document.getElementById('reconcile-summary-csv-btn').addEventListener('click', () => app.downloadReconciliation('summary'));
+
     // Execute withdrawal button (for large/timelocked withdrawals)
     document.getElementById('execute-withdrawal-btn').addEventListener('click', async () => {
         const withdrawalId = document.getElementById('withdrawal-id').value;
@@ -1527,7 +3020,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         try {
-            await app.executeWithdrawal(withdrawalId);
+            await app.client.executeWithdrawal(withdrawalId);
         } catch (e) {
             app.showTxError(e.message);
             console.error(e);
@@ -1544,44 +3037,138 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         try {
-            await app.cancelWithdrawal(withdrawalId);
+            await app.client.cancelWithdrawal(withdrawalId);
         } catch (e) {
             app.showTxError(e.message);
             console.error(e);
         }
     });
 
+    // Admin console
+    document.getElementById('refresh-admin-btn').addEventListener('click', () => app.refreshAdminState());
+    document.getElementById('admin-token').addEventListener('change', () => app.refreshAdminState());
+    document.querySelector('.admin-grid').addEventListener('click', async (e) => {
+        const action = e.target.dataset.adminAction;
+        if (!action) return;
+        e.target.disabled = true;
+        await app.runAdminAction(action);
+        e.target.disabled = false;
+    });
+
+    // Token registry
+    document.getElementById('refresh-registry-btn').addEventListener('click', () => app.loadRegistry());
+    document.getElementById('registry-panel').addEventListener('click', async (e) => {
+        const action = e.target.dataset.registryAction;
+        if (!action) return;
+        e.target.disabled = true;
+        await app.runRegistryAction(action, e.target.dataset.token);
+        e.target.disabled = false;
+    });
+
+    // Role members
+    document.getElementById('refresh-role-members-btn').addEventListener('click', () => app.loadRoleMembers());
+    document.getElementById('role-members-contract').addEventListener('change', () => app.loadRoleMembers());
+    document.getElementById('grant-role-btn').addEventListener('click', async (e) => {
+        const role = document.getElementById('grant-role').value;
+        const account = document.getElementById('grant-account').value.trim();
+        if (!role) {
+            alert('Click Refresh to load the roles first');
+            return;
+        }
+        if (!confirm(`Grant ${app.roleLabel(role)} to ${account}?`)) return;
+        e.target.disabled = true;
+        await app.changeRole('grant', role, account);
+        e.target.disabled = false;
+    });
+    document.getElementById('role-members').addEventListener('click', async (e) => {
+        const { action, role, account } = e.target.dataset;
+        if (action !== 'revoke') return;
+        const self = app.signer && account.toLowerCase() === (await app.signer.getAddress()).toLowerCase();
+        const warning = self ? '\n\nThis is the connected account: you will lose the role yourself.' : '';
+        if (!confirm(`Revoke ${app.roleLabel(role)} from ${account}?${warning}`)) return;
+        e.target.disabled = true;
+        await app.changeRole('revoke', role, account);
+        e.target.disabled = false;
+    });
+
+    // Queued withdrawals list
+    document.getElementById('refresh-queued-btn').addEventListener('click', () => app.refreshQueuedWithdrawals());
+    document.getElementById('queued-withdrawals-list').addEventListener('click', async (e) => {
+        const { action, id } = e.target.dataset;
+        if (action !== 'execute' && action !== 'cancel') return;
+        if (action === 'cancel' && !confirm('Cancel this queued withdrawal? The tokens stay locked in the bridge.')) return;
+
+        e.target.disabled = true;
+        try {
+            if (action === 'execute') {
+                await app.client.executeWithdrawal(id);
+            } else {
+                await app.client.cancelWithdrawal(id);
+            }
+            await app.refreshQueuedWithdrawals();
+        } catch (err) {
+            app.showTxError(err.message);
+            e.target.disabled = false;
+        }
+    });
+
+    document.getElementById('refresh-rate-limits-btn').addEventListener('click', () => app.rateLimits.refreshAll());
+
     // Query state button
     document.getElementById('query-state-btn').addEventListener('click', async () => {
         const token = document.getElementById('query-token').value;
         await app.queryBridgeState(token);
     });
 
-    // Event listening buttons (optional - may not exist in all UI versions)
+    // Bridge events: live listening and history scan
     const startListeningBtn = document.getElementById('start-listening');
-    if (startListeningBtn) {
-        startListeningBtn.addEventListener('click', () => {
-            app.startEventListening();
-            startListeningBtn.textContent = 'Listening...';
-            startListeningBtn.disabled = true;
-        });
-    }
+    startListeningBtn.addEventListener('click', () => {
+        app.startEventListening();
+        startListeningBtn.textContent = 'Listening...';
+        startListeningBtn.disabled = true;
+    });
 
-    const loadHistoryBtn = document.getElementById('load-history');
-    if (loadHistoryBtn) {
-        loadHistoryBtn.addEventListener('click', async () => {
-            await app.loadEventHistory(100);
-        });
-    }
+    document.getElementById('load-history').addEventListener('click', () => app.loadEventHistory());
+    document.getElementById('cancel-history').addEventListener('click', () => app.cancelEventHistory());
+    document.getElementById('reset-event-cache').addEventListener('click', () => app.resetEventCache());
 
-    const clearEventsBtn = document.getElementById('clear-events');
-    if (clearEventsBtn) {
-        clearEventsBtn.addEventListener('click', () => {
-            document.getElementById('event-log').innerHTML =
-                '<div class="empty-state">Click "Start Listening" to begin receiving events</div>';
-            app.eventCount = 0;
-        });
-    }
+    document.getElementById('clear-events').addEventListener('click', () => {
+        app.clearEventLog('Click "Start Listening" or "Load History" to see bridge events');
+    });
+
+    // Transfer tracker buttons
+    document.getElementById('refresh-tracker-btn').addEventListener('click', () => app.tracker.poll());
+    setInterval(() => app.updateCountdowns(), 1000);
+    document.getElementById('tracked-transfers').addEventListener('click', async (e) => {
+        const { action, id } = e.target.dataset;
+        if (action === 'check') {
+            e.target.disabled = true;
+            await app.checkTrackedTransfer(id);
+            e.target.disabled = false;
+        } else if (action === 'fill') {
+            document.getElementById('withdrawal-id').value = id;
+        } else if (action === 'remove' && confirm('Stop tracking this transfer?')) {
+            await app.tracker.remove(id);
+        }
+    });
+
+    // Transactions panel
+    document.getElementById('refresh-txs-btn').addEventListener('click', () => app.txManager.poll());
+    document.getElementById('clear-settled-txs-btn').addEventListener('click', () => app.txManager.clearSettled());
+    document.getElementById('managed-txs').addEventListener('click', async (e) => {
+        const { action, hash } = e.target.dataset;
+        if (action === 'speed-up' || action === 'cancel') {
+            const prompt = action === 'cancel'
+                ? 'Send a zero-value transfer to yourself with this nonce to cancel the transaction?'
+                : 'Resend this transaction with the same nonce and a higher fee?';
+            if (!confirm(prompt)) return;
+            e.target.disabled = true;
+            await app.replaceManagedTx(action, hash);
+            e.target.disabled = false;
+        } else if (action === 'remove' && confirm('Remove this transaction from the list?')) {
+            app.txManager.remove(hash);
+        }
+    });
 
     // Stuck transfers refresh button
     document.getElementById('refresh-stuck-btn').addEventListener('click', async () => {
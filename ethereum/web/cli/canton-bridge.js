@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * canton-bridge - command-line client for the Canton EVM bridge.
+ *
+ * Uses the same SDK, ABIs and configuration as the web UI. Keys come from
+ * PRIVATE_KEY or an encrypted JSON keystore (--keystore, password from
+ * KEYSTORE_PASSWORD).
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import {
+    BridgeClient,
+    DEFAULT_NETWORK,
+    computeFingerprint,
+    ethers,
+    mergeNetworks,
+    resolveNetwork
+} from '../sdk/index.js';
+
+const USAGE = `Usage: canton-bridge <command> [args] [options]
+
+Commands:
+  approve <token> <amount>               Approve the bridge to spend tokens
+  deposit <token> <amount> [fingerprint] Deposit to Canton (defaults to your fingerprint),
+                                         approving or signing a permit first if needed
+  register                               Register the wallet with the middleware
+  balance                                Show the Canton balance of the wallet
+  withdraw <amount> [destination]        Initiate a withdrawal from Canton
+  execute-withdrawal <withdrawalId>      Execute a time-locked withdrawal
+  cancel-withdrawal <withdrawalId>       Cancel a queued withdrawal (admin)
+  state <token>                          Show bridge state for a token
+  history                                Scan bridge events, newest first (filters below)
+
+Options:
+  --network <name>       Network profile: local, sepolia, mainnet or one from --networks
+                         (env CANTON_NETWORK, default ${DEFAULT_NETWORK})
+  --networks <file>      JSON file with extra profiles (same format as web/networks.json)
+  --rpc-url <url>        EVM RPC endpoint        (env RPC_URL)
+  --bridge <address>     CantonBridge address    (env BRIDGE_ADDRESS)
+  --chain-id <id>        Expected chain ID
+  --confirmations <n>    Blocks to wait for on top of each transaction (default: profile, else 1)
+  --api-url <url>        Middleware JSON-RPC URL (env API_URL)
+  --keystore <file>      Encrypted JSON keystore (password from KEYSTORE_PASSWORD)
+  --unlimited            approve, deposit: approve an unlimited amount
+  --no-permit            deposit: approve even if the token supports EIP-2612 permit
+  --event <name>         history: only this event (repeatable)
+  --token, --sender, --fingerprint <value>
+                         history: filter by token, depositor or Canton fingerprint
+  --since, --until <date>
+                         history: block time range (anything Date.parse accepts)
+  --from-block <n>       history: oldest block (default: profile deploy block)
+  --chunk-size <n>       history: blocks per eth_getLogs request
+  --json                 Print machine-readable JSON
+  -h, --help             Show this help
+`;
+
+// Commands that need a signing key
+const SIGNING_COMMANDS = new Set([
+    'approve', 'deposit', 'register', 'balance', 'withdraw', 'execute-withdrawal', 'cancel-withdrawal'
+]);
+
+function fail(message) {
+    process.stderr.write(`canton-bridge: ${message}\n`);
+    process.exit(1);
+}
+
+function requireArg(value, name) {
+    if (!value) fail(`missing <${name}>\n\n${USAGE}`);
+    return value;
+}
+
+// Value of an integer flag (at least `min`), or undefined when it is not given
+function integerFlag(values, name, min = 0) {
+    const value = values[name];
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!/^\d+$/.test(value.trim()) || !Number.isSafeInteger(number) || number < min) {
+        fail(`--${name} must be an integer of at least ${min}, got "${value}"\n\n${USAGE}`);
+    }
+    return number;
+}
+
+async function loadSigner(options, provider) {
+    if (options.keystore) {
+        const password = process.env.KEYSTORE_PASSWORD;
+        if (password === undefined) fail('KEYSTORE_PASSWORD must be set to decrypt --keystore');
+        const json = readFileSync(options.keystore, 'utf8');
+        const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+        return wallet.connect(provider);
+    }
+    if (process.env.PRIVATE_KEY) {
+        return new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    }
+    fail('no signing key: set PRIVATE_KEY or pass --keystore');
+}
+
+/**
+ * JSON.stringify replacer that keeps bigints and drops receipts.
+ */
+function jsonReplacer(key, value) {
+    if (key === 'receipt') return undefined;
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function printResult(result, json) {
+    if (json) {
+        process.stdout.write(JSON.stringify(result, jsonReplacer, 2) + '\n');
+        return;
+    }
+    for (const [key, value] of Object.entries(result ?? {})) {
+        if (key === 'receipt' || value === undefined) continue;
+        process.stdout.write(`${key}: ${typeof value === 'bigint' ? value.toString() : value}\n`);
+    }
+}
+
+/**
+ * Print one history event: a JSON line with --json, otherwise a summary line.
+ */
+function printEvent(event, json) {
+    if (json) {
+        process.stdout.write(JSON.stringify(event, jsonReplacer) + '\n');
+        return;
+    }
+    const time = event.timestamp ? new Date(event.timestamp * 1000).toISOString() : '-';
+    const args = Object.entries(event.args)
+        .map(([key, value]) => `${key}=${typeof value === 'bigint' ? value.toString() : value}`)
+        .join(' ');
+    process.stdout.write(`${event.blockNumber} ${time} ${event.name} ${args} tx=${event.transactionHash}\n`);
+}
+
+async function run(command, args, client, options) {
+    switch (command) {
+        case 'approve': {
+            const [token, amount] = args;
+            return client.approve(requireArg(token, 'token'), requireArg(amount, 'amount'), { unlimited: options.unlimited });
+        }
+        case 'deposit': {
+            const [token, amount, fingerprint] = args;
+            const recipient = fingerprint || computeFingerprint(await client.signer.getAddress());
+            return client.depositWithApproval(requireArg(token, 'token'), requireArg(amount, 'amount'), recipient, {
+                approval: options.unlimited ? 'unlimited' : 'exact',
+                permit: options.permit
+            });
+        }
+        case 'register':
+            return client.registerWallet(options.apiUrl);
+        case 'balance':
+            return client.checkCantonBalance(options.apiUrl);
+        case 'withdraw': {
+            const [amount, destination] = args;
+            return client.initiateWithdrawal(options.apiUrl, requireArg(amount, 'amount'), destination);
+        }
+        case 'execute-withdrawal':
+            return client.executeWithdrawal(requireArg(args[0], 'withdrawalId'));
+        case 'cancel-withdrawal':
+            return client.cancelWithdrawal(requireArg(args[0], 'withdrawalId'));
+        case 'history': {
+            const filter = {};
+            for (const key of ['token', 'sender', 'fingerprint']) {
+                if (options.history[key]) filter[key] = options.history[key];
+            }
+            for (const key of ['since', 'until']) {
+                if (!options.history[key]) continue;
+                const time = Date.parse(options.history[key]);
+                if (Number.isNaN(time)) fail(`invalid --${key} date "${options.history[key]}"`);
+                filter[key] = time;
+            }
+            const scan = client.scanEventHistory({
+                events: options.history.event?.length ? options.history.event : undefined,
+                fromBlock: options.history.fromBlock,
+                chunkSize: options.history.chunkSize,
+                filter
+            });
+            for await (const batch of scan) {
+                for (const event of batch.events) printEvent(event, options.json);
+                if (!options.json) process.stderr.write(`scanned ${batch.scannedBlocks}/${batch.totalBlocks} blocks\r`);
+            }
+            if (!options.json) process.stderr.write('\n');
+            return undefined;
+        }
+        case 'state': {
+            const token = requireArg(args[0], 'token');
+            const state = await client.getBridgeState(token);
+            const { decimals, symbol } = state.token;
+            const format = (value) => `${ethers.formatUnits(value, decimals)} ${symbol}`;
+            const limit = state.rateLimit?.limited ? state.rateLimit : null;
+            return {
+                token,
+                symbol,
+                registered: state.isRegistered,
+                lockedBalance: format(state.lockedBalance),
+                timeLockDelay: `${state.timeLockDelay} s`,
+                rateLimitMax: limit ? `${format(limit.maxAmount)} per ${limit.period} s` : 'Not set',
+                rateLimitUsed: limit ? format(limit.usedAmount) : '-',
+                rateLimitRemaining: limit ? format(limit.remaining) : '-',
+                rateLimitResetsAt: limit?.resetsAt ? new Date(limit.resetsAt * 1000).toISOString() : '-'
+            };
+        }
+        default:
+            fail(`unknown command "${command}"\n\n${USAGE}`);
+    }
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'network': { type: 'string' },
+            'networks': { type: 'string' },
+            'rpc-url': { type: 'string' },
+            'bridge': { type: 'string' },
+            'chain-id': { type: 'string' },
+            'confirmations': { type: 'string' },
+            'api-url': { type: 'string' },
+            'keystore': { type: 'string' },
+            'unlimited': { type: 'boolean', default: false },
+            'no-permit': { type: 'boolean', default: false },
+            'event': { type: 'string', multiple: true },
+            'token': { type: 'string' },
+            'sender': { type: 'string' },
+            'fingerprint': { type: 'string' },
+            'since': { type: 'string' },
+            'until': { type: 'string' },
+            'from-block': { type: 'string' },
+            'chunk-size': { type: 'string' },
+            'json': { type: 'boolean', default: false },
+            'help': { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const networks = mergeNetworks(
+        values.networks ? JSON.parse(readFileSync(values.networks, 'utf8')) : null
+    );
+    const key = values.network || process.env.CANTON_NETWORK || DEFAULT_NETWORK;
+    const profile = networks[key];
+    if (!profile) fail(`unknown network "${key}". Available: ${Object.keys(networks).join(', ')}`);
+
+    // Flags and env vars override individual profile fields
+    const config = resolveNetwork(key, {
+        [key]: {
+            ...profile,
+            rpcUrl: values['rpc-url'] || process.env.RPC_URL || profile.rpcUrl,
+            bridgeAddress: values.bridge || process.env.BRIDGE_ADDRESS || profile.bridgeAddress,
+            chainId: integerFlag(values, 'chain-id', 1) ?? profile.chainId,
+            confirmations: integerFlag(values, 'confirmations') ?? profile.confirmations
+        }
+    });
+    const options = {
+        apiUrl: values['api-url'] || process.env.API_URL || config.apiUrl,
+        keystore: values.keystore,
+        unlimited: values.unlimited,
+        permit: !values['no-permit'],
+        json: values.json,
+        history: {
+            event: values.event,
+            token: values.token,
+            sender: values.sender,
+            fingerprint: values.fingerprint,
+            since: values.since,
+            until: values.until,
+            fromBlock: integerFlag(values, 'from-block'),
+            chunkSize: integerFlag(values, 'chunk-size', 1)
+        }
+    };
+
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl, config.chainId, { staticNetwork: true });
+    const client = new BridgeClient({ config, readProvider: provider });
+
+    // Progress goes to stderr so stdout stays parseable
+    if (!options.json) {
+        client.on('step', ({ step, steps, label }) => {
+            process.stderr.write(`[${step}/${steps}] ${label}\n`);
+        });
+        client.on('tx', ({ message, hash }) => {
+            process.stderr.write(`${message}${hash ? ` (${hash})` : ''}\n`);
+        });
+    }
+
+    try {
+        if (SIGNING_COMMANDS.has(command)) {
+            client.connect(await loadSigner(options, provider));
+        }
+        printResult(await run(command, args, client, options), options.json);
+    } finally {
+        provider.destroy();
+    }
+}
+
+main().catch((e) => fail(e.shortMessage || e.message));
@@ -0,0 +1,153 @@
+/**
+ * ABI fragments for the bridge contracts, shared by the web UI and the SDK.
+ */
+
+// OpenZeppelin AccessControl, inherited by both contracts
+const ACCESS_CONTROL_ABI = [
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error AccessControlBadConfirmation()"
+];
+
+export const BRIDGE_ABI = [
+    // Core deposit/withdrawal functions
+    "function depositToCanton(address token, uint256 amount, bytes32 cantonRecipient) returns (uint256 nonce)",
+    "function executeLargeWithdrawal(bytes32 withdrawalId)",
+    "function cancelLargeWithdrawal(bytes32 withdrawalId)",
+
+    // Admin functions (role-gated)
+    "function registerToken(address token, bytes32 cantonTokenId)",
+    "function deregisterToken(address token)",
+    "function setTokenRateLimit(address token, uint256 maxAmount, uint256 period)",
+    "function setLargeWithdrawalThreshold(address token, uint256 threshold)",
+    "function setTimeLockDelay(uint256 newDelay)",
+    "function pause()",
+    "function unpause()",
+    "function emergencyWithdraw(address token, uint256 amount, address recipient)",
+
+    // View functions
+    "function getLockedBalance(address token) view returns (uint256)",
+    "function isTokenRegistered(address token) view returns (bool)",
+    "function processedWithdrawals(bytes32) view returns (bool)",
+    "function queuedWithdrawals(bytes32) view returns (address token, uint256 amount, address recipient, uint256 executeAfter)",
+    "function timeLockDelay() view returns (uint256)",
+    "function depositNonces(address) view returns (uint256)",
+    "function registeredTokens(address) view returns (bool)",
+    "function lockedBalances(address) view returns (uint256)",
+    "function largeWithdrawalThresholds(address) view returns (uint256)",
+    "function cantonTokenIds(address) view returns (bytes32)",
+    "function paused() view returns (bool)",
+
+    // Access control
+    ...ACCESS_CONTROL_ABI,
+
+    // Rate limit functions (from RateLimiter)
+    "function getRateLimit(address token) view returns (uint256 maxAmount, uint256 period, uint256 lastReset, uint256 usedAmount)",
+    "function getRemainingRateLimit(address token) view returns (uint256)",
+    "function getRateLimitResetTime(address token) view returns (uint256)",
+
+    // Events
+    "event DepositToCanton(address indexed token, address indexed sender, uint256 amount, bytes32 indexed cantonRecipient, uint256 nonce)",
+    "event WithdrawalFromCanton(address indexed token, address indexed recipient, uint256 amount, bytes32 indexed cantonSender, bytes32 withdrawalId)",
+    "event WithdrawalProcessed(bytes32 indexed withdrawalId, bool success)",
+    "event LargeWithdrawalQueued(bytes32 indexed withdrawalId, address indexed token, uint256 amount, uint256 executeAfter)",
+    "event LargeWithdrawalCancelled(bytes32 indexed withdrawalId)",
+    "event TokenRegistered(address indexed token, string symbol, bytes32 indexed cantonTokenId, bool isNative)",
+    "event TokenDeregistered(address indexed token)",
+    "event BridgePaused(address indexed by)",
+    "event BridgeUnpaused(address indexed by)",
+    "event RateLimitSet(address indexed token, uint256 amount, uint256 period)",
+    "event TimeLockUpdated(uint256 oldDelay, uint256 newDelay)",
+    "event EmergencyWithdrawal(address indexed token, uint256 amount, address indexed recipient)",
+
+    // Errors (ICantonBridge, RateLimiter and the OpenZeppelin bases)
+    "error TokenNotRegistered(address token)",
+    "error InvalidAmount()",
+    "error InvalidFingerprint(bytes32 fingerprint)",
+    "error InvalidRecipient(address recipient)",
+    "error WithdrawalAlreadyProcessed(bytes32 withdrawalId)",
+    "error InvalidWithdrawalProof()",
+    "error InsufficientLockedBalance(address token, uint256 requested, uint256 available)",
+    "error RateLimitExceeded(address token, uint256 requested, uint256 available)",
+    "error InvalidRateLimitPeriod()",
+    "error EnforcedPause()",
+    "error ExpectedPause()",
+    "error ReentrancyGuardReentrantCall()",
+    "error SafeERC20FailedOperation(address token)",
+    "error ECDSAInvalidSignature()",
+    "error ECDSAInvalidSignatureLength(uint256 length)",
+    "error ECDSAInvalidSignatureS(bytes32 s)"
+];
+
+export const ERC20_ABI = [
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function symbol() view returns (string)",
+    "function name() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function totalSupply() view returns (uint256)",
+    "function mint(address to, uint256 amount)",
+
+    // EIP-2612 permit (ERC-5267 eip712Domain where implemented)
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function version() view returns (string)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+
+    // OpenZeppelin ERC20 errors (ERC-6093)
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error ERC20InvalidSender(address sender)",
+    "error ERC20InvalidReceiver(address receiver)",
+    "error ERC20InvalidApprover(address approver)",
+    "error ERC20InvalidSpender(address spender)",
+
+    // OpenZeppelin ERC20Permit errors
+    "error ERC2612ExpiredSignature(uint256 deadline)",
+    "error ERC2612InvalidSigner(address signer, address owner)",
+    "error InvalidAccountNonce(address account, uint256 currentNonce)"
+];
+
+export const REGISTRY_ABI = [
+    // Registrar functions (REGISTRAR_ROLE; chain management needs DEFAULT_ADMIN_ROLE)
+    "function registerToken(address token, bytes32 cantonTokenId, bool isNative)",
+    "function registerTokenWithMetadata(address token, string symbol, string name, uint8 decimals, bytes32 cantonTokenId, bool isNative)",
+    "function deactivateToken(address token)",
+    "function reactivateToken(address token)",
+    "function updateCantonTokenId(address token, bytes32 newCantonTokenId)",
+    "function addSupportedChain(uint256 chainId)",
+    "function removeSupportedChain(uint256 chainId)",
+
+    // View functions
+    "function getTokenInfo(address token) view returns (tuple(string symbol, string name, uint8 decimals, bool isNative, bool isActive, bytes32 cantonTokenId, uint256 chainId) info)",
+    "function isTokenActive(address token) view returns (bool)",
+    "function getEvmToken(bytes32 cantonTokenId) view returns (address)",
+    "function getCantonTokenId(address token) view returns (bytes32)",
+    "function getTokenCount() view returns (uint256)",
+    "function getAllTokens() view returns (address[])",
+    "function getActiveTokens() view returns (address[])",
+    "function isChainSupported(uint256 chainId) view returns (bool)",
+    "function getSupportedChains() view returns (uint256[])",
+
+    // Access control
+    ...ACCESS_CONTROL_ABI,
+
+    // Events
+    "event TokenRegistered(address indexed token, string symbol, bytes32 indexed cantonTokenId, bool isNative)",
+    "event TokenDeregistered(address indexed token)",
+    "event TokenUpdated(address indexed token)",
+
+    // Errors
+    "error TokenAlreadyRegistered(address token)",
+    "error TokenNotRegistered(address token)",
+    "error InvalidTokenAddress()",
+    "error ChainNotSupported(uint256 chainId)",
+    "error CantonTokenAlreadyMapped(bytes32 cantonTokenId)"
+];
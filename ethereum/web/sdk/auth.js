@@ -0,0 +1,177 @@
+/**
+ * Middleware authentication: Sign-In with Ethereum (EIP-4361) sessions and
+ * EIP-712 withdrawal and transfer authorizations.
+ *
+ * Signing in asks the middleware for a nonce (`auth_nonce`), has the wallet
+ * sign a SIWE message naming the site, the middleware URL, the chain and
+ * that nonce, and trades it for a short-lived bearer token (`auth_login`).
+ * The token is sent as `Authorization: Bearer <token>` on every later call
+ * until it expires, so reads such as a balance check need no signature.
+ *
+ * Requests that move funds are authorized separately: the wallet signs a
+ * typed `Withdrawal` or `CantonTransfer` binding the owner, amount,
+ * destination, a random nonce and a deadline to the middleware domain on this
+ * chain and bridge. The middleware must reject a signature whose fields
+ * differ from the request, whose deadline has passed, or whose nonce it has
+ * already seen.
+ */
+
+import { ethers } from './ethers.js';
+
+/** sessionStorage key holding the session tokens of every middleware and account. */
+export const SESSION_STORAGE_KEY = 'cantonBridge.sessions';
+
+/** A session this close to expiry is renewed before use. */
+export const SESSION_RENEW_MARGIN_SECONDS = 60;
+
+/** Lifetime of a withdrawal or transfer authorization. */
+export const AUTHORIZATION_SECONDS = 600;
+
+export const SIWE_STATEMENT = 'Sign in to the Canton bridge middleware.';
+
+/** EIP-712 domain name the middleware verifies authorizations against. */
+export const MIDDLEWARE_DOMAIN_NAME = 'Canton Bridge Middleware';
+
+export const WITHDRAWAL_TYPES = {
+    Withdrawal: [
+        { name: 'owner', type: 'address' },
+        { name: 'amount', type: 'string' },
+        { name: 'destination', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Recipient is an EVM address or a Canton fingerprint, as typed by the sender
+export const CANTON_TRANSFER_TYPES = {
+    CantonTransfer: [
+        { name: 'owner', type: 'address' },
+        { name: 'amount', type: 'string' },
+        { name: 'recipient', type: 'string' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/**
+ * @typedef {Object} MiddlewareSession
+ * @property {string} token
+ * @property {string} address    Checksummed account the session belongs to
+ * @property {number} chainId
+ * @property {number} expiresAt  Unix seconds
+ */
+
+/**
+ * EIP-4361 message text.
+ * @param {Object} fields
+ * @param {string} fields.domain           Host asking for the signature
+ * @param {string} fields.address
+ * @param {string} fields.uri              Resource the session is for
+ * @param {number} fields.chainId
+ * @param {string} fields.nonce            Issued by the middleware
+ * @param {string} fields.issuedAt         ISO 8601
+ * @param {string} [fields.expirationTime] ISO 8601
+ * @param {string} [fields.statement]
+ */
+export function buildSiweMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime = null, statement = SIWE_STATEMENT }) {
+    const lines = [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        ethers.getAddress(address),
+        '',
+        statement,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`
+    ];
+    if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+    return lines.join('\n');
+}
+
+/**
+ * Host and URI a SIWE message names: the page in the browser (wallets warn
+ * when the domain is not the page's), the middleware itself in Node.
+ */
+export function siweOrigin(apiUrl) {
+    const location = globalThis.location;
+    if (location?.host) return { domain: location.host, uri: location.origin };
+    return { domain: new URL(apiUrl).host, uri: apiUrl };
+}
+
+/**
+ * EIP-712 domain of withdrawal and transfer authorizations.
+ */
+export function middlewareDomain(chainId, bridgeAddress) {
+    return {
+        name: MIDDLEWARE_DOMAIN_NAME,
+        version: '1',
+        chainId,
+        verifyingContract: bridgeAddress
+    };
+}
+
+/**
+ * Session tokens by middleware URL, account and chain, kept in
+ * sessionStorage when there is one so a reload does not sign in again.
+ */
+export class SessionStore {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage]  Defaults to sessionStorage, memory only without one
+     */
+    constructor({ storage = globalThis.sessionStorage ?? null } = {}) {
+        this.storage = storage;
+        this.sessions = new Map(Object.entries(this.load()));
+    }
+
+    static key(apiUrl, address, chainId) {
+        return `${apiUrl}|${address.toLowerCase()}|${chainId}`;
+    }
+
+    /**
+     * Stored session with more than `margin` seconds left, or null.
+     * @returns {MiddlewareSession|null}
+     */
+    get(apiUrl, address, chainId, margin = SESSION_RENEW_MARGIN_SECONDS) {
+        const key = SessionStore.key(apiUrl, address, chainId);
+        const session = this.sessions.get(key);
+        if (!session) return null;
+        if (session.expiresAt - margin <= Math.floor(Date.now() / 1000)) {
+            this.delete(apiUrl, address, chainId);
+            return null;
+        }
+        return session;
+    }
+
+    set(apiUrl, session) {
+        this.sessions.set(SessionStore.key(apiUrl, session.address, session.chainId), session);
+        this.persist();
+    }
+
+    delete(apiUrl, address, chainId) {
+        if (this.sessions.delete(SessionStore.key(apiUrl, address, chainId))) this.persist();
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    load() {
+        try {
+            return JSON.parse(this.storage?.getItem(SESSION_STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    persist() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(Object.fromEntries(this.sessions)));
+        } catch {
+            // Storage full or disabled: the session still lasts for this page
+        }
+    }
+}
@@ -0,0 +1,2450 @@
+/**
+ * Headless client for the CantonBridge contracts and the Canton middleware.
+ *
+ * Holds no DOM references: every operation returns a plain result object and
+ * reports progress through events, so the same code drives the web UI, Node
+ * scripts and tests.
+ *
+ * Every write is dry-run with eth_call and gas-estimated before the wallet
+ * is asked to sign; a `confirmTx` callback sees the fee estimate first and can
+ * stop the transaction. Sent transactions are waited on for `confirmations`
+ * blocks. A transaction
+ * replaced while waiting (sped up or cancelled, here or in the wallet) is
+ * followed to its replacement. Failed transactions and wallet requests throw a
+ * BridgeError whose message is decoded from the revert data or wallet error
+ * code (see errors.js).
+ *
+ * Middleware calls go through a MiddlewareClient per API URL (timeouts,
+ * retried reads, typed errors) and run in a Sign-In with Ethereum session
+ * (see auth.js): the first call signs in, later ones reuse the token until it
+ * expires.
+ * Withdrawals additionally carry an EIP-712 signature over their parameters.
+ *
+ * Events:
+ *   api       { method, endpoint, params }                  outgoing call
+ *   tx        { action, stage, message, hash, details }     stage: pending | simulated | submitted | replaced | confirmed
+ *                                                           (simulated also carries `estimate`, submitted the
+ *                                                           `tx` snapshot, replaced `replaced`, `reason` and `tx`)
+ *   log       { level, message, details }                   level: info | success | warn | error
+ *   step      { flow, step, steps, label }                  next step of a multi-step flow (depositWithApproval)
+ *   bridgeEvent  BridgeEvent                                live contract event
+ *   withdrawalInitiated  { withdrawalId, amount, evmDestination, message }   erc20_withdraw result
+ *   session   { apiUrl, address, expiresAt } | { apiUrl, address, expiresAt: null }   signed in / signed out
+ */
+
+import { ethers } from './ethers.js';
+import { BRIDGE_ABI, ERC20_ABI, REGISTRY_ABI } from './abi.js';
+import {
+    SessionStore,
+    AUTHORIZATION_SECONDS,
+    CANTON_TRANSFER_TYPES,
+    WITHDRAWAL_TYPES,
+    buildSiweMessage,
+    siweOrigin,
+    middlewareDomain
+} from './auth.js';
+import { CONFIG } from './config.js';
+import { Emitter } from './emitter.js';
+import { BridgeError, translateError } from './errors.js';
+import { MiddlewareClient, MiddlewareError } from './middleware-client.js';
+import { TokenMetadataCache, formatTokenAmount } from './token-metadata.js';
+import { toTxSnapshot } from './tx-manager.js';
+
+/** Events replayed by loadEventHistory. */
+export const TRANSFER_EVENTS = [
+    'DepositToCanton',
+    'WithdrawalFromCanton',
+    'WithdrawalProcessed',
+    'LargeWithdrawalQueued',
+    'LargeWithdrawalCancelled'
+];
+
+/** Events followed by startEventListening. */
+export const LIVE_EVENTS = [...TRANSFER_EVENTS, 'TokenRegistered'];
+
+/** CantonBridge access-control roles (keccak256 of the role name). */
+export const BRIDGE_ROLES = {
+    DEFAULT_ADMIN: ethers.ZeroHash,
+    ADMIN: ethers.id('ADMIN_ROLE'),
+    RELAYER: ethers.id('RELAYER_ROLE'),
+    PAUSER: ethers.id('PAUSER_ROLE')
+};
+
+/** TokenRegistry access-control roles. */
+export const REGISTRY_ROLES = {
+    DEFAULT_ADMIN: ethers.ZeroHash,
+    REGISTRAR: ethers.id('REGISTRAR_ROLE')
+};
+
+// Role hash -> AccessControl constant name, for revert messages
+const ROLE_NAMES = Object.fromEntries(
+    Object.entries({ ...BRIDGE_ROLES, ...REGISTRY_ROLES }).map(([key, hash]) => [hash, `${key}_ROLE`])
+);
+
+/**
+ * Role each admin operation requires, as a BRIDGE_ROLES key.
+ */
+export const ADMIN_ACTIONS = {
+    registerToken: 'ADMIN',
+    deregisterToken: 'ADMIN',
+    setTokenRateLimit: 'ADMIN',
+    setLargeWithdrawalThreshold: 'ADMIN',
+    setTimeLockDelay: 'ADMIN',
+    pause: 'PAUSER',
+    unpause: 'PAUSER',
+    emergencyWithdraw: 'DEFAULT_ADMIN'
+};
+
+/**
+ * Role each TokenRegistry operation requires, as a REGISTRY_ROLES key.
+ */
+export const REGISTRY_ACTIONS = {
+    registerToken: 'REGISTRAR',
+    registerTokenWithMetadata: 'REGISTRAR',
+    deactivateToken: 'REGISTRAR',
+    reactivateToken: 'REGISTRAR',
+    updateCantonTokenId: 'REGISTRAR',
+    addSupportedChain: 'DEFAULT_ADMIN',
+    removeSupportedChain: 'DEFAULT_ADMIN'
+};
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} symbol
+ * @property {string} name
+ * @property {number} decimals
+ */
+
+/**
+ * @typedef {Object} RegistryToken
+ * @property {string} address
+ * @property {string} symbol
+ * @property {string} name
+ * @property {number} decimals
+ * @property {boolean} isNative
+ * @property {boolean} isActive
+ * @property {string} cantonTokenId   bytes32 CIP-56 token ID
+ * @property {number} chainId         0 when the token was never registered
+ */
+
+/**
+ * @typedef {Object} TxCall
+ * @property {Object} target          ethers Contract connected to the signer
+ * @property {string} method          Function name
+ * @property {Array} args
+ */
+
+/**
+ * @typedef {Object} TxEstimate
+ * @property {bigint} gas             Estimated gas used
+ * @property {bigint} baseFee         Wei per gas (the gas price on pre-London chains)
+ * @property {bigint} priorityFee     Wei per gas
+ * @property {bigint} fee             Expected fee in wei: gas * (baseFee + priorityFee)
+ * @property {bigint} maxFee          Fee in wei if the wallet pays its max fee per gas
+ */
+
+/**
+ * @typedef {Object} TxResult
+ * @property {string} hash            Transaction hash
+ * @property {Object} receipt         ethers TransactionReceipt
+ */
+
+/**
+ * @typedef {Object} QueuedWithdrawal
+ * @property {string} withdrawalId
+ * @property {string} token
+ * @property {bigint} amount
+ * @property {string} recipient
+ * @property {number} executeAfter    Unix seconds
+ * @property {number} blockNumber     Block of the LargeWithdrawalQueued event
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {Object} RateLimitStatus
+ * @property {boolean} limited        False when the token has no rate limit
+ * @property {bigint} maxAmount
+ * @property {bigint} usedAmount      Used in the current window (0 once it has ended)
+ * @property {bigint} remaining       Depositable now; MaxUint256 when unlimited
+ * @property {number} period          Window length in seconds
+ * @property {number|null} resetsAt   Unix seconds the current window ends; null when none is running
+ */
+
+/**
+ * @typedef {Object} AdminState
+ * @property {boolean} paused
+ * @property {bigint} timeLockDelay   Seconds
+ * @property {Object|null} token      Per-token settings when a token was given:
+ *   { address, info: TokenInfo, registered, cantonTokenId, threshold, lockedBalance,
+ *     balance (held by the bridge), rateLimit: { maxAmount, period, usedAmount } }
+ */
+
+/**
+ * @typedef {Object} AdminChange
+ * @property {string} label
+ * @property {string} before          Current on-chain value, formatted
+ * @property {string} after           Value once the operation is mined
+ */
+
+/**
+ * @typedef {Object} RegistryEntry
+ * @property {string} address
+ * @property {RegistryToken|null} registry  null when the registry has never seen the token
+ * @property {string|null} reverseToken     getEvmToken() of the registry's Canton token ID
+ * @property {boolean} bridgeRegistered     registeredTokens() on the bridge
+ * @property {string} bridgeCantonTokenId   cantonTokenIds() on the bridge
+ * @property {string[]} drift               Disagreements between bridge and registry
+ */
+
+/**
+ * @typedef {Object} RoleMember
+ * @property {string} account
+ * @property {number} grantedBlock
+ * @property {string} grantedBy       Account that sent the grant
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {Object} RoleMembership
+ * @property {string} role            Role key, e.g. "RELAYER" (the hash for roles we have no name for)
+ * @property {string} hash
+ * @property {string} adminRole       Key of the role that can grant and revoke it
+ * @property {RoleMember[]} members   Current holders, oldest grant first
+ */
+
+/**
+ * @typedef {Object} BridgeEvent
+ * @property {string} name            Event name, e.g. "DepositToCanton"
+ * @property {Object} args            Event arguments keyed by ABI parameter name (raw values)
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {number} [timestamp]     Block timestamp (unix seconds), set by scanEventHistory
+ */
+
+/**
+ * @typedef {Object} HistoryFilter
+ * @property {string} [token]         Token address
+ * @property {string} [sender]        Depositor address
+ * @property {string} [fingerprint]   Canton recipient (deposits) or sender (withdrawals)
+ * @property {Date|number} [since]    Earliest block time (Date or ms since epoch)
+ * @property {Date|number} [until]    Latest block time
+ */
+
+/**
+ * @typedef {Object} HistoryBatch
+ * @property {number} fromBlock       Range covered by this chunk
+ * @property {number} toBlock
+ * @property {BridgeEvent[]} events   Matching events in the chunk, newest first
+ * @property {number} scannedBlocks   Blocks scanned so far, including this chunk
+ * @property {number} totalBlocks     Blocks in the whole scan
+ */
+
+/**
+ * @typedef {Object} CantonHolding
+ * @property {string} contractId        CIP56Holding contract ID
+ * @property {string} amount            Decimal string
+ * @property {string|null} instrument   InstrumentId.id, e.g. "PROMPT"
+ * @property {boolean} locked
+ * @property {{ holders: string[], expiresAt: string|null, context: string|null }|null} lock
+ */
+
+/**
+ * @typedef {Object} CantonHoldingTotal
+ * @property {string|null} instrument   InstrumentId.id the totals are of
+ * @property {string} unlocked          Decimal string
+ * @property {string} locked            Decimal string
+ */
+
+/**
+ * @typedef {Object} CantonTransferEvent
+ * @property {string} id                   TokenTransferEvent contract ID
+ * @property {string} kind                 mint | burn | transfer
+ * @property {string|null} direction       in | out for the querying party
+ * @property {string|null} from            Party; null for mints
+ * @property {string|null} to              Party; null for burns
+ * @property {string} amount               Decimal string
+ * @property {string|null} instrument
+ * @property {number|null} timestamp       ms since epoch
+ * @property {string|null} externalTxId    bridge.externalTxId: EVM transaction of a mint or burn
+ * @property {string|null} externalAddress bridge.externalAddress: EVM address of a bridged mint or burn
+ * @property {string|null} fingerprint     bridge.fingerprint: Canton fingerprint of a bridged mint or burn
+ */
+
+/** Lifetime of a deposit permit signature, in seconds. */
+export const PERMIT_DEADLINE_SECONDS = 20 * 60;
+
+// EIP-2612 Permit struct
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/** Extra gas on top of the estimate when sending. */
+export const GAS_LIMIT_BUFFER_PERCENT = 20n;
+
+/** Blocks on top of a transaction before it counts as confirmed, unless the profile sets `confirmations`. */
+export const DEFAULT_CONFIRMATIONS = 1;
+
+// Progress message per TRANSACTION_REPLACED reason
+const REPLACED_MESSAGES = {
+    repriced: 'Transaction sped up',
+    cancelled: 'Transaction cancelled',
+    replaced: 'Transaction replaced by another with the same nonce'
+};
+
+/** Blocks per eth_getLogs call when neither the caller nor the profile says. */
+export const DEFAULT_LOG_CHUNK_SIZE = 2000;
+
+/** Retries of a rate-limited eth_getLogs call, waiting 1 s, 2 s, 4 s, ... in between. */
+export const LOG_RATE_LIMIT_RETRIES = 5;
+
+/**
+ * Compute fingerprint from EVM address (keccak256 hash).
+ * This matches the server-side computation in auth/evm.go
+ */
+export function computeFingerprint(address) {
+    // keccak256 of the address bytes (ethers handles the conversion)
+    return ethers.keccak256(address);
+}
+
+/**
+ * Check that a value is a 0x-prefixed 32-byte hex string.
+ */
+export function isBytes32(value) {
+    return typeof value === 'string' && value.startsWith('0x') && value.length === 66;
+}
+
+/**
+ * Whether an eth_getLogs failure is the provider refusing the block range or
+ * result size (the wording differs per provider), so a smaller range may work.
+ */
+export function isRangeError(error) {
+    if (isRateLimitError(error)) return false;
+    return /block range|range (is )?too (large|wide)|more than [\d,]+ (results|logs|blocks)|response size (exceeded|is too (large|big))|limited to a [\d,]+ (block )?range/i
+        .test(errorMessages(error));
+}
+
+/**
+ * Whether an RPC failure is the provider throttling requests (HTTP 429 or a
+ * rate-limit message). The same request may succeed after a pause.
+ */
+export function isRateLimitError(error) {
+    if (error?.status === 429 || error?.info?.responseStatus?.startsWith?.('429')) return true;
+    return /\b429\b|too many requests|rate.?limit|request limit|compute units/i.test(errorMessages(error));
+}
+
+function errorMessages(error) {
+    return [error?.message, error?.error?.message, error?.info?.error?.message].filter(Boolean).join(' ');
+}
+
+/**
+ * Whether a BridgeEvent passes a HistoryFilter. Events without the filtered
+ * field never match; the time range is only checked when the event carries
+ * a timestamp.
+ */
+export function matchesHistoryFilter(event, { token, sender, fingerprint, since, until } = {}) {
+    const same = (a, b) => typeof a === 'string' && a.toLowerCase() === b.toLowerCase();
+    if (token && !same(event.args.token, token)) return false;
+    if (sender && !same(event.args.sender, sender)) return false;
+    if (fingerprint && !same(event.args.cantonRecipient ?? event.args.cantonSender, fingerprint)) return false;
+    if (event.timestamp !== undefined) {
+        const time = event.timestamp * 1000;
+        if (since && time < Number(since)) return false;
+        if (until && time > Number(until)) return false;
+    }
+    return true;
+}
+
+/**
+ * Wei as ETH, to three significant digits.
+ */
+export function formatFee(wei) {
+    const eth = Number(ethers.formatEther(wei));
+    return `${eth.toLocaleString('en-US', { maximumSignificantDigits: 3 })} ETH`;
+}
+
+/**
+ * Format a gas price in gwei, e.g. "1.5 gwei".
+ */
+export function formatGwei(wei) {
+    return `${Number(ethers.formatUnits(wei, 'gwei')).toLocaleString('en-US', { maximumSignificantDigits: 3 })} gwei`;
+}
+
+/**
+ * Parse a whole number of seconds.
+ * @returns {bigint}
+ */
+function parseSeconds(value, name) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text)) throw new Error(`${name} must be a whole number of seconds`);
+    return BigInt(text);
+}
+
+function parseChainId(value) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text) || BigInt(text) === 0n) throw new Error('Chain ID must be a positive integer');
+    return BigInt(text);
+}
+
+/**
+ * List the ways the bridge and the registry disagree about a token.
+ * @returns {string[]}
+ */
+function describeRegistryDrift({ address, registry, reverseToken, bridgeRegistered, bridgeCantonTokenId }) {
+    const drift = [];
+    if (bridgeRegistered && !registry) drift.push('Registered in the bridge but not in the registry');
+    if (bridgeRegistered && registry && !registry.isActive) drift.push('Registered in the bridge but deactivated in the registry');
+    if (!bridgeRegistered && registry?.isActive) drift.push('Active in the registry but not registered in the bridge');
+    if (bridgeRegistered && registry && bridgeCantonTokenId !== registry.cantonTokenId) {
+        drift.push('Canton token ID differs between bridge and registry');
+    }
+    if (registry && reverseToken.toLowerCase() !== address.toLowerCase()) {
+        drift.push(`cantonToEvmToken maps the Canton token ID to ${reverseToken}`);
+    }
+    return drift;
+}
+
+// Canton Decimal carries 10 fractional digits
+const CANTON_DECIMALS = 10;
+
+function sumDecimals(amounts) {
+    const total = amounts.reduce((sum, amount) => sum + ethers.parseUnits(String(amount), CANTON_DECIMALS), 0n);
+    return ethers.formatUnits(total, CANTON_DECIMALS);
+}
+
+// Metadata comes as Daml's { values: {...} } or already flattened
+function metadataValues(meta) {
+    return meta?.values ?? meta ?? {};
+}
+
+/**
+ * Normalise a middleware holding record into a CantonHolding.
+ * @returns {CantonHolding}
+ */
+export function toCantonHolding(holding) {
+    const lock = holding.lock || null;
+    return {
+        contractId: holding.contractId,
+        amount: String(holding.amount),
+        instrument: holding.instrumentId?.id ?? holding.instrumentId ?? null,
+        locked: Boolean(lock),
+        lock: lock ? { holders: lock.holders || [], expiresAt: lock.expiresAt ?? null, context: lock.context ?? null } : null
+    };
+}
+
+/**
+ * Available and locked totals of holdings, one entry per instrument in
+ * order of first appearance: amounts of different instruments never add up.
+ * @param {CantonHolding[]} holdings
+ * @returns {CantonHoldingTotal[]}
+ */
+export function totalCantonHoldings(holdings) {
+    const byInstrument = new Map();
+    for (const holding of holdings) {
+        if (!byInstrument.has(holding.instrument)) byInstrument.set(holding.instrument, { unlocked: [], locked: [] });
+        byInstrument.get(holding.instrument)[holding.locked ? 'locked' : 'unlocked'].push(holding.amount);
+    }
+    return [...byInstrument].map(([instrument, amounts]) => ({
+        instrument,
+        unlocked: sumDecimals(amounts.unlocked),
+        locked: sumDecimals(amounts.locked)
+    }));
+}
+
+/**
+ * Normalise a middleware TokenTransferEvent record. The kind follows from
+ * the parties, as in the template: no sender is a mint, no receiver a burn.
+ * @param {Object} event
+ * @param {string} [party]  Querying party, for `direction`
+ * @returns {CantonTransferEvent}
+ */
+export function toCantonTransferEvent(event, party = null) {
+    const from = event.fromParty ?? null;
+    const to = event.toParty ?? null;
+    const kind = from === null ? 'mint' : to === null ? 'burn' : 'transfer';
+    let direction = null;
+    if (party && to === party) direction = 'in';
+    else if (party && from === party) direction = 'out';
+    const meta = metadataValues(event.meta);
+    return {
+        id: event.contractId,
+        kind,
+        direction,
+        from,
+        to,
+        amount: String(event.amount),
+        instrument: event.instrumentId?.id ?? event.instrumentId ?? null,
+        timestamp: event.timestamp ? Date.parse(event.timestamp) : null,
+        externalTxId: meta['bridge.externalTxId'] ?? null,
+        externalAddress: meta['bridge.externalAddress'] ?? null,
+        fingerprint: meta['bridge.fingerprint'] ?? null
+    };
+}
+
+/**
+ * Normalise an ethers EventLog into a BridgeEvent.
+ * @returns {BridgeEvent}
+ */
+export function decodeBridgeEvent(log) {
+    const args = {};
+    log.fragment.inputs.forEach((input, i) => {
+        args[input.name] = log.args[i];
+    });
+    return {
+        name: log.fragment.name,
+        args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+    };
+}
+
+// Resolve after `ms`, or as soon as `signal` aborts
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve();
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Thrown by signIn() for middleware that authenticates with signed headers instead of sessions
+function legacyAuthError(cause = null) {
+    return new BridgeError('This middleware has no sign-in sessions; each call is signed instead', { code: 'LEGACY_AUTH', cause });
+}
+
+export class BridgeClient extends Emitter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config]        Overrides for CONFIG (rpcUrl, bridgeAddress, chainId, explorerUrl)
+     * @param {Object} [options.readProvider]  Provider for reads; defaults to a JsonRpcProvider on config.rpcUrl
+     * @param {Object} [options.signer]        Signer for writes and middleware authentication
+     * @param {SessionStore} [options.sessions] Middleware session tokens; defaults to sessionStorage
+     * @param {Function} [options.confirmTx]   `async ({ action, message, estimate, details }) => boolean`, asked
+     *                                         after simulation and before the wallet prompt; false stops the write
+     */
+    constructor({ config = {}, readProvider = null, signer = null, sessions = null, confirmTx = null } = {}) {
+        super();
+        this.config = { ...CONFIG, ...config };
+        this.readProvider = readProvider || new ethers.JsonRpcProvider(this.config.rpcUrl);
+        this.readBridge = new ethers.Contract(this.config.bridgeAddress, BRIDGE_ABI, this.readProvider);
+        this.readRegistry = this.config.registryAddress
+            ? new ethers.Contract(this.config.registryAddress, REGISTRY_ABI, this.readProvider)
+            : null;
+        this.tokenMetadata = new TokenMetadataCache(address => this.fetchTokenInfo(address));
+        this.permitDomains = new Map();  // lowercase token -> Promise<EIP-712 domain|null>
+        this.sessions = sessions || new SessionStore();
+        this.signIns = new Map();  // session key -> Promise<MiddlewareSession>, while signing in
+        this.middlewareClients = new Map();  // API URL -> MiddlewareClient
+        this.legacyAuthUrls = new Set();  // API URLs found to have no SIWE sign-in
+        this.confirmTx = confirmTx;
+        this.signer = null;
+        this.bridge = null;
+        this.isListening = false;
+        if (signer) this.connect(signer);
+    }
+
+    /**
+     * Attach a signer for write operations. Pass null to detach.
+     */
+    connect(signer) {
+        this.signer = signer;
+        this.bridge = signer
+            ? new ethers.Contract(this.config.bridgeAddress, BRIDGE_ABI, signer)
+            : null;
+    }
+
+    /** Blocks to wait for on every write. */
+    get confirmations() {
+        return this.config.confirmations ?? DEFAULT_CONFIRMATIONS;
+    }
+
+    requireSigner() {
+        if (!this.signer) throw new Error('Wallet not connected');
+        return this.signer;
+    }
+
+    // =========================================================================
+    // Token Functions
+    // =========================================================================
+
+    /**
+     * Token metadata, served from the cache when possible.
+     * @returns {Promise<TokenInfo>}
+     */
+    async getTokenInfo(tokenAddress) {
+        return this.tokenMetadata.get(tokenAddress);
+    }
+
+    /**
+     * Format a raw amount of `tokenAddress` with its decimals and symbol.
+     */
+    async formatAmount(tokenAddress, raw) {
+        return formatTokenAmount(raw, await this.getTokenInfo(tokenAddress));
+    }
+
+    /** @returns {Promise<TokenInfo>} */
+    async fetchTokenInfo(tokenAddress) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const [symbol, name, decimals] = await Promise.all([
+            token.symbol(),
+            token.name(),
+            token.decimals()
+        ]);
+        return { symbol, name, decimals: Number(decimals) };
+    }
+
+    /**
+     * Read a token's TokenRegistry entry.
+     * @returns {Promise<RegistryToken>}
+     */
+    async getRegistryToken(tokenAddress) {
+        if (!this.readRegistry) throw new Error('No token registry configured for this network');
+        const info = await this.readRegistry.getTokenInfo(tokenAddress);
+
+        // Registered tokens seed the metadata cache
+        if (info.chainId !== 0n) {
+            this.tokenMetadata.set(tokenAddress, {
+                symbol: info.symbol,
+                name: info.name,
+                decimals: Number(info.decimals)
+            });
+        }
+
+        return {
+            address: ethers.getAddress(tokenAddress),
+            symbol: info.symbol,
+            name: info.name,
+            decimals: Number(info.decimals),
+            isNative: info.isNative,
+            isActive: info.isActive,
+            cantonTokenId: info.cantonTokenId,
+            chainId: Number(info.chainId)
+        };
+    }
+
+    /**
+     * List registry tokens, active ones only unless `includeInactive` is set.
+     * @returns {Promise<RegistryToken[]>}
+     */
+    async getRegistryTokens({ includeInactive = false } = {}) {
+        if (!this.readRegistry) throw new Error('No token registry configured for this network');
+        const addresses = includeInactive
+            ? await this.readRegistry.getAllTokens()
+            : await this.readRegistry.getActiveTokens();
+        return Promise.all(addresses.map(address => this.getRegistryToken(address)));
+    }
+
+    /**
+     * Throw if the registry knows the token but has it deactivated.
+     * Tokens the registry has never seen are left to the bridge's own check.
+     */
+    async assertTokenActive(tokenAddress) {
+        if (!this.readRegistry) return;
+        const info = await this.getRegistryToken(tokenAddress);
+        if (info.chainId !== 0 && !info.isActive) {
+            throw new Error(`${info.symbol || 'Token'} is deactivated in the token registry`);
+        }
+    }
+
+    /**
+     * Get ERC20 token balance and allowance towards the bridge.
+     * Defaults to the connected signer's address.
+     */
+    async getTokenBalanceAndAllowance(tokenAddress, owner = null) {
+        const userAddress = owner || await this.requireSigner().getAddress();
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+
+        const [balance, allowance] = await Promise.all([
+            token.balanceOf(userAddress),
+            token.allowance(userAddress, this.config.bridgeAddress)
+        ]);
+
+        return {
+            balance: ethers.formatUnits(balance, tokenInfo.decimals),
+            allowance: ethers.formatUnits(allowance, tokenInfo.decimals),
+            symbol: tokenInfo.symbol,
+            decimals: tokenInfo.decimals,
+            balanceRaw: balance,
+            allowanceRaw: allowance
+        };
+    }
+
+    // =========================================================================
+    // Deposit Functions (EVM → Canton)
+    // =========================================================================
+
+    /**
+     * Approve the bridge to spend `amount`, or an unlimited amount. Tokens
+     * like USDT refuse to change one non-zero allowance to another, so when
+     * the new approval would revert, the allowance is reset to zero first.
+     * @returns {Promise<TxResult & { amount: string, symbol: string }>}
+     */
+    async approve(tokenAddress, amount, { unlimited = false } = {}) {
+        const signer = this.requireSigner();
+
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const value = unlimited ? ethers.MaxUint256 : ethers.parseUnits(amount.toString(), tokenInfo.decimals);
+        const label = unlimited ? `unlimited ${tokenInfo.symbol}` : `${amount} ${tokenInfo.symbol}`;
+
+        const owner = await signer.getAddress();
+        const current = await token.allowance(owner, this.config.bridgeAddress);
+        if (current > 0n && current !== value && await this.requiresAllowanceReset(tokenAddress, owner, value)) {
+            this.emit('api', {
+                method: 'CALL',
+                endpoint: `ERC20.approve(${this.config.bridgeAddress.slice(0, 10)}..., 0)`,
+                params: { token: tokenAddress.slice(0, 10) }
+            });
+            await this.sendTx('approve', {
+                pending: 'Token requires resetting the allowance to zero first...',
+                submitted: 'Allowance reset TX submitted',
+                confirmed: 'Allowance reset to zero'
+            }, { target: token, method: 'approve', args: [this.config.bridgeAddress, 0n] }, { token: tokenAddress });
+        }
+
+        this.emit('api', {
+            method: 'CALL',
+            endpoint: `ERC20.approve(${this.config.bridgeAddress.slice(0, 10)}...)`,
+            params: { amount: unlimited ? 'unlimited' : amount, token: tokenAddress.slice(0, 10) }
+        });
+        const { hash, receipt } = await this.sendTx('approve', {
+            pending: 'Approving token spend...',
+            submitted: 'Approval TX submitted',
+            confirmed: `Approved ${label}`
+        }, { target: token, method: 'approve', args: [this.config.bridgeAddress, value] }, { token: tokenAddress });
+
+        return { hash, receipt, amount: unlimited ? 'unlimited' : amount.toString(), symbol: tokenInfo.symbol };
+    }
+
+    /**
+     * Whether approving `value` from a non-zero allowance would revert.
+     */
+    async requiresAllowanceReset(tokenAddress, owner, value) {
+        const data = new ethers.Interface(ERC20_ABI).encodeFunctionData('approve', [this.config.bridgeAddress, value]);
+        try {
+            // Raw call: USDT's approve() returns nothing, which staticCall can't decode
+            await this.readProvider.call({ from: owner, to: tokenAddress, data });
+            return false;
+        } catch (e) {
+            if (e.code === 'CALL_EXCEPTION') return true;
+            throw e;
+        }
+    }
+
+    /**
+     * Deposit using an existing allowance.
+     * @returns {Promise<TxResult & { amount: string, symbol: string, nonce: bigint|null }>}
+     */
+    async deposit(tokenAddress, amount, cantonRecipient) {
+        const signer = this.requireSigner();
+        const { tokenInfo, amountWei } = await this.prepareDeposit(tokenAddress, amount, cantonRecipient);
+
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+        const userAddress = await signer.getAddress();
+        const allowance = await token.allowance(userAddress, this.config.bridgeAddress);
+
+        if (allowance < amountWei) {
+            throw new Error(`Insufficient allowance. Please approve first. Current: ${ethers.formatUnits(allowance, tokenInfo.decimals)}`);
+        }
+
+        return this.submitDeposit(tokenAddress, amount, amountWei, cantonRecipient, tokenInfo);
+    }
+
+    /**
+     * Deposit in one action, covering the allowance as needed:
+     *   - an existing allowance is used as is;
+     *   - tokens with EIP-2612 permit are authorised with a signature, which
+     *     is submitted to the token's permit() before the deposit;
+     *   - other tokens are approved (exact amount or unlimited), then deposited.
+     * Emits a `step` event as each step starts.
+     * @param {Object} [options]
+     * @param {string} [options.approval]  "exact" or "unlimited", for the approve path
+     * @param {boolean} [options.permit]   Set false to always approve
+     * @returns {Promise<TxResult & { amount: string, symbol: string, nonce: bigint|null, authorization: string }>}
+     *   authorization: "allowance" | "permit" | "approve"
+     */
+    async depositWithApproval(tokenAddress, amount, cantonRecipient, { approval = 'exact', permit = true } = {}) {
+        const signer = this.requireSigner();
+        const { tokenInfo, amountWei } = await this.prepareDeposit(tokenAddress, amount, cantonRecipient);
+
+        const owner = await signer.getAddress();
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const [balance, allowance] = await Promise.all([
+            token.balanceOf(owner),
+            token.allowance(owner, this.config.bridgeAddress)
+        ]);
+        if (balance < amountWei) {
+            throw new Error(`Insufficient balance: ${formatTokenAmount(balance, tokenInfo)} available`);
+        }
+
+        if (allowance >= amountWei) {
+            this.emit('step', { flow: 'deposit', step: 1, steps: 1, label: 'Deposit (allowance already covers it)' });
+            const result = await this.submitDeposit(tokenAddress, amount, amountWei, cantonRecipient, tokenInfo);
+            return { ...result, authorization: 'allowance' };
+        }
+
+        if (permit && await this.getPermitDomain(tokenAddress)) {
+            this.emit('step', { flow: 'deposit', step: 1, steps: 3, label: 'Sign permit' });
+            const signature = await this.signPermit(tokenAddress, amountWei);
+            this.emit('step', { flow: 'deposit', step: 2, steps: 3, label: 'Submit permit' });
+            await this.submitPermit(tokenAddress, amountWei, signature);
+            this.emit('step', { flow: 'deposit', step: 3, steps: 3, label: 'Deposit' });
+            const result = await this.submitDeposit(tokenAddress, amount, amountWei, cantonRecipient, tokenInfo);
+            return { ...result, authorization: 'permit' };
+        }
+
+        this.emit('step', { flow: 'deposit', step: 1, steps: 2, label: approval === 'unlimited' ? 'Approve unlimited' : 'Approve' });
+        await this.approve(tokenAddress, amount, { unlimited: approval === 'unlimited' });
+        this.emit('step', { flow: 'deposit', step: 2, steps: 2, label: 'Deposit' });
+        const result = await this.submitDeposit(tokenAddress, amount, amountWei, cantonRecipient, tokenInfo);
+        return { ...result, authorization: 'approve' };
+    }
+
+    /**
+     * Checks shared by the deposit paths.
+     * @returns {Promise<{ tokenInfo: TokenInfo, amountWei: bigint }>}
+     */
+    async prepareDeposit(tokenAddress, amount, cantonRecipient) {
+        if (!isBytes32(cantonRecipient)) {
+            throw new Error('Canton recipient must be 32 bytes (0x + 64 hex chars)');
+        }
+
+        const isRegistered = await this.readBridge.isTokenRegistered(tokenAddress);
+        if (!isRegistered) {
+            throw new Error('Token not registered with bridge');
+        }
+        await this.assertTokenActive(tokenAddress);
+
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const amountWei = ethers.parseUnits(amount.toString(), tokenInfo.decimals);
+        await this.assertWithinRateLimit(tokenAddress, amountWei, tokenInfo);
+        return { tokenInfo, amountWei };
+    }
+
+    /**
+     * Send the deposit; the allowance must already cover `amountWei`.
+     */
+    async submitDeposit(tokenAddress, amount, amountWei, cantonRecipient, tokenInfo) {
+        const userAddress = await this.signer.getAddress();
+        const call = { target: this.bridge, method: 'depositToCanton', args: [tokenAddress, amountWei, cantonRecipient] };
+
+        this.emit('api', {
+            method: 'CALL',
+            endpoint: 'Bridge.depositToCanton()',
+            params: { amount, recipient: cantonRecipient.slice(0, 20) }
+        });
+        const { hash, receipt } = await this.sendTx('deposit', {
+            pending: 'Submitting deposit transaction...',
+            submitted: 'Deposit TX submitted',
+            confirmed: `Deposited ${amount} ${tokenInfo.symbol} to Canton`
+        }, call, {
+            token: tokenAddress,
+            amount: amountWei,
+            recipient: cantonRecipient,
+            sender: userAddress
+        });
+
+        const depositLog = this.findBridgeEvent(receipt, 'DepositToCanton');
+
+        return {
+            hash,
+            receipt,
+            amount: amount.toString(),
+            symbol: tokenInfo.symbol,
+            nonce: depositLog ? depositLog.args.nonce : null
+        };
+    }
+
+    // =========================================================================
+    // EIP-2612 Permit
+    // =========================================================================
+
+    /**
+     * EIP-712 domain of a permit token, or null if the token has no
+     * nonces()/DOMAIN_SEPARATOR() or its domain cannot be reproduced. Cached
+     * per token.
+     * @returns {Promise<Object|null>}
+     */
+    getPermitDomain(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (!this.permitDomains.has(key)) {
+            this.permitDomains.set(key, this.fetchPermitDomain(tokenAddress).catch(() => null));
+        }
+        return this.permitDomains.get(key);
+    }
+
+    async fetchPermitDomain(tokenAddress) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const [separator] = await Promise.all([token.DOMAIN_SEPARATOR(), token.nonces(ethers.ZeroAddress)]);
+
+        // ERC-5267 tokens describe their domain; otherwise assume name() and version "1"
+        let domain;
+        try {
+            const described = await token.eip712Domain();
+            domain = {
+                name: described.name,
+                version: described.version,
+                chainId: described.chainId,
+                verifyingContract: described.verifyingContract
+            };
+        } catch {
+            const [name, version] = await Promise.all([token.name(), token.version().catch(() => '1')]);
+            domain = { name, version, chainId: Number(this.config.chainId), verifyingContract: tokenAddress };
+        }
+
+        // Only sign for a domain that matches the token's own separator
+        return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+    }
+
+    /**
+     * Sign an EIP-2612 permit letting the bridge spend `value`, valid for
+     * PERMIT_DEADLINE_SECONDS.
+     * @returns {Promise<{ deadline: bigint, v: number, r: string, s: string }>}
+     */
+    async signPermit(tokenAddress, value) {
+        const signer = this.requireSigner();
+        const domain = await this.getPermitDomain(tokenAddress);
+        if (!domain) throw new Error('Token does not support EIP-2612 permits');
+
+        const owner = await signer.getAddress();
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const nonce = await token.nonces(owner);
+        const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_SECONDS);
+
+        this.emit('api', {
+            method: 'SIGN',
+            endpoint: 'EIP-2612 permit',
+            params: { token: tokenAddress.slice(0, 10), value, nonce }
+        });
+        let signature;
+        try {
+            signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+                owner,
+                spender: this.config.bridgeAddress,
+                value,
+                nonce,
+                deadline
+            });
+        } catch (e) {
+            throw await this.translateError(e);
+        }
+
+        const { v, r, s } = ethers.Signature.from(signature);
+        return { deadline, v, r, s };
+    }
+
+    /**
+     * Submit a signed permit to the token, setting the bridge's allowance.
+     * A signed permit is public once it is in the mempool, and anyone can
+     * submit it first: our permit() then reverts on the spent nonce, but the
+     * allowance is in place, so that revert is only logged.
+     * @returns {Promise<TxResult|null>}  null when the permit was already used
+     */
+    async submitPermit(tokenAddress, value, { deadline, v, r, s }) {
+        const signer = this.requireSigner();
+        const owner = await signer.getAddress();
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+
+        this.emit('api', {
+            method: 'CALL',
+            endpoint: `ERC20.permit(${this.config.bridgeAddress.slice(0, 10)}...)`,
+            params: { token: tokenAddress.slice(0, 10), value, deadline }
+        });
+        try {
+            return await this.sendTx('permit', {
+                pending: 'Submitting permit...',
+                submitted: 'Permit TX submitted',
+                confirmed: 'Permit accepted'
+            }, {
+                target: token,
+                method: 'permit',
+                args: [owner, this.config.bridgeAddress, value, deadline, v, r, s]
+            }, { token: tokenAddress });
+        } catch (e) {
+            const allowance = await new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider)
+                .allowance(owner, this.config.bridgeAddress);
+            if (allowance < value) throw e;
+            this.emit('log', {
+                level: 'warn',
+                message: 'Permit was already submitted; the allowance covers the deposit',
+                details: { error: e.message }
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Throw before signing if `amountWei` would revert with RateLimitExceeded,
+     * saying how much can go through now and when the window frees up.
+     * Skipped on deployments without RateLimiter.
+     */
+    async assertWithinRateLimit(tokenAddress, amountWei, tokenInfo) {
+        const status = await this.getRateLimitStatus(tokenAddress).catch(() => null);
+        if (!status || amountWei <= status.remaining) return;
+
+        const format = (raw) => formatTokenAmount(raw, tokenInfo);
+        if (amountWei > status.maxAmount) {
+            throw new Error(`Deposit exceeds the rate limit of ${format(status.maxAmount)} per ${status.period} s; split it across windows`);
+        }
+        // Below the maximum, so a window is running and will free up
+        this.emit('log', {
+            level: 'warn',
+            message: 'Deposit would exceed the rate limit',
+            details: { requested: format(amountWei), available: format(status.remaining), resetsAt: status.resetsAt }
+        });
+        throw new Error(`Rate limit: only ${format(status.remaining)} can be deposited now; ` +
+            `the full ${format(status.maxAmount)} frees up at ${new Date(status.resetsAt * 1000).toLocaleString()}`);
+    }
+
+    /**
+     * Find the first bridge event called `name` in a transaction receipt.
+     * @returns {Object|null} ethers LogDescription
+     */
+    findBridgeEvent(receipt, name) {
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.config.bridgeAddress.toLowerCase()) continue;
+            const parsed = this.readBridge.interface.parseLog(log);
+            if (parsed?.name === name) return parsed;
+        }
+        return null;
+    }
+
+    // =========================================================================
+    // Middleware Sessions (Sign-In with Ethereum)
+    // =========================================================================
+
+    /**
+     * Current session of the connected account with a middleware, if any.
+     * @returns {Promise<MiddlewareSession|null>}
+     */
+    async getSession(apiUrl) {
+        const address = await this.requireSigner().getAddress();
+        return this.sessions.get(apiUrl, address, this.config.chainId);
+    }
+
+    /**
+     * Whether calls to a middleware are authenticated with the legacy signed
+     * headers: the profile says so, or, with `middlewareAuth` "auto", the
+     * middleware turned out to have no auth_nonce.
+     */
+    usesLegacyAuth(apiUrl) {
+        return this.config.middlewareAuth === 'legacy' || this.legacyAuthUrls.has(apiUrl);
+    }
+
+    /**
+     * Sign in to a middleware: one SIWE signature for a session token that
+     * later calls reuse. Concurrent calls share one sign-in. Middleware
+     * without sessions throws a BridgeError with code LEGACY_AUTH.
+     * @returns {Promise<MiddlewareSession>}
+     */
+    async signIn(apiUrl) {
+        if (this.usesLegacyAuth(apiUrl)) throw legacyAuthError();
+        const signer = this.requireSigner();
+        const address = await signer.getAddress();
+        const key = SessionStore.key(apiUrl, address, this.config.chainId);
+        if (!this.signIns.has(key)) {
+            const pending = this.createSession(apiUrl, signer, address);
+            this.signIns.set(key, pending);
+            pending.finally(() => this.signIns.delete(key)).catch(() => {});
+        }
+        return this.signIns.get(key);
+    }
+
+    /**
+     * End the session locally and, best effort, on the middleware.
+     */
+    async signOut(apiUrl) {
+        const address = await this.requireSigner().getAddress();
+        const session = this.sessions.get(apiUrl, address, this.config.chainId, 0);
+        this.sessions.delete(apiUrl, address, this.config.chainId);
+        if (!session) return;
+        try {
+            await this.middleware(apiUrl).authLogout({ token: session.token });
+        } catch (e) {
+            this.emit('log', { level: 'warn', message: 'Middleware sign-out failed; the token expires on its own', details: e.message });
+        }
+        this.emit('session', { apiUrl, address, expiresAt: null });
+    }
+
+    /** Stored session, or a new one. */
+    async ensureSession(apiUrl) {
+        return (await this.getSession(apiUrl)) || this.signIn(apiUrl);
+    }
+
+    async createSession(apiUrl, signer, address) {
+        const chainId = this.config.chainId;
+        const rpc = this.middleware(apiUrl);
+        const { nonce } = await rpc.authNonce(address).catch(e => {
+            if (e.reason === 'method_not_found' && (this.config.middlewareAuth ?? 'auto') === 'auto') {
+                this.legacyAuthUrls.add(apiUrl);
+                this.emit('log', { level: 'warn', message: 'Middleware has no Sign-In with Ethereum (auth_nonce); signing each call with X-Signature/X-Message headers instead' });
+                throw legacyAuthError(e);
+            }
+            return this.reportMiddlewareError(Promise.reject(e), 'Sign-in failed');
+        });
+        const { domain, uri } = siweOrigin(apiUrl);
+        const message = buildSiweMessage({
+            domain,
+            address,
+            uri,
+            chainId,
+            nonce,
+            issuedAt: new Date().toISOString()
+        });
+
+        this.emit('api', { method: 'SIGN', endpoint: 'Sign-In with Ethereum', params: { domain, address: address.slice(0, 10), chainId } });
+        let signature;
+        try {
+            signature = await signer.signMessage(message);
+        } catch (e) {
+            throw await this.translateError(e);
+        }
+
+        const result = await this.reportMiddlewareError(rpc.authLogin(message, signature), 'Sign-in failed');
+        if (!result?.token) throw new Error('Sign-in failed: the middleware returned no session token');
+        const session = {
+            token: result.token,
+            address,
+            chainId,
+            // ISO 8601 or Unix seconds
+            expiresAt: typeof result.expiresAt === 'string' && !/^\d+$/.test(result.expiresAt)
+                ? Math.floor(Date.parse(result.expiresAt) / 1000)
+                : Number(result.expiresAt)
+        };
+        if (!Number.isFinite(session.expiresAt)) throw new Error('Sign-in failed: the middleware returned no session expiry');
+        this.sessions.set(apiUrl, session);
+        this.emit('session', { apiUrl, address, expiresAt: session.expiresAt });
+        this.emit('log', { level: 'success', message: `Signed in to the middleware until ${new Date(session.expiresAt * 1000).toLocaleTimeString()}` });
+        return session;
+    }
+
+    // =========================================================================
+    // Canton Account Functions (Registration & Balance)
+    // =========================================================================
+
+    /**
+     * Register the connected wallet with the Canton bridge.
+     * Creates a FingerprintMapping on Canton linking the EVM address to a Canton party.
+     * @returns {Promise<{ party: string, fingerprint: string }>}
+     */
+    async registerWallet(apiUrl) {
+        const result = await this.callMiddleware(apiUrl, 'Registration failed', (rpc, options) => rpc.userRegister(options));
+        this.emit('log', {
+            level: 'success',
+            message: 'Registration successful',
+            details: { fingerprint: result?.fingerprint?.slice(0, 20) }
+        });
+        return result;
+    }
+
+    /**
+     * Check the Canton balance for the connected wallet.
+     * @returns {Promise<{ balance: string, address: string }>}
+     */
+    async checkCantonBalance(apiUrl) {
+        const result = await this.callMiddleware(apiUrl, 'Balance check failed', (rpc, options) => rpc.erc20BalanceOf(options));
+        this.emit('log', { level: 'success', message: `Canton balance: ${result.balance}` });
+        return result;
+    }
+
+    // =========================================================================
+    // Withdrawal Functions (Canton → EVM)
+    // =========================================================================
+
+    /**
+     * Ask the middleware how far it got with a deposit: whether it has
+     * created the PendingDeposit on Canton and whether the mint went through.
+     * @param {Object} [options]
+     * @param {boolean} [options.signIn]  Set false to use only an existing session, without a wallet prompt
+     * @returns {Promise<{ status: string, message?: string }>}  status: unknown | pending | minted | failed
+     */
+    async getDepositStatus(apiUrl, txHash, { signIn = true } = {}) {
+        return this.callMiddleware(apiUrl, 'Deposit status check failed', (rpc, options) => rpc.depositStatus(txHash, options), { signIn });
+    }
+
+    /**
+     * Initiate a withdrawal from Canton via the middleware RPC API.
+     * This calls erc20_withdraw which creates a withdrawal event on Canton.
+     * The middleware then processes it and releases tokens on EVM.
+     * @returns {Promise<{ withdrawalId: string, amount: string, evmDestination: string, message: string }>}
+     */
+    async initiateWithdrawal(apiUrl, amount, destination) {
+        // Legacy middleware checks only the signed headers, not an EIP-712 Withdrawal
+        const authorization = this.usesLegacyAuth(apiUrl) ? null : await this.signWithdrawal(amount, destination);
+        const params = (legacy) => {
+            if (legacy || !authorization) {
+                return destination && destination.trim() ? { amount, to: destination.trim() } : { amount };
+            }
+            return {
+                amount: authorization.amount,
+                to: authorization.destination,
+                nonce: authorization.nonce,
+                deadline: authorization.deadline,
+                signature: authorization.signature
+            };
+        };
+
+        const result = await this.callMiddleware(apiUrl, 'Withdrawal failed',
+            (rpc, options) => rpc.erc20Withdraw(params(Boolean(options.signMessage)), options));
+        this.emit('log', {
+            level: 'success',
+            message: 'Withdrawal initiated',
+            details: { id: result?.withdrawalId?.slice(0, 20), amount }
+        });
+        this.emit('withdrawalInitiated', result);
+        return result;
+    }
+
+    /**
+     * Sign an EIP-712 Withdrawal binding the amount, destination (the
+     * connected account when empty), a random nonce and a deadline.
+     * @returns {Promise<{ owner, amount, destination, nonce, deadline, signature }>}  nonce and deadline as decimal strings
+     */
+    async signWithdrawal(amount, destination = null) {
+        const owner = await this.requireSigner().getAddress();
+        if (!String(amount ?? '').trim()) throw new Error('Withdrawal amount is required');
+        return this.signAuthorization(WITHDRAWAL_TYPES, {
+            owner,
+            amount: String(amount).trim(),
+            destination: destination && destination.trim() ? ethers.getAddress(destination.trim()) : owner
+        });
+    }
+
+    /**
+     * Read the status of the WithdrawalEvent behind a withdrawal. `reason`
+     * is the FailWithdrawal reason; `evmTxHash` the CompleteWithdrawal one.
+     * @param {Object} [options]
+     * @param {boolean} [options.signIn]  Set false to use only an existing session, without a wallet prompt
+     * @returns {Promise<{ status: string, reason?: string, evmTxHash?: string }>}  status: Pending | Completed | Failed
+     */
+    async getWithdrawalStatus(apiUrl, withdrawalId, { signIn = true } = {}) {
+        return this.callMiddleware(apiUrl, 'Withdrawal status check failed', (rpc, options) => rpc.withdrawalStatus(withdrawalId, options), { signIn });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async executeWithdrawal(withdrawalId) {
+        this.requireSigner();
+
+        if (!isBytes32(withdrawalId)) {
+            throw new Error('Withdrawal ID must be 32 bytes (0x + 64 hex chars)');
+        }
+
+        const processed = await this.bridge.processedWithdrawals(withdrawalId);
+        if (processed) {
+            throw new Error('Withdrawal already processed');
+        }
+
+        const queued = await this.bridge.queuedWithdrawals(withdrawalId);
+        if (queued.executeAfter === 0n) {
+            throw new Error('Withdrawal not found in queue');
+        }
+
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        if (now < queued.executeAfter) {
+            const remaining = Number(queued.executeAfter - now);
+            throw new Error(`Withdrawal still time-locked. ${remaining} seconds remaining.`);
+        }
+
+        this.emit('api', {
+            method: 'CALL',
+            endpoint: 'Bridge.executeLargeWithdrawal()',
+            params: { withdrawalId: withdrawalId.slice(0, 20) }
+        });
+        return this.sendTx('executeWithdrawal', {
+            pending: 'Executing withdrawal...',
+            submitted: 'Execute TX submitted',
+            confirmed: 'Withdrawal executed successfully'
+        }, { target: this.bridge, method: 'executeLargeWithdrawal', args: [withdrawalId] });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async cancelWithdrawal(withdrawalId) {
+        this.requireSigner();
+
+        if (!isBytes32(withdrawalId)) {
+            throw new Error('Withdrawal ID must be 32 bytes (0x + 64 hex chars)');
+        }
+
+        this.emit('api', {
+            method: 'CALL',
+            endpoint: 'Bridge.cancelLargeWithdrawal()',
+            params: { withdrawalId: withdrawalId.slice(0, 20) }
+        });
+        return this.sendTx('cancelWithdrawal', {
+            pending: 'Cancelling withdrawal...',
+            submitted: 'Cancel TX submitted',
+            confirmed: 'Withdrawal cancelled'
+        }, { target: this.bridge, method: 'cancelLargeWithdrawal', args: [withdrawalId] });
+    }
+
+    // =========================================================================
+    // Canton Wallet (CIP-56 holdings)
+    // =========================================================================
+
+    /**
+     * Send Canton holdings of the connected account to another registered
+     * user, named by EVM address or fingerprint. The middleware exercises the
+     * CIP-56 transfer factory with the sender's holdings as inputs.
+     * @returns {Promise<{ updateId?: string, amount: string, recipient: string, recipientParty?: string }>}
+     */
+    async transferOnCanton(apiUrl, recipient, amount) {
+        const to = String(recipient ?? '').trim();
+        if (!ethers.isAddress(to) && !isBytes32(to)) {
+            throw new Error('Recipient must be an EVM address or a Canton fingerprint (0x + 64 hex characters)');
+        }
+        const value = String(amount ?? '').trim();
+        if (!(Number(value) > 0)) throw new Error('Transfer amount must be greater than zero');
+
+        const owner = await this.requireSigner().getAddress();
+        const authorization = await this.signAuthorization(CANTON_TRANSFER_TYPES, {
+            owner,
+            amount: value,
+            recipient: ethers.isAddress(to) ? ethers.getAddress(to) : to.toLowerCase()
+        });
+        const params = {
+            amount: authorization.amount,
+            to: authorization.recipient,
+            nonce: authorization.nonce,
+            deadline: authorization.deadline,
+            signature: authorization.signature
+        };
+
+        const result = await this.callMiddleware(apiUrl, 'Canton transfer failed', (rpc, options) => rpc.erc20Transfer(params, options));
+        this.emit('log', {
+            level: 'success',
+            message: `Sent ${value} on Canton`,
+            details: { to: params.to.slice(0, 20), update: result?.updateId?.slice(0, 20) }
+        });
+        return result;
+    }
+
+    /**
+     * The connected account's CIP56Holding contracts. A holding with a lock
+     * is reserved (e.g. by a pending instruction) and cannot be spent.
+     * @returns {Promise<{ party: string, holdings: CantonHolding[], totals: CantonHoldingTotal[] }>}  totals per instrument
+     */
+    async getCantonHoldings(apiUrl) {
+        const result = await this.callMiddleware(apiUrl, 'Holdings query failed', (rpc, options) => rpc.erc20Holdings(options));
+        const holdings = (result?.holdings || []).map(toCantonHolding);
+        return { party: result?.party ?? null, holdings, totals: totalCantonHoldings(holdings) };
+    }
+
+    /**
+     * A page of the connected account's Canton transfer history, newest
+     * first, from TokenTransferEvent records. Pass the returned `nextCursor`
+     * for the next page.
+     * @returns {Promise<{ party: string, events: CantonTransferEvent[], nextCursor: string|null }>}
+     */
+    async getCantonTransferHistory(apiUrl, { cursor = null, limit = 20 } = {}) {
+        const result = await this.callMiddleware(apiUrl, 'Transfer history query failed',
+            (rpc, options) => rpc.erc20TransferHistory({ cursor, limit }, options));
+        const party = result?.party ?? null;
+        return {
+            party,
+            events: (result?.events || []).map(event => toCantonTransferEvent(event, party)),
+            nextCursor: result?.nextCursor || null
+        };
+    }
+
+    // =========================================================================
+    // Query Functions
+    // =========================================================================
+
+    /**
+     * Read bridge state for a token. `rateLimit` is a RateLimitStatus, or
+     * null when the call fails (e.g. older deployments without RateLimiter).
+     */
+    async getBridgeState(tokenAddress) {
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const [isRegistered, lockedBalance, timeLockDelay] = await Promise.all([
+            this.readBridge.isTokenRegistered(tokenAddress),
+            this.readBridge.lockedBalances(tokenAddress),
+            this.readBridge.timeLockDelay()
+        ]);
+
+        let rateLimit = null;
+        try {
+            rateLimit = await this.getRateLimitStatus(tokenAddress);
+        } catch {
+            // Rate limit not available
+        }
+
+        return { token: tokenInfo, isRegistered, lockedBalance, timeLockDelay, rateLimit };
+    }
+
+    /**
+     * Current rate-limit window of a token, as the next deposit will see it:
+     * a window that has ended counts as fully available. Compared against the
+     * latest block time, since that is what the contract checks.
+     * @returns {Promise<RateLimitStatus>}
+     */
+    async getRateLimitStatus(tokenAddress) {
+        const [limit, resetTime, block] = await Promise.all([
+            this.readBridge.getRateLimit(tokenAddress),
+            this.readBridge.getRateLimitResetTime(tokenAddress),
+            this.readProvider.getBlock('latest')
+        ]);
+
+        if (limit.maxAmount === 0n) {
+            return { limited: false, maxAmount: 0n, usedAmount: 0n, remaining: ethers.MaxUint256, period: 0, resetsAt: null };
+        }
+
+        const running = resetTime > BigInt(block.timestamp);
+        const usedAmount = running ? limit.usedAmount : 0n;
+        return {
+            limited: true,
+            maxAmount: limit.maxAmount,
+            usedAmount,
+            // Lowering the limit mid-window can leave usedAmount above it
+            remaining: usedAmount < limit.maxAmount ? limit.maxAmount - usedAmount : 0n,
+            period: Number(limit.period),
+            resetsAt: running ? Number(resetTime) : null
+        };
+    }
+
+    /**
+     * Which bridge roles `account` holds.
+     * @returns {Promise<{ defaultAdmin: boolean, admin: boolean, relayer: boolean, pauser: boolean }>}
+     */
+    async getRoles(account) {
+        const [defaultAdmin, admin, relayer, pauser] = await Promise.all(
+            [BRIDGE_ROLES.DEFAULT_ADMIN, BRIDGE_ROLES.ADMIN, BRIDGE_ROLES.RELAYER, BRIDGE_ROLES.PAUSER]
+                .map(role => this.readBridge.hasRole(role, account))
+        );
+        return { defaultAdmin, admin, relayer, pauser };
+    }
+
+    /**
+     * Which TokenRegistry roles `account` holds.
+     * @returns {Promise<{ defaultAdmin: boolean, registrar: boolean }>}
+     */
+    async getRegistryRoles(account) {
+        const { target } = this.accessControl('registry');
+        const [defaultAdmin, registrar] = await Promise.all(
+            [REGISTRY_ROLES.DEFAULT_ADMIN, REGISTRY_ROLES.REGISTRAR].map(role => target.hasRole(role, account))
+        );
+        return { defaultAdmin, registrar };
+    }
+
+    /**
+     * Reconstruct the large withdrawals currently waiting in the time-lock
+     * queue: every LargeWithdrawalQueued since `fromBlock` that has not been
+     * cancelled or processed, confirmed against queuedWithdrawals(id).
+     * @returns {Promise<QueuedWithdrawal[]>}  Soonest executable first
+     */
+    async getQueuedWithdrawals({ fromBlock = this.config.deployBlock ?? 0, signal = null } = {}) {
+        const events = [];
+        const scan = this.scanEventHistory({
+            events: ['LargeWithdrawalQueued', 'LargeWithdrawalCancelled', 'WithdrawalProcessed'],
+            fromBlock,
+            signal
+        });
+        for await (const batch of scan) events.push(...batch.events);
+
+        const closed = new Set(events.filter(e => e.name !== 'LargeWithdrawalQueued').map(e => e.args.withdrawalId));
+        const candidates = events.filter(e => e.name === 'LargeWithdrawalQueued' && !closed.has(e.args.withdrawalId));
+
+        // Logs only nominate candidates; the queue mapping is authoritative
+        const withdrawals = await Promise.all(candidates.map(async (event) => {
+            const queued = await this.readBridge.queuedWithdrawals(event.args.withdrawalId);
+            if (queued.executeAfter === 0n) return null;
+            return {
+                withdrawalId: event.args.withdrawalId,
+                token: queued.token,
+                amount: queued.amount,
+                recipient: queued.recipient,
+                executeAfter: Number(queued.executeAfter),
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            };
+        }));
+
+        return withdrawals.filter(Boolean).sort((a, b) => a.executeAfter - b.executeAfter);
+    }
+
+    async queryQueuedWithdrawal(withdrawalId) {
+        const queued = await this.readBridge.queuedWithdrawals(withdrawalId);
+        if (queued.executeAfter === 0n) return null;
+
+        const tokenInfo = await this.getTokenInfo(queued.token);
+        const now = BigInt(Math.floor(Date.now() / 1000));
+
+        return {
+            token: queued.token,
+            tokenSymbol: tokenInfo.symbol,
+            amount: ethers.formatUnits(queued.amount, tokenInfo.decimals),
+            recipient: queued.recipient,
+            executeAfter: new Date(Number(queued.executeAfter) * 1000).toLocaleString(),
+            canExecute: now >= queued.executeAfter,
+            secondsRemaining: now < queued.executeAfter ? Number(queued.executeAfter - now) : 0
+        };
+    }
+
+    // =========================================================================
+    // Admin Functions (role-gated)
+    // =========================================================================
+
+    /**
+     * Bridge-wide admin settings, plus the configuration of `tokenAddress`
+     * when given.
+     * @returns {Promise<AdminState>}
+     */
+    async getAdminState(tokenAddress = null) {
+        const [paused, timeLockDelay] = await Promise.all([
+            this.readBridge.paused(),
+            this.readBridge.timeLockDelay()
+        ]);
+        if (!tokenAddress) return { paused, timeLockDelay, token: null };
+
+        const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const [info, registered, cantonTokenId, threshold, lockedBalance, balance, limit] = await Promise.all([
+            this.getTokenInfo(tokenAddress),
+            this.readBridge.registeredTokens(tokenAddress),
+            this.readBridge.cantonTokenIds(tokenAddress),
+            this.readBridge.largeWithdrawalThresholds(tokenAddress),
+            this.readBridge.lockedBalances(tokenAddress),
+            erc20.balanceOf(this.config.bridgeAddress),
+            this.readBridge.getRateLimit(tokenAddress)
+        ]);
+
+        return {
+            paused,
+            timeLockDelay,
+            token: {
+                address: tokenAddress,
+                info,
+                registered,
+                cantonTokenId,
+                threshold,
+                lockedBalance,
+                balance,
+                rateLimit: { maxAmount: limit.maxAmount, period: limit.period, usedAmount: limit.usedAmount }
+            }
+        };
+    }
+
+    /**
+     * Compare the current on-chain values an admin operation touches with
+     * the values it would set, for confirmation prompts. `params` takes the
+     * same values as the operation: token, cantonTokenId, maxAmount, period,
+     * threshold, delay, amount, recipient.
+     * @param {string} action  An ADMIN_ACTIONS key
+     * @returns {Promise<AdminChange[]>}
+     */
+    async previewAdminAction(action, params = {}) {
+        if (!ADMIN_ACTIONS[action]) throw new Error(`Unknown admin action "${action}"`);
+        const perToken = !['pause', 'unpause', 'setTimeLockDelay'].includes(action);
+        if (perToken && !ethers.isAddress(params.token)) throw new Error('Invalid token address');
+
+        const state = await this.getAdminState(perToken ? params.token : null);
+        const { token } = state;
+        const yesNo = (value) => value ? 'Yes' : 'No';
+        const seconds = (value) => `${value} s`;
+        const amount = (raw) => formatTokenAmount(raw, token.info);
+        const orDisabled = (raw) => raw === 0n ? 'Disabled' : amount(raw);
+
+        switch (action) {
+            case 'registerToken':
+                return [
+                    { label: 'Registered', before: yesNo(token.registered), after: 'Yes' },
+                    { label: 'Canton token ID', before: token.cantonTokenId, after: params.cantonTokenId }
+                ];
+            case 'deregisterToken':
+                return [{ label: 'Registered', before: yesNo(token.registered), after: 'No' }];
+            case 'setTokenRateLimit': {
+                const maxAmount = ethers.parseUnits(params.maxAmount.toString(), token.info.decimals);
+                return [
+                    { label: 'Max per period', before: orDisabled(token.rateLimit.maxAmount), after: orDisabled(maxAmount) },
+                    { label: 'Period', before: seconds(token.rateLimit.period), after: seconds(params.period) },
+                    { label: 'Used this period', before: amount(token.rateLimit.usedAmount), after: amount(0n) }
+                ];
+            }
+            case 'setLargeWithdrawalThreshold': {
+                const threshold = ethers.parseUnits(params.threshold.toString(), token.info.decimals);
+                return [{ label: 'Large withdrawal threshold', before: orDisabled(token.threshold), after: orDisabled(threshold) }];
+            }
+            case 'setTimeLockDelay':
+                return [{ label: 'Time lock delay', before: seconds(state.timeLockDelay), after: seconds(params.delay) }];
+            case 'pause':
+            case 'unpause':
+                return [{ label: 'Paused', before: yesNo(state.paused), after: yesNo(action === 'pause') }];
+            case 'emergencyWithdraw': {
+                const value = ethers.parseUnits(params.amount.toString(), token.info.decimals);
+                const erc20 = new ethers.Contract(params.token, ERC20_ABI, this.readProvider);
+                const recipientBalance = await erc20.balanceOf(params.recipient);
+                return [
+                    { label: 'Bridge balance', before: amount(token.balance), after: amount(token.balance - value) },
+                    {
+                        label: 'Locked balance',
+                        before: amount(token.lockedBalance),
+                        after: amount(token.lockedBalance >= value ? token.lockedBalance - value : 0n)
+                    },
+                    { label: 'Recipient balance', before: amount(recipientBalance), after: amount(recipientBalance + value) }
+                ];
+            }
+        }
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async registerToken(tokenAddress, cantonTokenId) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        if (!isBytes32(cantonTokenId)) {
+            throw new Error('Canton token ID must be 32 bytes (0x + 64 hex chars)');
+        }
+        return this.sendAdminTx('registerToken', {
+            pending: 'Registering token...',
+            submitted: 'Register TX submitted',
+            confirmed: 'Token registered'
+        }, [tokenAddress, cantonTokenId], { token: tokenAddress, cantonTokenId });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async deregisterToken(tokenAddress) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        return this.sendAdminTx('deregisterToken', {
+            pending: 'Deregistering token...',
+            submitted: 'Deregister TX submitted',
+            confirmed: 'Token deregistered'
+        }, [tokenAddress], { token: tokenAddress });
+    }
+
+    /**
+     * Set a token's rate limit. `maxAmount` is in token units (0 disables
+     * the limit); `period` is in seconds. Resets the current period's usage.
+     * @returns {Promise<TxResult>}
+     */
+    async setTokenRateLimit(tokenAddress, maxAmount, period) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const maxAmountWei = ethers.parseUnits(maxAmount.toString(), tokenInfo.decimals);
+        const periodSeconds = parseSeconds(period, 'Rate limit period');
+        if (maxAmountWei > 0n && periodSeconds === 0n) {
+            throw new Error('Rate limit period must be greater than zero');
+        }
+        return this.sendAdminTx('setTokenRateLimit', {
+            pending: 'Setting rate limit...',
+            submitted: 'Rate limit TX submitted',
+            confirmed: `Rate limit set to ${maxAmount} ${tokenInfo.symbol} per ${periodSeconds} s`
+        }, [tokenAddress, maxAmountWei, periodSeconds], { token: tokenAddress, maxAmount: maxAmountWei, period: periodSeconds });
+    }
+
+    /**
+     * Set the amount (in token units) above which withdrawals are time-locked;
+     * 0 disables the time lock for the token.
+     * @returns {Promise<TxResult>}
+     */
+    async setLargeWithdrawalThreshold(tokenAddress, threshold) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const thresholdWei = ethers.parseUnits(threshold.toString(), tokenInfo.decimals);
+        return this.sendAdminTx('setLargeWithdrawalThreshold', {
+            pending: 'Setting large withdrawal threshold...',
+            submitted: 'Threshold TX submitted',
+            confirmed: `Large withdrawal threshold set to ${threshold} ${tokenInfo.symbol}`
+        }, [tokenAddress, thresholdWei], { token: tokenAddress, threshold: thresholdWei });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async setTimeLockDelay(delay) {
+        const seconds = parseSeconds(delay, 'Time lock delay');
+        return this.sendAdminTx('setTimeLockDelay', {
+            pending: 'Setting time lock delay...',
+            submitted: 'Time lock TX submitted',
+            confirmed: `Time lock delay set to ${seconds} s`
+        }, [seconds], { delay: seconds });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async pause() {
+        return this.sendAdminTx('pause', {
+            pending: 'Pausing bridge...',
+            submitted: 'Pause TX submitted',
+            confirmed: 'Bridge paused'
+        }, []);
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async unpause() {
+        return this.sendAdminTx('unpause', {
+            pending: 'Unpausing bridge...',
+            submitted: 'Unpause TX submitted',
+            confirmed: 'Bridge unpaused'
+        }, []);
+    }
+
+    /**
+     * Move tokens out of the bridge to `recipient`, bypassing the withdrawal
+     * flow. Breaks the locked-balance invariant; emergencies only.
+     * @returns {Promise<TxResult>}
+     */
+    async emergencyWithdraw(tokenAddress, amount, recipient) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        if (!ethers.isAddress(recipient) || recipient === ethers.ZeroAddress) {
+            throw new Error('Invalid recipient address');
+        }
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const amountWei = ethers.parseUnits(amount.toString(), tokenInfo.decimals);
+
+        const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, this.readProvider);
+        const balance = await erc20.balanceOf(this.config.bridgeAddress);
+        if (balance < amountWei) {
+            throw new Error(`Bridge only holds ${formatTokenAmount(balance, tokenInfo)}`);
+        }
+
+        return this.sendAdminTx('emergencyWithdraw', {
+            pending: 'Submitting emergency withdrawal...',
+            submitted: 'Emergency withdrawal TX submitted',
+            confirmed: `Withdrew ${amount} ${tokenInfo.symbol} to ${recipient}`
+        }, [tokenAddress, amountWei, recipient], { token: tokenAddress, amount: amountWei, recipient });
+    }
+
+    // =========================================================================
+    // Token Registry Management
+    // =========================================================================
+
+    /**
+     * Every token known to the registry or the bridge, with the registry's
+     * reverse Canton ID mapping and any drift between the two contracts.
+     * The bridge cannot enumerate its tokens, so its side comes from
+     * TokenRegistered / TokenDeregistered logs checked against
+     * registeredTokens().
+     * @returns {Promise<{ tokens: RegistryEntry[], chains: { chainId: number, supported: boolean }[] }>}
+     */
+    async getRegistryOverview({ fromBlock = this.config.deployBlock ?? 0, signal = null } = {}) {
+        const { target } = this.accessControl('registry');
+
+        const bridgeTokens = [];
+        const scan = this.scanEventHistory({ events: ['TokenRegistered', 'TokenDeregistered'], fromBlock, signal });
+        for await (const batch of scan) bridgeTokens.push(...batch.events.map(event => event.args.token));
+
+        // getAllTokens() repeats tokens that were registered again after deactivation
+        const addresses = new Map();
+        for (const address of [...await target.getAllTokens(), ...bridgeTokens]) {
+            addresses.set(address.toLowerCase(), ethers.getAddress(address));
+        }
+
+        const tokens = await Promise.all([...addresses.values()].map(async (address) => {
+            const [registry, bridgeRegistered, bridgeCantonTokenId] = await Promise.all([
+                this.getRegistryToken(address),
+                this.readBridge.registeredTokens(address),
+                this.readBridge.cantonTokenIds(address)
+            ]);
+            const known = registry.chainId !== 0;
+            const reverseToken = known ? await target.getEvmToken(registry.cantonTokenId) : null;
+            const entry = { address, registry: known ? registry : null, reverseToken, bridgeRegistered, bridgeCantonTokenId };
+            return { ...entry, drift: describeRegistryDrift(entry) };
+        }));
+
+        const chainIds = [...new Set((await target.getSupportedChains()).map(Number))];
+        const chains = await Promise.all(chainIds.map(async chainId => ({
+            chainId,
+            supported: await target.isChainSupported(chainId)
+        })));
+
+        return { tokens, chains };
+    }
+
+    /**
+     * Register a token in the registry. Without `metadata` the registry
+     * reads symbol, name and decimals from the token contract.
+     * @param {{ symbol: string, name: string, decimals: number }} [metadata]
+     * @returns {Promise<TxResult>}
+     */
+    async registerRegistryToken(tokenAddress, cantonTokenId, isNative = false, metadata = null) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        if (!isBytes32(cantonTokenId)) {
+            throw new Error('Canton token ID must be 32 bytes (0x + 64 hex chars)');
+        }
+        const { target } = this.accessControl('registry');
+        const [existing, mapped] = await Promise.all([
+            this.getRegistryToken(tokenAddress),
+            target.getEvmToken(cantonTokenId)
+        ]);
+        if (existing.isActive) throw new Error('Token is already registered and active');
+        if (mapped !== ethers.ZeroAddress) throw new Error(`Canton token ID is already mapped to ${mapped}`);
+
+        const messages = {
+            pending: 'Registering token in registry...',
+            submitted: 'Registry TX submitted',
+            confirmed: 'Token registered in registry'
+        };
+        if (!metadata) {
+            return this.sendRegistryTx('registerToken', messages, [tokenAddress, cantonTokenId, isNative],
+                { token: tokenAddress, cantonTokenId, isNative });
+        }
+        const decimals = Number(metadata.decimals);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) throw new Error('Decimals must be 0-255');
+        return this.sendRegistryTx('registerTokenWithMetadata', messages,
+            [tokenAddress, metadata.symbol, metadata.name, decimals, cantonTokenId, isNative],
+            { token: tokenAddress, symbol: metadata.symbol, name: metadata.name, decimals, cantonTokenId, isNative });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async deactivateRegistryToken(tokenAddress) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        return this.sendRegistryTx('deactivateToken', {
+            pending: 'Deactivating token...',
+            submitted: 'Deactivate TX submitted',
+            confirmed: 'Token deactivated in registry'
+        }, [tokenAddress], { token: tokenAddress });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async reactivateRegistryToken(tokenAddress) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        return this.sendRegistryTx('reactivateToken', {
+            pending: 'Reactivating token...',
+            submitted: 'Reactivate TX submitted',
+            confirmed: 'Token reactivated in registry'
+        }, [tokenAddress], { token: tokenAddress });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async updateCantonTokenId(tokenAddress, cantonTokenId) {
+        if (!ethers.isAddress(tokenAddress)) throw new Error('Invalid token address');
+        if (!isBytes32(cantonTokenId)) {
+            throw new Error('Canton token ID must be 32 bytes (0x + 64 hex chars)');
+        }
+        return this.sendRegistryTx('updateCantonTokenId', {
+            pending: 'Updating Canton token ID...',
+            submitted: 'Update TX submitted',
+            confirmed: 'Canton token ID updated'
+        }, [tokenAddress, cantonTokenId], { token: tokenAddress, cantonTokenId });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async addSupportedChain(chainId) {
+        const id = parseChainId(chainId);
+        return this.sendRegistryTx('addSupportedChain', {
+            pending: `Adding chain ${id}...`,
+            submitted: 'Add chain TX submitted',
+            confirmed: `Chain ${id} supported`
+        }, [id], { chainId: id });
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async removeSupportedChain(chainId) {
+        const id = parseChainId(chainId);
+        return this.sendRegistryTx('removeSupportedChain', {
+            pending: `Removing chain ${id}...`,
+            submitted: 'Remove chain TX submitted',
+            confirmed: `Chain ${id} no longer supported`
+        }, [id], { chainId: id });
+    }
+
+    // =========================================================================
+    // Role Membership
+    // =========================================================================
+
+    /**
+     * Current role holders of the bridge or the token registry, rebuilt by
+     * replaying RoleGranted / RoleRevoked logs since `fromBlock` and checked
+     * against hasRole(). Every known role is listed, even without members.
+     * @param {string} [contract]  "bridge" or "registry"
+     * @returns {Promise<RoleMembership[]>}
+     */
+    async getRoleMembers(contract = 'bridge', { fromBlock = this.config.deployBlock ?? 0, signal = null } = {}) {
+        const { target, roles } = this.accessControl(contract);
+        const events = [];
+        const scan = this.scanEventHistory({ contract: target, events: ['RoleGranted', 'RoleRevoked'], fromBlock, signal });
+        for await (const batch of scan) events.push(...batch.events);
+
+        // Replay oldest first; the latest grant of a role to an account wins
+        const granted = new Map();
+        for (const event of events.reverse()) {
+            const { role, account, sender } = event.args;
+            const key = `${role}:${account.toLowerCase()}`;
+            if (event.name === 'RoleRevoked') {
+                granted.delete(key);
+            } else {
+                granted.set(key, {
+                    hash: role,
+                    account,
+                    grantedBlock: event.blockNumber,
+                    grantedBy: sender,
+                    transactionHash: event.transactionHash
+                });
+            }
+        }
+
+        const names = new Map(Object.entries(roles).map(([name, hash]) => [hash, name]));
+        const hashes = new Set([...names.keys(), ...[...granted.values()].map(member => member.hash)]);
+        return Promise.all([...hashes].map(async (hash) => {
+            const candidates = [...granted.values()].filter(member => member.hash === hash);
+            const [adminHash, ...held] = await Promise.all([
+                target.getRoleAdmin(hash),
+                ...candidates.map(member => target.hasRole(hash, member.account))
+            ]);
+            return {
+                role: names.get(hash) ?? hash,
+                hash,
+                adminRole: names.get(adminHash) ?? adminHash,
+                members: candidates
+                    .filter((_, i) => held[i])
+                    .map(({ hash: _hash, ...member }) => member)
+            };
+        }));
+    }
+
+    /**
+     * Grant `role` (a key of BRIDGE_ROLES / REGISTRY_ROLES, or a role hash)
+     * on the bridge or the registry. The signer must hold the role's admin role.
+     * @returns {Promise<TxResult>}
+     */
+    async grantRole(contract, role, account) {
+        return this.changeRole('grantRole', contract, role, account);
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async revokeRole(contract, role, account) {
+        return this.changeRole('revokeRole', contract, role, account);
+    }
+
+    // =========================================================================
+    // Event Listening
+    // =========================================================================
+
+    /**
+     * Subscribe to LIVE_EVENTS; each one is emitted as `bridgeEvent`.
+     */
+    startEventListening() {
+        if (this.isListening) return;
+        this.isListening = true;
+
+        for (const name of LIVE_EVENTS) {
+            this.readBridge.on(name, (...args) => {
+                const payload = args[args.length - 1];
+                this.emit('bridgeEvent', decodeBridgeEvent(payload.log));
+            });
+        }
+        this.emit('log', { level: 'info', message: 'Started event listening on bridge contract' });
+    }
+
+    stopEventListening() {
+        if (!this.isListening) return;
+        this.readBridge.removeAllListeners();
+        this.isListening = false;
+        this.emit('log', { level: 'info', message: 'Stopped event listening' });
+    }
+
+    /**
+     * Load TRANSFER_EVENTS from the last `blocks` blocks, oldest first.
+     * @returns {Promise<BridgeEvent[]>}
+     */
+    async loadEventHistory(blocks = 100) {
+        this.emit('log', { level: 'info', message: `Loading events from last ${blocks} blocks...` });
+
+        const currentBlock = await this.readProvider.getBlockNumber();
+        const allEvents = [];
+        for await (const batch of this.scanEventHistory({ fromBlock: Math.max(0, currentBlock - blocks), toBlock: currentBlock })) {
+            allEvents.push(...batch.events);
+        }
+        allEvents.reverse();
+
+        this.emit('log', { level: 'success', message: `Found ${allEvents.length} events in history` });
+        return allEvents;
+    }
+
+    /**
+     * Walk the bridge logs backwards from `toBlock` to `fromBlock` in chunks,
+     * yielding each chunk's matching events as soon as they arrive. A chunk
+     * the provider rejects as too large is retried at half the size, and the
+     * smaller size is kept for the rest of the scan. A rate-limited chunk is
+     * retried at the same size after a growing pause. Aborting `signal` stops
+     * the scan after the current chunk, or at once during a pause.
+     * @param {Object} [options]
+     * @param {Object} [options.contract]     Contract whose logs to scan (default: the bridge)
+     * @param {string[]} [options.events]     Event names (default TRANSFER_EVENTS)
+     * @param {number} [options.fromBlock]    Oldest block (default: the profile's deployBlock)
+     * @param {number} [options.toBlock]      Newest block (default: latest)
+     * @param {number} [options.chunkSize]    Blocks per request (default: profile logChunkSize or DEFAULT_LOG_CHUNK_SIZE)
+     * @param {HistoryFilter} [options.filter]
+     * @param {AbortSignal} [options.signal]
+     * @returns {AsyncGenerator<HistoryBatch>}
+     */
+    async *scanEventHistory({
+        contract = this.readBridge,
+        events = TRANSFER_EVENTS,
+        fromBlock = this.config.deployBlock ?? 0,
+        toBlock = null,
+        chunkSize = this.config.logChunkSize ?? DEFAULT_LOG_CHUNK_SIZE,
+        filter = {},
+        signal = null
+    } = {}) {
+        const iface = contract.interface;
+        const address = await contract.getAddress();
+        const topics = [events.map(name => iface.getEvent(name).topicHash)];
+
+        if (toBlock === null) toBlock = await this.readProvider.getBlockNumber();
+        if (filter.since) fromBlock = Math.max(fromBlock, await this.findBlockByTime(filter.since, fromBlock, toBlock));
+        if (filter.until) toBlock = Math.min(toBlock, (await this.findBlockByTime(Number(filter.until) + 1000, fromBlock, toBlock)) - 1);
+
+        const totalBlocks = Math.max(0, toBlock - fromBlock + 1);
+        let size = Math.max(1, Math.floor(chunkSize));
+        let to = toBlock;
+        let throttled = 0;
+
+        while (to >= fromBlock && !signal?.aborted) {
+            const from = Math.max(fromBlock, to - size + 1);
+
+            let logs;
+            try {
+                logs = await this.readProvider.getLogs({
+                    address,
+                    topics,
+                    fromBlock: from,
+                    toBlock: to
+                });
+            } catch (e) {
+                if (isRateLimitError(e) && throttled < LOG_RATE_LIMIT_RETRIES) {
+                    const delay = 1000 * 2 ** throttled++;
+                    this.emit('log', { level: 'warn', message: `Provider rate-limited eth_getLogs, retrying in ${delay / 1000} s` });
+                    await sleep(delay, signal);
+                    continue;
+                }
+                if (to > from && isRangeError(e)) {
+                    size = Math.max(1, Math.floor((to - from + 1) / 2));
+                    this.emit('log', { level: 'warn', message: `Provider rejected ${to - from + 1} block range, retrying with ${size}` });
+                    continue;
+                }
+                throw e;
+            }
+            throttled = 0;
+
+            const batch = logs
+                .map(log => {
+                    const { fragment, args } = iface.parseLog(log);
+                    return decodeBridgeEvent({ fragment, args, blockNumber: log.blockNumber, transactionHash: log.transactionHash, index: log.index });
+                })
+                .filter(event => matchesHistoryFilter(event, filter))
+                .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+            await this.addBlockTimestamps(batch);
+
+            yield { fromBlock: from, toBlock: to, events: batch, scannedBlocks: toBlock - from + 1, totalBlocks };
+            to = from - 1;
+        }
+    }
+
+    /**
+     * First block in [low, high] mined at or after `time` (Date or ms since
+     * epoch); high + 1 when every block is older.
+     */
+    async findBlockByTime(time, low, high) {
+        const target = Math.floor(Number(time) / 1000);
+        let result = high + 1;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            const block = await this.readProvider.getBlock(mid);
+            if (block.timestamp >= target) {
+                result = mid;
+                high = mid - 1;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return result;
+    }
+
+    async addBlockTimestamps(events) {
+        const numbers = [...new Set(events.map(event => event.blockNumber))];
+        const blocks = await Promise.all(numbers.map(n => this.readProvider.getBlock(n)));
+        const timestamps = new Map(blocks.map((block, i) => [numbers[i], block?.timestamp]));
+        for (const event of events) event.timestamp = timestamps.get(event.blockNumber);
+    }
+
+    // =========================================================================
+    // Stuck Transfers Functions (Relayer API)
+    // =========================================================================
+
+    /**
+     * Fetch stuck transfers from the relayer API
+     */
+    async fetchStuckTransfers(relayerUrl) {
+        const url = `${relayerUrl}/transfers/stuck`;
+        this.emit('api', { method: 'GET', endpoint: url });
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.emit('log', { level: 'success', message: `Found ${data.transfers?.length || 0} stuck transfers` });
+            return data.transfers || [];
+        } catch (e) {
+            this.emit('log', { level: 'error', message: 'Failed to fetch stuck transfers', details: e.message });
+            throw e;
+        }
+    }
+
+    /**
+     * Fetch a single relayer transfer. The relayer keys transfers by the
+     * source transaction hash. Returns null while the relayer has not seen it.
+     * @returns {Promise<Object|null>}  { ID, Status, Direction, Amount, Recipient, RetryCount, ErrorMessage, ... }
+     */
+    async getRelayerTransfer(relayerUrl, transferId) {
+        const url = `${relayerUrl}/transfers/${encodeURIComponent(transferId)}`;
+        this.emit('api', { method: 'GET', endpoint: url });
+
+        const response = await fetch(url);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const data = await response.json();
+        return data.transfer || data;
+    }
+
+    /**
+     * Retry a failed transfer
+     */
+    async retryTransfer(relayerUrl, transferId) {
+        const url = `${relayerUrl}/transfers/${encodeURIComponent(transferId)}/retry`;
+        this.emit('api', { method: 'POST', endpoint: url, params: { id: transferId } });
+
+        try {
+            const response = await fetch(url, { method: 'POST' });
+            if (!response.ok) {
+                const text = await response.text();
+                throw new Error(text || `HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.emit('log', { level: 'success', message: `Transfer ${transferId} marked for retry` });
+            return data;
+        } catch (e) {
+            this.emit('log', { level: 'error', message: `Failed to retry transfer ${transferId}`, details: e.message });
+            throw e;
+        }
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    /**
+     * Read-only AccessControl contract and its known roles.
+     * @param {string} contract  "bridge" or "registry"
+     */
+    accessControl(contract) {
+        if (contract === 'bridge') return { target: this.readBridge, roles: BRIDGE_ROLES };
+        if (contract === 'registry') {
+            if (!this.readRegistry) throw new Error('No token registry configured for this network');
+            return { target: this.readRegistry, roles: REGISTRY_ROLES };
+        }
+        throw new Error(`Unknown contract "${contract}"`);
+    }
+
+    async changeRole(method, contract, role, account) {
+        const signer = this.requireSigner();
+        const { target, roles } = this.accessControl(contract);
+        const hash = roles[role] ?? role;
+        if (!isBytes32(hash)) throw new Error(`Unknown role "${role}"`);
+        if (!ethers.isAddress(account)) throw new Error('Invalid account address');
+
+        const adminRole = await target.getRoleAdmin(hash);
+        if (!await target.hasRole(adminRole, await signer.getAddress())) {
+            throw new Error(`Connected account does not hold the admin role of ${role}`);
+        }
+
+        const messages = method === 'grantRole'
+            ? { pending: `Granting ${role}...`, submitted: 'Grant TX submitted', confirmed: `${role} granted to ${account}` }
+            : { pending: `Revoking ${role}...`, submitted: 'Revoke TX submitted', confirmed: `${role} revoked from ${account}` };
+        this.emit('api', { method: 'CALL', endpoint: `${contract === 'bridge' ? 'Bridge' : 'Registry'}.${method}()`, params: { role, account } });
+        return this.sendTx(method, messages, { target: target.connect(signer), method, args: [hash, account] }, { contract, role: hash, account });
+    }
+
+    /**
+     * Throw unless the signer holds `role`, a key of the contract's roles
+     * (BRIDGE_ROLES or REGISTRY_ROLES).
+     */
+    async requireRole(role, contract = 'bridge') {
+        const { target, roles } = this.accessControl(contract);
+        const account = await this.requireSigner().getAddress();
+        if (!await target.hasRole(roles[role], account)) {
+            throw new Error(`Connected account does not hold ${role}_ROLE`);
+        }
+    }
+
+    /**
+     * Check the role an ADMIN_ACTIONS operation needs, then send it.
+     * @returns {Promise<TxResult>}
+     */
+    async sendAdminTx(action, messages, args, details = {}) {
+        await this.requireRole(ADMIN_ACTIONS[action]);
+        this.emit('api', { method: 'CALL', endpoint: `Bridge.${action}()`, params: details });
+        return this.sendTx(action, messages, { target: this.bridge, method: action, args }, details);
+    }
+
+    /**
+     * Check the role a REGISTRY_ACTIONS operation needs, then send it.
+     * @returns {Promise<TxResult>}
+     */
+    async sendRegistryTx(action, messages, args, details = {}) {
+        await this.requireRole(REGISTRY_ACTIONS[action], 'registry');
+        const registry = this.readRegistry.connect(this.signer);
+        this.emit('api', { method: 'CALL', endpoint: `Registry.${action}()`, params: details });
+        return this.sendTx(action, messages, { target: registry, method: action, args }, details);
+    }
+
+    /**
+     * Dry-run a write with staticCall, so a revert surfaces before the wallet
+     * is asked to sign, then estimate its gas and fee at the current base and
+     * priority fee.
+     * @param {TxCall} call
+     * @returns {Promise<TxEstimate>}
+     */
+    async estimateTx({ target, method, args }) {
+        // Raw call rather than staticCall: USDT's approve() returns nothing, which staticCall can't decode
+        const request = await target.getFunction(method).populateTransaction(...args);
+        await target.runner.call(request);
+
+        const [gas, feeData, block] = await Promise.all([
+            target.runner.estimateGas(request),
+            this.readProvider.getFeeData(),
+            this.readProvider.getBlock('latest')
+        ]);
+
+        // Pre-London chains only quote a legacy gas price
+        const baseFee = block?.baseFeePerGas ?? null;
+        const priorityFee = baseFee !== null ? (feeData.maxPriorityFeePerGas ?? 0n) : 0n;
+        const gasPrice = baseFee !== null ? baseFee + priorityFee : (feeData.gasPrice ?? 0n);
+        return {
+            gas,
+            baseFee: baseFee ?? gasPrice,
+            priorityFee,
+            fee: gas * gasPrice,
+            maxFee: gas * (feeData.maxFeePerGas ?? gasPrice)
+        };
+    }
+
+    /**
+     * Simulate a transaction, send it once the simulation passes and
+     * `confirmTx` (if any) accepts the fee, and wait for it, emitting a `tx`
+     * event per stage.
+     * @param {string} action  Operation name reported in the events
+     * @param {{ pending: string, submitted: string, confirmed: string }} messages
+     * @param {TxCall} call
+     * @param {Object} [details]  Operation parameters passed along in every event
+     * @returns {Promise<TxResult>}
+     */
+    async sendTx(action, messages, call, details = {}) {
+        try {
+            this.emit('tx', { action, stage: 'pending', message: messages.pending, details });
+            const estimate = await this.estimateTx(call);
+            this.emit('tx', {
+                action,
+                stage: 'simulated',
+                message: `Simulation passed, estimated fee ${formatFee(estimate.fee)} (${estimate.gas} gas at ${formatGwei(estimate.baseFee + estimate.priorityFee)})`,
+                estimate,
+                details
+            });
+            if (this.confirmTx && !(await this.confirmTx({ action, message: messages.pending, estimate, details }))) {
+                throw new BridgeError('Transaction not sent: the estimated fee was declined', { code: 'FEE_DECLINED' });
+            }
+
+            // Headroom for state that changes between estimate and inclusion
+            const gasLimit = estimate.gas * (100n + GAS_LIMIT_BUFFER_PERCENT) / 100n;
+            const tx = await call.target.getFunction(call.method)(...call.args, { gasLimit });
+            this.emit('tx', { action, stage: 'submitted', message: messages.submitted, hash: tx.hash, tx: toTxSnapshot(tx), details });
+
+            const receipt = await this.waitForTx(tx, action, details);
+            this.emit('tx', { action, stage: 'confirmed', message: messages.confirmed, hash: receipt.hash, details });
+            return { hash: receipt.hash, receipt };
+        } catch (e) {
+            throw await this.translateError(e, details.token);
+        }
+    }
+
+    /**
+     * Wait for `confirmations` blocks on top of `tx`. If another transaction
+     * with its nonce is mined instead, a `replaced` stage is emitted; a
+     * successful speed-up (same call, higher fee) stands in for `tx`, while
+     * a cancellation or any other replacement throws TRANSACTION_REPLACED.
+     * @returns {Promise<Object>}  Receipt of `tx` or of its repriced replacement
+     */
+    async waitForTx(tx, action, details = {}) {
+        try {
+            return await tx.wait(this.confirmations);
+        } catch (e) {
+            if (e.code !== 'TRANSACTION_REPLACED') throw e;
+            this.emit('tx', {
+                action,
+                stage: 'replaced',
+                message: `${REPLACED_MESSAGES[e.reason]}: ${e.replacement.hash}`,
+                hash: e.replacement.hash,
+                replaced: tx.hash,
+                reason: e.reason,
+                tx: toTxSnapshot(e.replacement),
+                details
+            });
+            if (e.reason === 'repriced' && e.receipt.status === 1) return e.receipt;
+            throw e;
+        }
+    }
+
+    /**
+     * Decode a revert or wallet error into a BridgeError with a readable
+     * message; amounts are formatted with the token's decimals.
+     * @param {*} error
+     * @param {string} [token]  Token the call was about, for ERC20 errors
+     * @returns {Promise<BridgeError>}
+     */
+    translateError(error, token = null) {
+        return translateError(error, {
+            token,
+            formatAmount: (address, raw) => this.formatAmount(address, raw),
+            roleNames: ROLE_NAMES
+        });
+    }
+
+    /**
+     * Sign an EIP-712 authorization of `types`' single struct for the
+     * middleware, adding a random nonce and a deadline.
+     * @returns {Promise<Object>}  The signed fields, nonce and deadline as decimal strings, plus `signature`
+     */
+    async signAuthorization(types, fields) {
+        const signer = this.requireSigner();
+        const [primaryType] = Object.keys(types);
+        const value = {
+            ...fields,
+            nonce: BigInt(ethers.hexlify(ethers.randomBytes(32))),
+            deadline: BigInt(Math.floor(Date.now() / 1000) + AUTHORIZATION_SECONDS)
+        };
+
+        const { owner, ...shown } = fields;
+        this.emit('api', {
+            method: 'SIGN',
+            endpoint: `EIP-712 ${primaryType}`,
+            params: Object.fromEntries(Object.entries(shown).map(([key, field]) =>
+                [key, field.length > 42 ? `${field.slice(0, 20)}...` : field]))
+        });
+        let signature;
+        try {
+            signature = await signer.signTypedData(
+                middlewareDomain(this.config.chainId, this.config.bridgeAddress),
+                types,
+                value
+            );
+        } catch (e) {
+            throw await this.translateError(e);
+        }
+        return { ...value, nonce: value.nonce.toString(), deadline: value.deadline.toString(), signature };
+    }
+
+    /**
+     * JSON-RPC client for a middleware, created on first use. Its requests
+     * and retries are reported as this client's `api` and `log` events.
+     * @returns {MiddlewareClient}
+     */
+    middleware(apiUrl) {
+        let rpc = this.middlewareClients.get(apiUrl);
+        if (!rpc) {
+            rpc = new MiddlewareClient({ url: apiUrl, timeout: this.config.middlewareTimeout });
+            rpc.on('api', event => this.emit('api', event));
+            rpc.on('log', event => this.emit('log', event));
+            this.middlewareClients.set(apiUrl, rpc);
+        }
+        return rpc;
+    }
+
+    /**
+     * Send several middleware calls in one batch request, in the connected
+     * account's session. With legacy signed headers, which cover one method,
+     * the calls are sent one by one instead.
+     * @param {{ method: string, params?: Object }[]} calls
+     * @returns {Promise<({ result: * } | { error: MiddlewareError })[]>}
+     */
+    async batchMiddleware(apiUrl, calls) {
+        return this.callMiddleware(apiUrl, 'Batch request failed', async (rpc, options) => {
+            if (options.signMessage) {
+                const settled = [];
+                for (const { method, params } of calls) {
+                    try {
+                        settled.push({ result: await rpc.call(method, params, options) });
+                    } catch (e) {
+                        if (!(e instanceof MiddlewareError)) throw e;
+                        settled.push({ error: e });
+                    }
+                }
+                return settled;
+            }
+            const results = await rpc.batch(calls, options);
+            // Let one expired session renew the whole batch
+            const unauthorized = results.find(entry => entry.error?.reason === 'unauthorized');
+            if (unauthorized) throw unauthorized.error;
+            return results;
+        });
+    }
+
+    /**
+     * Run `request(rpc, { token })` against a middleware in the connected
+     * account's session, signing in first when there is none. A request
+     * rejected as unauthorized (token expired or revoked on the middleware)
+     * signs in again and is sent once more. Middleware without sessions gets
+     * `request(rpc, { signMessage })` instead, for the legacy signed headers.
+     * With `signIn` false, only an existing session is used and the wallet
+     * is never asked to sign.
+     */
+    async callMiddleware(apiUrl, failureMessage, request, { signIn = true } = {}) {
+        const signer = this.requireSigner();
+        const address = await signer.getAddress();
+        const rpc = this.middleware(apiUrl);
+
+        let session = null;
+        if (!signIn) {
+            session = this.usesLegacyAuth(apiUrl) ? null : await this.getSession(apiUrl);
+            if (!session) throw new BridgeError(`${failureMessage}: not signed in to the middleware`, { code: 'NO_SESSION' });
+        } else if (!this.usesLegacyAuth(apiUrl)) {
+            session = await this.ensureSession(apiUrl).catch(e => {
+                if (e.code !== 'LEGACY_AUTH') throw e;
+                return null;
+            });
+        }
+        if (!session) {
+            const signMessage = async (message) => {
+                this.emit('api', { method: 'SIGN', endpoint: 'X-Signature', params: { message } });
+                try {
+                    return await signer.signMessage(message);
+                } catch (e) {
+                    throw await this.translateError(e);
+                }
+            };
+            return this.reportMiddlewareError(request(rpc, { signMessage }), failureMessage);
+        }
+
+        try {
+            return await request(rpc, { token: session.token });
+        } catch (e) {
+            if (e.reason === 'unauthorized') this.sessions.delete(apiUrl, address, this.config.chainId);
+            if (e.reason !== 'unauthorized' || !signIn) return this.reportMiddlewareError(Promise.reject(e), failureMessage);
+            this.emit('log', { level: 'info', message: 'Middleware session expired; signing in again' });
+            const renewed = await this.signIn(apiUrl);
+            return this.reportMiddlewareError(request(rpc, { token: renewed.token }), failureMessage);
+        }
+    }
+
+    /** Log a failed middleware request under `failureMessage` and rethrow its MiddlewareError. */
+    async reportMiddlewareError(pending, failureMessage) {
+        try {
+            return await pending;
+        } catch (e) {
+            this.emit('log', { level: 'error', message: failureMessage, details: { reason: e.reason, code: e.code, message: e.message } });
+            throw e;
+        }
+    }
+}
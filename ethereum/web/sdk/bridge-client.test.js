@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from './ethers.js';
+import { SessionStore } from './auth.js';
+import { BridgeClient, isRangeError, isRateLimitError, matchesHistoryFilter, totalCantonHoldings } from './bridge-client.js';
+import { MiddlewareClient } from './middleware-client.js';
+
+// =============================================================================
+// Log range errors
+// =============================================================================
+
+test('isRangeError matches provider range and result-size refusals', () => {
+    for (const message of [
+        'block range too large',
+        'block range is too wide',
+        'exceed maximum block range: 50000',
+        'query returned more than 10000 results',
+        'Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range',
+        'eth_getLogs is limited to a 10,000 range'
+    ]) {
+        assert.equal(isRangeError({ message }), true, message);
+    }
+});
+
+test('isRangeError ignores rate limits and gas errors', () => {
+    for (const message of [
+        '429 Too Many Requests: rate limit exceeded',
+        'bad response (status=429, ...)',
+        'gas limit exceeded',
+        'intrinsic gas too low',
+        'execution reverted'
+    ]) {
+        assert.equal(isRangeError({ message }), false, message);
+    }
+});
+
+test('isRangeError reads messages nested by ethers', () => {
+    assert.equal(isRangeError({ message: 'could not coalesce error', error: { message: 'block range too large' } }), true);
+    assert.equal(isRangeError({ message: 'x', info: { error: { message: 'query returned more than 10000 results' } } }), true);
+});
+
+test('isRateLimitError matches 429 responses and rate-limit messages', () => {
+    assert.equal(isRateLimitError({ status: 429 }), true);
+    assert.equal(isRateLimitError({ info: { responseStatus: '429 Too Many Requests' } }), true);
+    assert.equal(isRateLimitError({ message: 'Your app has exceeded its compute units per second capacity' }), true);
+    assert.equal(isRateLimitError({ message: 'block range too large' }), false);
+    assert.equal(isRateLimitError(null), false);
+});
+
+test('cancelling a scan ends a rate-limit pause at once', async () => {
+    let requests = 0;
+    const readProvider = {
+        getBlockNumber: async () => 100,
+        getLogs: async () => {
+            requests++;
+            throw Object.assign(new Error('429 Too Many Requests'), { status: 429 });
+        }
+    };
+    const client = new BridgeClient({ readProvider });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    const batches = [];
+    for await (const batch of client.scanEventHistory({ fromBlock: 0, signal: controller.signal })) batches.push(batch);
+
+    assert.equal(batches.length, 0);
+    assert.equal(requests, 1);
+    assert.ok(Date.now() - started < 900, 'the 1 s pause was cut short');
+});
+
+// =============================================================================
+// History filters
+// =============================================================================
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const SENDER = '0x2222222222222222222222222222222222222222';
+const FINGERPRINT = '0x' + 'ab'.repeat(32);
+
+const deposit = {
+    name: 'DepositToCanton',
+    args: { token: TOKEN, sender: SENDER, amount: 5n, cantonRecipient: FINGERPRINT, nonce: 1n },
+    timestamp: 1_700_000_000
+};
+
+test('matchesHistoryFilter compares addresses case-insensitively', () => {
+    assert.equal(matchesHistoryFilter(deposit, { token: TOKEN.toUpperCase().replace('0X', '0x') }), true);
+    assert.equal(matchesHistoryFilter(deposit, { sender: SENDER, fingerprint: FINGERPRINT.toUpperCase().replace('0X', '0x') }), true);
+    assert.equal(matchesHistoryFilter(deposit, { sender: TOKEN }), false);
+});
+
+test('matchesHistoryFilter matches withdrawals by Canton sender', () => {
+    const withdrawal = { name: 'WithdrawalFromCanton', args: { token: TOKEN, cantonSender: FINGERPRINT } };
+    assert.equal(matchesHistoryFilter(withdrawal, { fingerprint: FINGERPRINT }), true);
+    assert.equal(matchesHistoryFilter(withdrawal, { sender: SENDER }), false);
+});
+
+test('matchesHistoryFilter checks the time range only when the event has a timestamp', () => {
+    const time = deposit.timestamp * 1000;
+    assert.equal(matchesHistoryFilter(deposit, { since: time, until: time }), true);
+    assert.equal(matchesHistoryFilter(deposit, { since: time + 1 }), false);
+    assert.equal(matchesHistoryFilter(deposit, { until: new Date(time - 1) }), false);
+
+    const untimed = { ...deposit, timestamp: undefined };
+    assert.equal(matchesHistoryFilter(untimed, { since: time + 1 }), true);
+});
+
+// =============================================================================
+// Canton holdings
+// =============================================================================
+
+test('totalCantonHoldings adds up each instrument on its own', () => {
+    const holding = (instrument, amount, locked = false) => ({ instrument, amount, locked });
+    const totals = totalCantonHoldings([
+        holding('PROMPT', '1.5'),
+        holding('USDC', '10'),
+        holding('PROMPT', '2', true),
+        holding('PROMPT', '0.25')
+    ]);
+    assert.deepEqual(totals, [
+        { instrument: 'PROMPT', unlocked: '1.75', locked: '2.0' },
+        { instrument: 'USDC', unlocked: '10.0', locked: '0.0' }
+    ]);
+});
+
+// =============================================================================
+// Middleware authentication
+// =============================================================================
+
+const API_URL = 'http://middleware/rpc';
+
+// BridgeClient whose middleware answers each JSON-RPC method with `answers[method](params)`
+function middlewareClient(answers, config = {}) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        const request = JSON.parse(init.body);
+        requests.push({ method: request.method, params: request.params, headers: init.headers });
+        const answer = answers[request.method];
+        const body = answer
+            ? { jsonrpc: '2.0', id: request.id, result: answer(request.params) }
+            : { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'method not found' } };
+        return { status: 200, ok: true, json: async () => body };
+    };
+    const wallet = ethers.Wallet.createRandom();
+    const client = new BridgeClient({ config, readProvider: {}, signer: wallet, sessions: new SessionStore({ storage: null }) });
+    client.middlewareClients.set(API_URL, new MiddlewareClient({ url: API_URL, fetch }));
+    return { client, wallet, requests };
+}
+
+test('middleware without auth_nonce falls back to the legacy signed headers', async () => {
+    const { client, wallet, requests } = middlewareClient({ erc20_withdraw: () => ({ withdrawalId: 'w1' }) });
+
+    await client.initiateWithdrawal(API_URL, '5', '');
+    await client.initiateWithdrawal(API_URL, '6', '');
+
+    assert.deepEqual(requests.map(request => request.method), ['auth_nonce', 'erc20_withdraw', 'erc20_withdraw']);
+    const { headers, params } = requests[2];
+    assert.match(headers['X-Message'], /^erc20_withdraw:\d+$/);
+    assert.equal(ethers.verifyMessage(headers['X-Message'], headers['X-Signature']), wallet.address);
+    assert.deepEqual(params, { amount: '6' });
+});
+
+test('status checks without signIn never sign with legacy headers', async () => {
+    const { client, requests } = middlewareClient({}, { middlewareAuth: 'legacy' });
+
+    await assert.rejects(client.getDepositStatus(API_URL, '0x' + '01'.repeat(32), { signIn: false }), { code: 'NO_SESSION' });
+    await assert.rejects(client.signIn(API_URL), { code: 'LEGACY_AUTH' });
+    assert.equal(requests.length, 0);
+});
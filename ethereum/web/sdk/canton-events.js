@@ -0,0 +1,187 @@
+/**
+ * Explorer over Canton TokenTransferEvent records: every mint, burn and
+ * transfer of CIP-56 tokens, not only the connected user's.
+ *
+ * Events come from the middleware (`bridge_transferEvents`, filtered and
+ * paginated server side) or, where no middleware exposes them, from a JSON
+ * stand-in: any URL serving an array of event records (or `{ events }`),
+ * such as an export of the Canton JSON API. The stand-in is loaded once per
+ * `refresh` and filtered and paginated here.
+ *
+ * A mint carrying `bridge.externalTxId` is the Canton side of an EVM deposit;
+ * resolveDeposit() reads that transaction's DepositToCanton log so the two
+ * can be shown side by side.
+ *
+ * Events:
+ *   log       { level, message, details }                   level: info | success | warn | error
+ */
+
+import { Emitter } from './emitter.js';
+import { ethers } from './ethers.js';
+import { toCantonTransferEvent } from './bridge-client.js';
+
+/**
+ * @typedef {Object} CantonEventFilter
+ * @property {string} [party]        Sender or receiver party, or a prefix of one (e.g. the party hint)
+ * @property {string} [instrument]   InstrumentId.id, e.g. "PROMPT"
+ * @property {string} [kind]         mint | burn | transfer
+ * @property {string} [direction]    in | out, relative to `party`
+ * @property {Date|number} [since]   Earliest event time (Date or ms since epoch)
+ * @property {Date|number} [until]   Latest event time
+ */
+
+/**
+ * @typedef {Object} CantonEventDeposit
+ * @property {string} hash
+ * @property {boolean} found         The transaction has a DepositToCanton log on this bridge
+ * @property {string} [token]
+ * @property {string} [sender]
+ * @property {bigint} [amount]
+ * @property {string} [cantonRecipient]
+ * @property {number} [blockNumber]
+ */
+
+export const DEFAULT_EXPLORER_PAGE_SIZE = 20;
+
+/**
+ * Whether a CantonTransferEvent passes a filter. `party` matches either
+ * side, `direction` then picks the side.
+ */
+export function matchesCantonEventFilter(event, { party, instrument, kind, direction, since, until } = {}) {
+    if (party) {
+        const matches = (side) => Boolean(side) && (side === party || side.startsWith(party));
+        const incoming = matches(event.to);
+        const outgoing = matches(event.from);
+        if (direction === 'in' ? !incoming : direction === 'out' ? !outgoing : !incoming && !outgoing) return false;
+    }
+    if (instrument && event.instrument !== instrument) return false;
+    if (kind && event.kind !== kind) return false;
+    if (since && (event.timestamp === null || event.timestamp < Number(since))) return false;
+    if (until && (event.timestamp === null || event.timestamp > Number(until))) return false;
+    return true;
+}
+
+export class CantonEventExplorer extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {BridgeClient} options.client
+     * @param {string} [options.apiUrl]     Middleware JSON-RPC endpoint
+     * @param {string} [options.sourceUrl]  JSON stand-in; used instead of the middleware when set
+     */
+    constructor({ client, apiUrl = null, sourceUrl = null }) {
+        super();
+        this.client = client;
+        this.apiUrl = apiUrl;
+        this.sourceUrl = sourceUrl;
+        this.sourceEvents = null;  // Promise<CantonTransferEvent[]> loaded from sourceUrl, newest first
+        this.deposits = new Map();  // lowercase tx hash -> Promise<CantonEventDeposit>
+    }
+
+    /**
+     * A page of events matching `filter`, newest first.
+     * @param {CantonEventFilter} [filter]
+     * @param {Object} [options]
+     * @param {string} [options.cursor]  `nextCursor` of the previous page
+     * @param {number} [options.limit]
+     * @returns {Promise<{ events: CantonTransferEvent[], nextCursor: string|null }>}
+     */
+    async query(filter = {}, { cursor = null, limit = DEFAULT_EXPLORER_PAGE_SIZE } = {}) {
+        if (this.sourceUrl) return this.querySource(filter, { cursor, limit });
+        if (!this.apiUrl) throw new Error('No middleware API URL or event source configured');
+
+        const params = toQueryParams(filter);
+        const result = await this.client.callMiddleware(this.apiUrl, 'Event query failed',
+            (rpc, options) => rpc.transferEvents(params, { cursor, limit }, options));
+        return {
+            events: (result?.events || []).map(event => toCantonTransferEvent(event, filter.party || null)),
+            nextCursor: result?.nextCursor || null
+        };
+    }
+
+    /**
+     * Drop the loaded stand-in events and resolved deposits.
+     */
+    refresh() {
+        this.sourceEvents = null;
+        this.deposits.clear();
+    }
+
+    /**
+     * The EVM deposit behind a bridged mint: the DepositToCanton log of its
+     * `externalTxId` transaction. Null for events without one.
+     * @returns {Promise<CantonEventDeposit|null>}
+     */
+    resolveDeposit(event) {
+        const hash = event.externalTxId;
+        if (event.kind !== 'mint' || !ethers.isHexString(hash, 32)) return Promise.resolve(null);
+
+        const key = hash.toLowerCase();
+        if (!this.deposits.has(key)) {
+            const pending = this.fetchDeposit(hash);
+            this.deposits.set(key, pending);
+            // Let a later call retry a failed lookup
+            pending.catch(() => this.deposits.delete(key));
+        }
+        return this.deposits.get(key);
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    async fetchDeposit(hash) {
+        const receipt = await this.client.readProvider.getTransactionReceipt(hash);
+        const log = receipt ? this.client.findBridgeEvent(receipt, 'DepositToCanton') : null;
+        if (!log) return { hash, found: false };
+        return {
+            hash,
+            found: true,
+            token: log.args.token,
+            sender: log.args.sender,
+            amount: log.args.amount,
+            cantonRecipient: log.args.cantonRecipient,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    async querySource(filter, { cursor, limit }) {
+        if (!this.sourceEvents) {
+            this.sourceEvents = this.loadSource();
+            this.sourceEvents.catch(() => { this.sourceEvents = null; });
+        }
+        const matching = (await this.sourceEvents)
+            .map(event => toCantonTransferEvent(event, filter.party || null))
+            .filter(event => matchesCantonEventFilter(event, filter));
+
+        const offset = cursor ? Number(cursor) : 0;
+        const next = offset + limit;
+        return {
+            events: matching.slice(offset, next),
+            nextCursor: next < matching.length ? String(next) : null
+        };
+    }
+
+    async loadSource() {
+        const response = await fetch(this.sourceUrl);
+        if (!response.ok) throw new Error(`Event source answered HTTP ${response.status}`);
+        const body = await response.json();
+        const records = Array.isArray(body) ? body : body?.events;
+        if (!Array.isArray(records)) throw new Error('Event source must serve an array of events or { events: [...] }');
+
+        this.emit('log', { level: 'info', message: `Loaded ${records.length} Canton events from ${this.sourceUrl}` });
+        // Newest first, like the middleware
+        return [...records].sort((a, b) => (Date.parse(b.timestamp) || 0) - (Date.parse(a.timestamp) || 0));
+    }
+}
+
+// Filter as middleware params: times as ISO 8601, empty fields left out
+function toQueryParams({ party, instrument, kind, direction, since, until } = {}) {
+    const params = {};
+    if (party) params.party = party;
+    if (instrument) params.instrument = instrument;
+    if (kind) params.kind = kind;
+    if (direction && party) params.direction = direction;
+    if (since) params.since = new Date(Number(since)).toISOString();
+    if (until) params.until = new Date(Number(until)).toISOString();
+    return params;
+}
@@ -0,0 +1,148 @@
+/**
+ * Network profiles for the bridge.
+ *
+ * Each profile carries everything a client needs to talk to one deployment:
+ * EVM RPC, contract addresses, explorer, middleware API and relayer URLs, plus
+ * the parameters a wallet needs to switch to (or add) the chain.
+ */
+
+/**
+ * @typedef {Object} NetworkProfile
+ * @property {string} name             Display name, e.g. "Sepolia"
+ * @property {number} chainId
+ * @property {string} rpcUrl           RPC used for reads and event queries
+ * @property {string} bridgeAddress    CantonBridge address
+ * @property {string} registryAddress  TokenRegistry address
+ * @property {number} deployBlock      Block the bridge was deployed in; event scans start here
+ * @property {number} [logChunkSize]  Blocks per eth_getLogs request, for providers with range caps
+ * @property {number} [confirmations]  Blocks to wait for on top of a transaction (default 1)
+ * @property {string} explorerUrl      Block explorer base URL (no trailing slash)
+ * @property {string} apiUrl           Middleware JSON-RPC endpoint
+ * @property {number} [middlewareTimeout]  Middleware request timeout in ms (default 15000)
+ * @property {string} [middlewareAuth]  "siwe", "legacy" (X-Signature/X-Message headers) or "auto" (default): SIWE,
+ *                                      falling back to legacy headers when the middleware has no auth_nonce
+ * @property {string} relayerUrl       Relayer REST API base URL
+ * @property {string} [cantonEventsUrl]  JSON stand-in for the Canton event explorer, used instead of the middleware
+ * @property {string[]} [walletRpcUrls]  Public RPCs offered to wallets in wallet_addEthereumChain
+ * @property {string} [walletConnectProjectId]  WalletConnect Cloud project ID; enables WalletConnect in the web UI
+ * @property {{ name: string, symbol: string, decimals: number }} [nativeCurrency]
+ */
+
+/** Built-in profiles. User-defined profiles are merged over these. */
+export const NETWORKS = {
+    local: {
+        name: 'Local Anvil',
+        chainId: 31337,
+        rpcUrl: 'http://127.0.0.1:8545',
+        // Deterministic addresses of Deploy.s.sol run with anvil's first account
+        bridgeAddress: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+        registryAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+        deployBlock: 0,
+        explorerUrl: '',
+        apiUrl: 'http://localhost:8081/rpc',
+        relayerUrl: 'http://localhost:8180/api/v1',
+        walletRpcUrls: ['http://127.0.0.1:8545'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+    },
+    sepolia: {
+        name: 'Sepolia',
+        chainId: 11155111,
+        rpcUrl: 'https://eth-sepolia.g.alchemy.com/v2/MeMdx3uk0ZFuSy2YFs0VAGjG7gXf0wJP',
+        bridgeAddress: '0x523a865Bf51d93df22Fb643e6BDE2F66438e32c2',
+        registryAddress: '0x675E7eE05D1d7376DC0a6d233440bF9753Ba6f9F',
+        // From broadcast/Deploy.s.sol/11155111/run-latest.json
+        deployBlock: 9990846,
+        explorerUrl: 'https://sepolia.etherscan.io',
+        apiUrl: 'http://localhost:8081/rpc',
+        relayerUrl: 'http://localhost:8180/api/v1',
+        walletRpcUrls: ['https://rpc.sepolia.org'],
+        nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 }
+    },
+    mainnet: {
+        name: 'Ethereum Mainnet',
+        chainId: 1,
+        rpcUrl: 'https://ethereum-rpc.publicnode.com',
+        // Not deployed yet - supply addresses through a networks file
+        bridgeAddress: '',
+        registryAddress: '',
+        deployBlock: 0,
+        explorerUrl: 'https://etherscan.io',
+        apiUrl: '',
+        relayerUrl: '',
+        walletRpcUrls: ['https://ethereum-rpc.publicnode.com'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+    }
+};
+
+export const DEFAULT_NETWORK = 'sepolia';
+
+/**
+ * Active configuration. Starts as the default profile; consumers switch it
+ * with applyNetwork().
+ * @type {NetworkProfile & { network: string }}
+ */
+export const CONFIG = { network: DEFAULT_NETWORK, ...NETWORKS[DEFAULT_NETWORK] };
+
+/**
+ * Merge user-defined profiles over the built-ins.
+ * Accepts either `{ networks: {...} }` (the networks.json format) or a bare
+ * map of profiles. A profile that names a built-in only needs the fields it
+ * overrides.
+ * @returns {Object<string, NetworkProfile>}
+ */
+export function mergeNetworks(...sources) {
+    const networks = { ...NETWORKS };
+    for (const source of sources) {
+        if (!source) continue;
+        const profiles = source.networks || source;
+        for (const [key, profile] of Object.entries(profiles)) {
+            networks[key] = { name: key, ...networks[key], ...profile };
+        }
+    }
+    return networks;
+}
+
+/**
+ * Look up a profile by key and check it is usable.
+ * @returns {NetworkProfile & { network: string }}
+ */
+export function resolveNetwork(key, networks = NETWORKS) {
+    const profile = networks[key];
+    if (!profile) {
+        throw new Error(`Unknown network "${key}". Available: ${Object.keys(networks).join(', ')}`);
+    }
+    if (!profile.rpcUrl || !profile.bridgeAddress || !profile.chainId) {
+        throw new Error(`Network "${key}" needs rpcUrl, bridgeAddress and chainId`);
+    }
+    return { network: key, ...profile, chainId: Number(profile.chainId) };
+}
+
+/**
+ * Replace the contents of CONFIG with the given profile, keeping the object
+ * identity so existing references see the change.
+ */
+export function applyNetwork(profile) {
+    for (const key of Object.keys(CONFIG)) delete CONFIG[key];
+    Object.assign(CONFIG, profile);
+    return CONFIG;
+}
+
+/**
+ * Hex chain ID as expected by wallet_switchEthereumChain.
+ */
+export function toHexChainId(chainId) {
+    return '0x' + Number(chainId).toString(16);
+}
+
+/**
+ * Build the wallet_addEthereumChain parameters for a profile.
+ */
+export function toAddChainParams(profile) {
+    return {
+        chainId: toHexChainId(profile.chainId),
+        chainName: profile.name,
+        nativeCurrency: profile.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: profile.walletRpcUrls?.length ? profile.walletRpcUrls : [profile.rpcUrl],
+        blockExplorerUrls: profile.explorerUrl ? [profile.explorerUrl] : undefined
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * Minimal event emitter that behaves the same in Node and the browser.
+ */
+export class Emitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    on(name, listener) {
+        if (!this._listeners.has(name)) {
+            this._listeners.set(name, new Set());
+        }
+        this._listeners.get(name).add(listener);
+        return this;
+    }
+
+    off(name, listener) {
+        this._listeners.get(name)?.delete(listener);
+        return this;
+    }
+
+    emit(name, payload) {
+        const listeners = this._listeners.get(name);
+        if (!listeners) return false;
+        for (const listener of listeners) {
+            listener(payload);
+        }
+        return listeners.size > 0;
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * Translation of contract reverts and wallet failures into messages a user
+ * can act on.
+ *
+ * A revert reaches us in many shapes: an ethers CALL_EXCEPTION from gas
+ * estimation or a static call, a JSON-RPC error from the node, or a wallet
+ * error wrapping either. findRevertData() digs the revert bytes out of all of
+ * them, decodeRevert() decodes them against every error the bridge, registry
+ * and ERC20 ABIs define (plus Error(string) and Panic(uint256)), and
+ * translateError() builds the message, formatting token amounts.
+ */
+
+import { ethers } from './ethers.js';
+import { BRIDGE_ABI, ERC20_ABI, REGISTRY_ABI } from './abi.js';
+
+// Every custom error the bridge can bubble up, deduplicated by signature
+const ERRORS_INTERFACE = new ethers.Interface([
+    ...new Set([...BRIDGE_ABI, ...REGISTRY_ABI, ...ERC20_ABI].filter(fragment => fragment.startsWith('error ')))
+]);
+
+/** EIP-1193 / EIP-1474 provider error codes. */
+export const WALLET_ERROR_MESSAGES = {
+    4001: 'Request rejected in the wallet',
+    4100: 'The wallet has not authorized this site; connect the wallet first',
+    4200: 'The wallet does not support this request',
+    4900: 'The wallet is disconnected',
+    4901: 'The wallet is not connected to the requested chain',
+    4902: 'The wallet does not know this chain; add it first',
+    [-32002]: 'A request is already waiting in the wallet; open the wallet to answer it'
+};
+
+// ethers error codes that need no revert data
+const ETHERS_ERROR_MESSAGES = {
+    ACTION_REJECTED: WALLET_ERROR_MESSAGES[4001],
+    INSUFFICIENT_FUNDS: 'Not enough ETH to pay for gas',
+    NONCE_EXPIRED: 'Nonce already used: another transaction from this account was mined first',
+    REPLACEMENT_UNDERPRICED: 'A pending transaction uses this nonce; a replacement needs a higher fee',
+    NETWORK_ERROR: 'Could not reach the RPC endpoint',
+    TIMEOUT: 'The request timed out'
+};
+
+// TRANSACTION_REPLACED reasons; a repriced replacement only fails when it reverts
+const REPLACEMENT_MESSAGES = {
+    repriced: 'The sped-up transaction reverted',
+    cancelled: 'The transaction was cancelled: a zero-value transfer to yourself took its nonce',
+    replaced: 'The transaction was replaced by another transaction with the same nonce'
+};
+
+// Panic(uint256) codes raised by the Solidity compiler
+const PANIC_MESSAGES = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x31: 'pop from an empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory'
+};
+
+/**
+ * Message per decoded error. Each gets the decoded args and a context with
+ * `amount(token, raw)` and `role(hash)` formatters.
+ */
+const REVERT_MESSAGES = {
+    // CantonBridge
+    TokenNotRegistered: ({ token }) => `Token ${token} is not registered`,
+    InvalidAmount: () => 'Amount must be greater than zero',
+    InvalidFingerprint: () => 'Invalid Canton recipient: register the wallet to get your fingerprint',
+    InvalidRecipient: ({ recipient }) => `Invalid recipient address ${recipient}`,
+    WithdrawalAlreadyProcessed: ({ withdrawalId }) => `Withdrawal ${withdrawalId} has already been processed`,
+    InvalidWithdrawalProof: () => 'Withdrawal proof rejected: it is not signed by a relayer',
+    InsufficientLockedBalance: async ({ token, requested, available }, ctx) =>
+        `The bridge only holds ${await ctx.amount(token, available)} locked, ${await ctx.amount(token, requested)} requested`,
+
+    // RateLimiter
+    RateLimitExceeded: async ({ token, requested, available }, ctx) =>
+        `Rate limit exceeded: ${await ctx.amount(token, requested)} requested, only ${await ctx.amount(token, available)} available until the window resets`,
+    InvalidRateLimitPeriod: () => 'Rate limit period must be greater than zero when a maximum is set',
+
+    // TokenRegistry
+    TokenAlreadyRegistered: ({ token }) => `Token ${token} is already registered`,
+    InvalidTokenAddress: () => 'Invalid token address',
+    ChainNotSupported: ({ chainId }) => `Chain ${chainId} is not supported by the registry`,
+    CantonTokenAlreadyMapped: ({ cantonTokenId }) => `Canton token ID ${cantonTokenId} is already mapped to another token`,
+
+    // OpenZeppelin
+    AccessControlUnauthorizedAccount: ({ account, neededRole }, ctx) => `${account} does not hold ${ctx.role(neededRole)}`,
+    AccessControlBadConfirmation: () => 'Roles can only be renounced by the account holding them',
+    EnforcedPause: () => 'The bridge is paused',
+    ExpectedPause: () => 'The bridge is not paused',
+    ReentrancyGuardReentrantCall: () => 'Reentrant call rejected',
+    SafeERC20FailedOperation: ({ token }) => `Token transfer failed for ${token}`,
+    ECDSAInvalidSignature: () => 'Invalid signature',
+    ECDSAInvalidSignatureLength: () => 'Invalid signature length',
+    ECDSAInvalidSignatureS: () => 'Invalid signature',
+    ERC20InsufficientBalance: async ({ balance, needed }, ctx) =>
+        `Insufficient token balance: ${await ctx.amount(ctx.token, balance)} held, ${await ctx.amount(ctx.token, needed)} needed`,
+    ERC20InsufficientAllowance: async ({ allowance, needed }, ctx) =>
+        `Insufficient allowance: ${await ctx.amount(ctx.token, allowance)} approved, ${await ctx.amount(ctx.token, needed)} needed. Approve first`,
+    ERC20InvalidSender: ({ sender }) => `Invalid token sender ${sender}`,
+    ERC20InvalidReceiver: ({ receiver }) => `Invalid token receiver ${receiver}`,
+    ERC20InvalidApprover: ({ approver }) => `Invalid approver ${approver}`,
+    ERC20InvalidSpender: ({ spender }) => `Invalid spender ${spender}`,
+    ERC2612ExpiredSignature: ({ deadline }) => `Permit expired at ${new Date(Number(deadline) * 1000).toLocaleString()}; sign a new one`,
+    ERC2612InvalidSigner: ({ signer, owner }) => `Permit signed by ${signer}, not by the owner ${owner}`,
+    InvalidAccountNonce: () => 'Permit nonce already used',
+
+    // Solidity built-ins (unnamed parameters)
+    Error: ({ arg0 }) => arg0,
+    Panic: ({ arg0 }) => `Contract panicked: ${PANIC_MESSAGES[Number(arg0)] || `code 0x${arg0.toString(16)}`}`
+};
+
+/**
+ * Error thrown by the SDK in place of a raw provider or wallet error.
+ * The original error is kept as `cause`.
+ */
+export class BridgeError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.reason]   Decoded error name, e.g. "RateLimitExceeded"
+     * @param {Object} [options.args]     Decoded error arguments by name
+     * @param {number|string} [options.code]  Wallet or ethers error code
+     * @param {Error} [options.cause]
+     */
+    constructor(message, { reason = null, args = null, code = null, cause = null } = {}) {
+        super(message);
+        this.name = 'BridgeError';
+        this.reason = reason;
+        this.args = args;
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Revert bytes carried by `error`, wherever the provider or wallet put them.
+ * @returns {string|null}  Hex data, at least a 4-byte selector
+ */
+export function findRevertData(error, depth = 0) {
+    if (!error || typeof error !== 'object' || depth > 5) return null;
+    for (const key of ['data', 'revert', 'info', 'error', 'cause', 'originalError']) {
+        const value = error[key];
+        if (typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value)) return value;
+        const nested = findRevertData(value, depth + 1);
+        if (nested) return nested;
+    }
+    return null;
+}
+
+/**
+ * Decode revert data against the known errors.
+ * @returns {{ name: string, args: Object, signature: string }|null}  null for unknown selectors
+ */
+export function decodeRevert(data) {
+    let parsed = null;
+    try {
+        parsed = ERRORS_INTERFACE.parseError(data);
+    } catch {
+        // Selector matched but the payload did not decode
+    }
+    if (!parsed) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || `arg${i}`] = parsed.args[i];
+    });
+    return { name: parsed.name, args, signature: parsed.signature };
+}
+
+// Wallet error code, which wallets nest at different depths
+function findWalletCode(error, depth = 0) {
+    if (!error || typeof error !== 'object' || depth > 5) return null;
+    if (typeof error.code === 'number' && WALLET_ERROR_MESSAGES[error.code]) return error.code;
+    for (const key of ['info', 'error', 'cause', 'data']) {
+        const code = findWalletCode(error[key], depth + 1);
+        if (code !== null) return code;
+    }
+    return null;
+}
+
+/**
+ * Turn any error from a contract call, transaction or wallet request into a
+ * BridgeError with a readable message. Errors that cannot be decoded keep
+ * the ethers short message.
+ * @param {*} error
+ * @param {Object} [context]
+ * @param {string} [context.token]     Token the call was about; formats ERC20 error amounts
+ * @param {(token: string, raw: bigint) => Promise<string>} [context.formatAmount]
+ * @param {Object<string, string>} [context.roleNames]  Role hash -> name
+ * @returns {Promise<BridgeError>}
+ */
+export async function translateError(error, { token = null, formatAmount = null, roleNames = {} } = {}) {
+    if (error instanceof BridgeError) return error;
+
+    const data = findRevertData(error);
+    const decoded = data ? decodeRevert(data) : null;
+    if (decoded) {
+        const ctx = {
+            token,
+            amount: async (address, raw) => {
+                if (!address || !formatAmount) return raw.toString();
+                try {
+                    return await formatAmount(address, raw);
+                } catch {
+                    return raw.toString();
+                }
+            },
+            role: (hash) => roleNames[hash] || hash
+        };
+        const describe = REVERT_MESSAGES[decoded.name];
+        const message = describe ? await describe(decoded.args, ctx) : decoded.signature;
+        return new BridgeError(message, { reason: decoded.name, args: decoded.args, code: 'CALL_EXCEPTION', cause: error });
+    }
+
+    const walletCode = findWalletCode(error);
+    if (walletCode !== null) {
+        return new BridgeError(WALLET_ERROR_MESSAGES[walletCode], { code: walletCode, cause: error });
+    }
+    if (error?.code === 'TRANSACTION_REPLACED') {
+        const message = REPLACEMENT_MESSAGES[error.reason] || REPLACEMENT_MESSAGES.replaced;
+        return new BridgeError(message, { reason: error.reason, code: error.code, cause: error });
+    }
+    if (ETHERS_ERROR_MESSAGES[error?.code]) {
+        return new BridgeError(ETHERS_ERROR_MESSAGES[error.code], { code: error.code, cause: error });
+    }
+    if (error?.code === 'CALL_EXCEPTION') {
+        const message = data ? `Transaction reverted with unknown error ${data.slice(0, 10)}` : 'Transaction reverted without a reason';
+        return new BridgeError(message, { code: error.code, cause: error });
+    }
+    return new BridgeError(error?.shortMessage || error?.message || String(error), { code: error?.code ?? null, cause: error });
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from './ethers.js';
+import { BridgeError, WALLET_ERROR_MESSAGES, decodeRevert, findRevertData, translateError } from './errors.js';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const BRIDGE = '0x2222222222222222222222222222222222222222';
+
+const errors = new ethers.Interface([
+    'error RateLimitExceeded(address token, uint256 requested, uint256 available)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+    'error InvalidAccountNonce(address account, uint256 currentNonce)',
+    'error Unknown(uint256 x)'
+]);
+
+const rateLimited = errors.encodeErrorResult('RateLimitExceeded', [TOKEN, 100n, 0n]);
+
+test('decodeRevert names the error and its arguments', () => {
+    const decoded = decodeRevert(rateLimited);
+    assert.equal(decoded.name, 'RateLimitExceeded');
+    assert.equal(decoded.args.token, TOKEN);
+    assert.equal(decoded.args.requested, 100n);
+    assert.equal(decoded.args.available, 0n);
+});
+
+test('decodeRevert returns null for unknown selectors', () => {
+    assert.equal(decodeRevert(errors.encodeErrorResult('Unknown', [1n])), null);
+});
+
+test('decodeRevert decodes Error(string) and Panic(uint256)', () => {
+    const reason = ethers.id('Error(string)').slice(0, 10) + ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['nope']).slice(2);
+    assert.deepEqual(decodeRevert(reason).args, { arg0: 'nope' });
+    const panic = ethers.id('Panic(uint256)').slice(0, 10) + ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0x11]).slice(2);
+    assert.equal(decodeRevert(panic).name, 'Panic');
+});
+
+test('findRevertData finds revert bytes nested by wallets', () => {
+    assert.equal(findRevertData({ info: { error: { data: rateLimited } } }), rateLimited);
+    assert.equal(findRevertData({ message: 'execution reverted', data: '0x' }), null);
+});
+
+test('translateError explains a permit whose nonce was already used', async () => {
+    const data = errors.encodeErrorResult('InvalidAccountNonce', [TOKEN, 1n]);
+    const error = await translateError({ data });
+    assert.equal(error.reason, 'InvalidAccountNonce');
+    assert.equal(error.message, 'Permit nonce already used');
+});
+
+test('translateError formats decoded amounts with the token', async () => {
+    const data = errors.encodeErrorResult('ERC20InsufficientAllowance', [BRIDGE, 0n, 1_500_000n]);
+    const error = await translateError({ data }, {
+        token: TOKEN,
+        formatAmount: async (token, raw) => `${ethers.formatUnits(raw, 6)} USDC`
+    });
+    assert.ok(error instanceof BridgeError);
+    assert.equal(error.reason, 'ERC20InsufficientAllowance');
+    assert.equal(error.message, 'Insufficient allowance: 0.0 USDC approved, 1.5 USDC needed. Approve first');
+});
+
+test('translateError falls back to raw amounts when formatting fails', async () => {
+    const error = await translateError({ data: rateLimited }, {
+        formatAmount: async () => { throw new Error('offline'); }
+    });
+    assert.match(error.message, /100 requested, only 0 available/);
+});
+
+test('translateError maps wallet codes at any depth', async () => {
+    const error = await translateError({ error: { cause: { code: 4001 } } });
+    assert.equal(error.code, 4001);
+    assert.equal(error.message, WALLET_ERROR_MESSAGES[4001]);
+});
+
+test('translateError passes BridgeErrors through', async () => {
+    const original = new BridgeError('already readable');
+    assert.equal(await translateError(original), original);
+});
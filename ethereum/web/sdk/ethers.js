@@ -0,0 +1,8 @@
+/**
+ * Resolves the ethers v6 namespace for the SDK.
+ *
+ * In the browser the page loads ethers.min.js as a classic script, which sets
+ * `window.ethers` before any module runs. Under Node the package is imported.
+ */
+
+export const ethers = globalThis.ethers ?? (await import('ethers')).ethers;
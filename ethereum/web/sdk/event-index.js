@@ -0,0 +1,195 @@
+/**
+ * Event index: a persistent copy of the bridge logs, so history loads and
+ * searches don't re-scan the chain on every page load.
+ *
+ * Events are kept per network (chain ID + bridge address) under keys that
+ * sort by block and log index, next to a cursor holding the last synced
+ * block. sync() only fetches blocks after the cursor. It first drops and
+ * refetches the last `reorgDepth` blocks, so events from orphaned blocks are
+ * replaced. The cursor only moves once a sync has covered its whole range;
+ * an aborted or failed sync starts again from the old cursor.
+ *
+ * Events:
+ *   progress  HistoryBatch                                  a synced chunk
+ *   synced    { fromBlock, toBlock, added }
+ *   log       { level, message, details }
+ */
+
+import { Emitter } from './emitter.js';
+import { LIVE_EVENTS, matchesHistoryFilter } from './bridge-client.js';
+import { openStore } from './store.js';
+
+/** Blocks re-fetched on every sync to pick up reorganised logs. */
+export const DEFAULT_REORG_DEPTH = 12;
+
+// Zero-padded so string keys sort in block order
+const BLOCK_DIGITS = 12;
+const LOG_INDEX_DIGITS = 6;
+
+// Upper bound for every key under a network prefix
+const KEY_MAX = '\uffff';
+
+/**
+ * @typedef {Object} SyncCursor
+ * @property {string} network      "<chainId>:<bridge address>"
+ * @property {number} syncedBlock  Last block whose events are all stored
+ * @property {number} updatedAt
+ */
+
+export class EventIndex extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client          BridgeClient
+     * @param {Object} [options.store]         Event store; defaults to the `events` IndexedDB store
+     * @param {Object} [options.cursors]       Cursor store; defaults to the `syncState` IndexedDB store
+     * @param {number} [options.reorgDepth]    Blocks dropped and re-fetched on each sync
+     * @param {string[]} [options.events]      Event names to index (default LIVE_EVENTS)
+     */
+    constructor({ client, store = null, cursors = null, reorgDepth = DEFAULT_REORG_DEPTH, events = LIVE_EVENTS }) {
+        super();
+        this.client = client;
+        this.store = store || openStore('events');
+        this.cursors = cursors || openStore('syncState');
+        this.reorgDepth = reorgDepth;
+        this.events = events;
+        this.syncing = null;
+
+        this._onBridgeEvent = (event) => {
+            if (!this.events.includes(event.name)) return;
+            this.store.put(this.toRecord(event)).catch(e => this.logError('Failed to store live event', e));
+        };
+    }
+
+    /**
+     * Store events from the client's live listener as they arrive.
+     */
+    attach() {
+        this.client.on('bridgeEvent', this._onBridgeEvent);
+    }
+
+    detach() {
+        this.client.off('bridgeEvent', this._onBridgeEvent);
+    }
+
+    /** Key prefix of the client's current network. */
+    get network() {
+        const { chainId, bridgeAddress } = this.client.config;
+        return `${Number(chainId)}:${bridgeAddress.toLowerCase()}`;
+    }
+
+    /**
+     * @returns {Promise<SyncCursor|undefined>}
+     */
+    getCursor() {
+        return this.cursors.get(this.network);
+    }
+
+    /**
+     * Fetch events between the cursor (less the reorg window) and the latest
+     * block; the first sync starts at the profile's deploy block. Runs after
+     * any sync still in flight.
+     * @param {Object} [options]
+     * @param {number} [options.chunkSize]   Blocks per eth_getLogs request
+     * @param {AbortSignal} [options.signal]
+     * @param {(batch: HistoryBatch) => void|Promise<void>} [options.onBatch]  Called after each stored chunk
+     * @returns {Promise<{ fromBlock: number, toBlock: number, added: number, complete: boolean }>}
+     */
+    async sync(options = {}) {
+        while (this.syncing) await this.syncing.catch(() => {});
+        this.syncing = this.runSync(options);
+        try {
+            return await this.syncing;
+        } finally {
+            this.syncing = null;
+        }
+    }
+
+    async runSync({ chunkSize, signal = null, onBatch = null } = {}) {
+        const network = this.network;
+        const cursor = await this.cursors.get(network);
+        const deployBlock = this.client.config.deployBlock ?? 0;
+        const toBlock = await this.client.readProvider.getBlockNumber();
+        const fromBlock = cursor
+            ? Math.max(deployBlock, cursor.syncedBlock - this.reorgDepth + 1)
+            : deployBlock;
+
+        if (signal?.aborted) return { fromBlock, toBlock, added: 0, complete: false };
+
+        // Drop the reorg window (and any live events past it) before refetching
+        await this.store.deleteRange(this.key(network, fromBlock, 0), `${network}:${KEY_MAX}`);
+
+        let added = 0;
+        const scan = this.client.scanEventHistory({ events: this.events, fromBlock, toBlock, chunkSize, signal });
+        for await (const batch of scan) {
+            await this.store.putAll(batch.events.map(event => this.toRecord(event, network)));
+            added += batch.events.length;
+            this.emit('progress', batch);
+            if (onBatch) await onBatch(batch);
+        }
+
+        if (signal?.aborted) return { fromBlock, toBlock, added, complete: false };
+
+        await this.cursors.put({ network, syncedBlock: toBlock, updatedAt: Date.now() });
+        this.emit('synced', { fromBlock, toBlock, added });
+        return { fromBlock, toBlock, added, complete: true };
+    }
+
+    /**
+     * Search stored events for the current network, newest first. Works
+     * without a provider.
+     * @param {Object} [options]
+     * @param {string[]} [options.events]      Event names (default: all indexed)
+     * @param {HistoryFilter} [options.filter]
+     * @param {number} [options.beforeBlock]   Only events in blocks below this one
+     * @param {number} [options.limit]
+     * @returns {Promise<BridgeEvent[]>}
+     */
+    async query({ events = null, filter = {}, beforeBlock = null, limit = Infinity } = {}) {
+        const network = this.network;
+        const upper = beforeBlock === null ? `${network}:${KEY_MAX}` : this.key(network, beforeBlock, 0);
+        const records = await this.store.getRange(`${network}:`, upper);
+
+        const results = [];
+        for (let i = records.length - 1; i >= 0 && results.length < limit; i--) {
+            const record = records[i];
+            if (beforeBlock !== null && record.blockNumber >= beforeBlock) continue;
+            if (events && !events.includes(record.name)) continue;
+            if (!matchesHistoryFilter(record, filter)) continue;
+            results.push(this.toEvent(record));
+        }
+        return results;
+    }
+
+    /**
+     * Forget the stored events and cursor of the current network.
+     */
+    async reset() {
+        const network = this.network;
+        await this.store.deleteRange(`${network}:`, `${network}:${KEY_MAX}`);
+        await this.cursors.delete(network);
+        this.emit('log', { level: 'info', message: 'Cleared the event cache' });
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    key(network, blockNumber, logIndex) {
+        const block = String(blockNumber).padStart(BLOCK_DIGITS, '0');
+        const index = String(logIndex).padStart(LOG_INDEX_DIGITS, '0');
+        return `${network}:${block}:${index}`;
+    }
+
+    toRecord(event, network = this.network) {
+        return { id: this.key(network, event.blockNumber, event.logIndex), network, ...event };
+    }
+
+    toEvent(record) {
+        const { id, network, ...event } = record;
+        return event;
+    }
+
+    logError(message, error) {
+        this.emit('log', { level: 'error', message, details: error?.message || error });
+    }
+}
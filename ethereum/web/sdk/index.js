@@ -0,0 +1,88 @@
+/**
+ * Canton bridge SDK - DOM-free entry point for browser and Node consumers.
+ */
+
+export { ethers } from './ethers.js';
+export { BRIDGE_ABI, ERC20_ABI, REGISTRY_ABI } from './abi.js';
+export {
+    CONFIG,
+    NETWORKS,
+    DEFAULT_NETWORK,
+    mergeNetworks,
+    resolveNetwork,
+    applyNetwork,
+    toHexChainId,
+    toAddChainParams
+} from './config.js';
+export { Emitter } from './emitter.js';
+export {
+    SessionStore,
+    SESSION_STORAGE_KEY,
+    SESSION_RENEW_MARGIN_SECONDS,
+    AUTHORIZATION_SECONDS,
+    WITHDRAWAL_TYPES,
+    CANTON_TRANSFER_TYPES,
+    MIDDLEWARE_DOMAIN_NAME,
+    SIWE_STATEMENT,
+    buildSiweMessage,
+    siweOrigin,
+    middlewareDomain
+} from './auth.js';
+export { parseTokenList, applyTokenList } from './token-list.js';
+export { TokenMetadataCache, formatTokenAmount } from './token-metadata.js';
+export {
+    BridgeClient,
+    ADMIN_ACTIONS,
+    TRANSFER_EVENTS,
+    LIVE_EVENTS,
+    BRIDGE_ROLES,
+    REGISTRY_ROLES,
+    REGISTRY_ACTIONS,
+    DEFAULT_CONFIRMATIONS,
+    DEFAULT_LOG_CHUNK_SIZE,
+    LOG_RATE_LIMIT_RETRIES,
+    GAS_LIMIT_BUFFER_PERCENT,
+    PERMIT_DEADLINE_SECONDS,
+    computeFingerprint,
+    decodeBridgeEvent,
+    formatFee,
+    formatGwei,
+    isBytes32,
+    isRangeError,
+    isRateLimitError,
+    matchesHistoryFilter,
+    toCantonHolding,
+    toCantonTransferEvent,
+    totalCantonHoldings
+} from './bridge-client.js';
+export {
+    BridgeError,
+    WALLET_ERROR_MESSAGES,
+    decodeRevert,
+    findRevertData,
+    translateError
+} from './errors.js';
+export {
+    MiddlewareClient,
+    MiddlewareError,
+    MIDDLEWARE_METHODS,
+    MIDDLEWARE_ERROR_REASONS,
+    DEFAULT_MIDDLEWARE_TIMEOUT_MS,
+    DEFAULT_MIDDLEWARE_RETRIES,
+    toMiddlewareError
+} from './middleware-client.js';
+export { IndexedDbStore, MemoryStore, openStore } from './store.js';
+export { EventIndex, DEFAULT_REORG_DEPTH } from './event-index.js';
+export { RateLimitMonitor } from './rate-limit-monitor.js';
+export { CantonEventExplorer, DEFAULT_EXPLORER_PAGE_SIZE, matchesCantonEventFilter } from './canton-events.js';
+export { Reconciler, RECONCILIATION_EVENTS, replayLocked, reportToJson, reportToCsv, summaryToCsv } from './reconciliation.js';
+export { TxManager, REPLACEMENT_FEE_BUMP_PERCENT, TX_STORAGE_KEY, toTxSnapshot } from './tx-manager.js';
+export { WalletRegistry, legacyWalletName } from './wallets.js';
+export {
+    WalletConnectConnector,
+    WALLETCONNECT_ID,
+    WALLETCONNECT_MODULE_URL,
+    QRCODE_MODULE_URL,
+    pairingQrCode
+} from './walletconnect.js';
+export { TransferTracker, DEPOSIT_STAGES, WITHDRAWAL_STAGES, STAGE_LABELS, canAdvance } from './transfer-tracker.js';
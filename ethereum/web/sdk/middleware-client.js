@@ -0,0 +1,390 @@
+/**
+ * JSON-RPC 2.0 client for the Canton middleware API.
+ *
+ * Calls are authenticated with a SIWE session token (`token`, sent as a
+ * bearer token) or, for middleware without sessions, with the legacy signed
+ * headers: `signMessage` signs "<method>:<unix seconds>", sent as
+ * X-Message and X-Signature.
+ *
+ * Every request gets its own id and an abort timeout. HTTP failures,
+ * transport errors and JSON-RPC errors all surface as a MiddlewareError whose
+ * `reason` says what went wrong (see MIDDLEWARE_ERROR_REASONS). Reads
+ * (methods marked idempotent in MIDDLEWARE_METHODS) are retried with
+ * exponential backoff when the request timed out, the network failed or the
+ * server answered 429/5xx; writes are sent once, since a lost response does
+ * not mean the middleware did not act on them.
+ *
+ * batch() sends several calls in one JSON-RPC batch request and returns one
+ * settled entry per call, in call order.
+ *
+ * Events:
+ *   api       { method, endpoint, params }                  outgoing request
+ *   log       { level, message, details }                   level: info | success | warn | error
+ */
+
+import { Emitter } from './emitter.js';
+
+/** Middleware methods, and whether repeating them is harmless. */
+export const MIDDLEWARE_METHODS = {
+    auth_nonce: { idempotent: true },
+    auth_login: { idempotent: false },
+    auth_logout: { idempotent: false },
+    user_register: { idempotent: false },
+    erc20_balanceOf: { idempotent: true },
+    erc20_withdraw: { idempotent: false },
+    erc20_transfer: { idempotent: false },
+    erc20_holdings: { idempotent: true },
+    erc20_transferHistory: { idempotent: true },
+    bridge_transferEvents: { idempotent: true },
+    bridge_tokenSupply: { idempotent: true },
+    bridge_depositStatus: { idempotent: true },
+    bridge_withdrawalStatus: { idempotent: true }
+};
+
+/** JSON-RPC error code -> MiddlewareError reason. -32001 is the middleware's own "session rejected". */
+export const MIDDLEWARE_ERROR_REASONS = {
+    [-32700]: 'parse_error',
+    [-32600]: 'invalid_request',
+    [-32601]: 'method_not_found',
+    [-32602]: 'invalid_params',
+    [-32603]: 'internal_error',
+    [-32001]: 'unauthorized'
+};
+
+export const DEFAULT_MIDDLEWARE_TIMEOUT_MS = 15000;
+export const DEFAULT_MIDDLEWARE_RETRIES = 2;
+
+// Base delay of the retry backoff; doubled on each attempt
+const RETRY_DELAY_MS = 500;
+
+// HTTP statuses worth retrying a read on
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+const RETRYABLE_REASONS = ['timeout', 'network', 'unavailable'];
+
+export class MiddlewareError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.reason]   parse_error | invalid_request | method_not_found | invalid_params |
+     *                                    internal_error | unauthorized | server_error | timeout | network |
+     *                                    unavailable | http | invalid_response
+     * @param {number} [options.code]     JSON-RPC error code
+     * @param {number} [options.status]   HTTP status
+     * @param {string} [options.method]
+     * @param {*} [options.data]          JSON-RPC error data
+     * @param {Error} [options.cause]
+     */
+    constructor(message, { reason = 'server_error', code = null, status = null, method = null, data = null, cause = null } = {}) {
+        super(message);
+        this.name = 'MiddlewareError';
+        this.reason = reason;
+        this.code = code;
+        this.status = status;
+        this.method = method;
+        this.data = data;
+        this.cause = cause;
+    }
+
+    /** Failed before the middleware could act: safe to send a read again. */
+    get retryable() {
+        return RETRYABLE_REASONS.includes(this.reason);
+    }
+}
+
+/**
+ * MiddlewareError for a JSON-RPC error object.
+ */
+export function toMiddlewareError(error, method = null) {
+    const code = typeof error?.code === 'number' ? error.code : null;
+    const data = error?.data ?? null;
+    let reason = MIDDLEWARE_ERROR_REASONS[code];
+    // -32000 to -32099 are implementation-defined server errors
+    if (!reason) reason = 'server_error';
+    let message = error?.message || (typeof data === 'string' ? data : null) || `Middleware error${code !== null ? ` ${code}` : ''}`;
+    // Methods past the original user_register / erc20_balanceOf / erc20_withdraw need a newer middleware
+    if (reason === 'method_not_found' && method && method !== 'batch') {
+        message = `This middleware does not implement ${method} (${message})`;
+    }
+    return new MiddlewareError(message, { reason, code, method, data });
+}
+
+export class MiddlewareClient extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.url                 JSON-RPC endpoint
+     * @param {number} [options.timeout]           Per-request timeout, in ms
+     * @param {number} [options.retries]           Extra attempts for idempotent reads
+     * @param {Function} [options.fetch]           Defaults to the global fetch
+     */
+    constructor({ url, timeout = DEFAULT_MIDDLEWARE_TIMEOUT_MS, retries = DEFAULT_MIDDLEWARE_RETRIES, fetch = null }) {
+        super();
+        if (!url) throw new Error('No middleware API URL configured');
+        this.url = url;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+        this.lastId = 0;
+    }
+
+    // =========================================================================
+    // Methods
+    // =========================================================================
+
+    /** @returns {Promise<{ nonce: string }>} */
+    authNonce(address, options) {
+        return this.call('auth_nonce', { address }, options);
+    }
+
+    /** @returns {Promise<{ token: string, expiresAt: string|number }>} */
+    authLogin(message, signature, options) {
+        return this.call('auth_login', { message, signature }, options);
+    }
+
+    authLogout(options) {
+        return this.call('auth_logout', {}, options);
+    }
+
+    /** @returns {Promise<{ party: string, fingerprint: string }>} */
+    userRegister(options) {
+        return this.call('user_register', {}, options);
+    }
+
+    /** @returns {Promise<{ balance: string, address: string }>} */
+    erc20BalanceOf(options) {
+        return this.call('erc20_balanceOf', {}, options);
+    }
+
+    /**
+     * @param {{ amount: string, to: string, nonce: string, deadline: string, signature: string }} params
+     * @returns {Promise<{ withdrawalId: string, amount: string, evmDestination: string, message: string }>}
+     */
+    erc20Withdraw(params, options) {
+        return this.call('erc20_withdraw', params, options);
+    }
+
+    /**
+     * Send Canton holdings to another registered user through the CIP-56
+     * transfer factory.
+     * @param {{ amount: string, to: string, nonce: string, deadline: string, signature: string }} params
+     * @returns {Promise<{ updateId?: string, amount: string, recipient: string, recipientParty?: string }>}
+     */
+    erc20Transfer(params, options) {
+        return this.call('erc20_transfer', params, options);
+    }
+
+    /** @returns {Promise<{ party: string, holdings: Object[] }>}  CIP56Holding contracts of the caller */
+    erc20Holdings(options) {
+        return this.call('erc20_holdings', {}, options);
+    }
+
+    /**
+     * A page of the caller's TokenTransferEvent records, newest first.
+     * @returns {Promise<{ party: string, events: Object[], nextCursor: string|null }>}
+     */
+    erc20TransferHistory({ cursor = null, limit = 20 } = {}, options) {
+        const params = { limit };
+        if (cursor) params.cursor = cursor;
+        return this.call('erc20_transferHistory', params, options);
+    }
+
+    /**
+     * A page of all TokenTransferEvent records visible to the middleware,
+     * newest first.
+     * @param {{ party?: string, instrument?: string, kind?: string, direction?: string, since?: string, until?: string }} filter  Times as ISO 8601
+     * @returns {Promise<{ events: Object[], nextCursor: string|null }>}
+     */
+    transferEvents(filter = {}, { cursor = null, limit = 20 } = {}, options) {
+        const params = { ...filter, limit };
+        if (cursor) params.cursor = cursor;
+        return this.call('bridge_transferEvents', params, options);
+    }
+
+    /**
+     * Total CIP-56 supply on Canton of the instrument registered under a
+     * bridge `cantonTokenId`.
+     * @returns {Promise<{ totalSupply: string, instrumentId: { admin: string, id: string } }>}
+     */
+    tokenSupply(cantonTokenId, options) {
+        return this.call('bridge_tokenSupply', { cantonTokenId }, options);
+    }
+
+    /** @returns {Promise<{ status: string, message?: string }>} */
+    depositStatus(txHash, options) {
+        return this.call('bridge_depositStatus', { txHash }, options);
+    }
+
+    /** @returns {Promise<{ status: string, reason?: string, evmTxHash?: string }>} */
+    withdrawalStatus(withdrawalId, options) {
+        return this.call('bridge_withdrawalStatus', { withdrawalId }, options);
+    }
+
+    // =========================================================================
+    // Requests
+    // =========================================================================
+
+    /**
+     * Call one method.
+     * @param {string} method
+     * @param {Object} [params]
+     * @param {Object} [options]
+     * @param {string} [options.token]       Session token, sent as a bearer token
+     * @param {Function} [options.signMessage]  `async (message) => signature`, for the legacy signed headers
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<*>}  The JSON-RPC result
+     */
+    async call(method, params = {}, { token = null, signMessage = null, signal = null } = {}) {
+        const request = { jsonrpc: '2.0', method, params, id: this.nextId() };
+        const headers = signMessage ? await signedHeaders(method, signMessage) : {};
+        this.emit('api', { method: 'POST', endpoint: this.url, params: { method, ...summarize(params) } });
+
+        return this.withRetries([method], async () => {
+            const body = await this.post(request, { token, headers, signal, method });
+            if (!body || typeof body !== 'object' || Array.isArray(body) || body.id !== request.id) {
+                throw new MiddlewareError(`Invalid response to ${method}`, { reason: 'invalid_response', method });
+            }
+            if (body.error) throw toMiddlewareError(body.error, method);
+            return body.result;
+        });
+    }
+
+    /**
+     * Send several calls in one batch request.
+     * @param {{ method: string, params?: Object }[]} calls
+     * @param {Object} [options]             As for call(), without `signMessage`: signed headers cover one method
+     * @returns {Promise<({ result: * } | { error: MiddlewareError })[]>}  In call order
+     */
+    async batch(calls, { token = null, signal = null } = {}) {
+        if (calls.length === 0) return [];
+        const requests = calls.map(({ method, params = {} }) => ({ jsonrpc: '2.0', method, params, id: this.nextId() }));
+        const methods = requests.map(request => request.method);
+        this.emit('api', { method: 'POST', endpoint: this.url, params: { batch: methods.join(', ') } });
+
+        return this.withRetries(methods, async () => {
+            const body = await this.post(requests, { token, signal, method: 'batch' });
+            // A server that rejects the whole batch answers with a single error object
+            if (body && !Array.isArray(body) && body.error) throw toMiddlewareError(body.error, 'batch');
+            if (!Array.isArray(body)) {
+                throw new MiddlewareError('Invalid response to batch request', { reason: 'invalid_response', method: 'batch' });
+            }
+
+            // Responses may come in any order
+            const responses = new Map(body.map(response => [response?.id, response]));
+            return requests.map(({ id, method }) => {
+                const response = responses.get(id);
+                if (!response) {
+                    return { error: new MiddlewareError(`No response to ${method} in batch`, { reason: 'invalid_response', method }) };
+                }
+                return response.error ? { error: toMiddlewareError(response.error, method) } : { result: response.result };
+            });
+        });
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    nextId() {
+        this.lastId += 1;
+        return this.lastId;
+    }
+
+    /**
+     * Run `send`, retrying transient failures when every method is idempotent.
+     */
+    async withRetries(methods, send) {
+        const idempotent = methods.every(method => MIDDLEWARE_METHODS[method]?.idempotent);
+        const attempts = idempotent ? this.retries + 1 : 1;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await send();
+            } catch (e) {
+                if (!(e instanceof MiddlewareError) || !e.retryable || attempt >= attempts) throw e;
+                const delay = RETRY_DELAY_MS * 2 ** (attempt - 1);
+                this.emit('log', {
+                    level: 'warn',
+                    message: `${methods.join(', ')} failed (${e.message}); retrying in ${delay / 1000}s`,
+                    details: { attempt, of: attempts }
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * POST a request body and read the JSON response, both within the timeout.
+     */
+    async post(body, { token, headers: extraHeaders = {}, signal, method }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        // The timeout covers the body too: a server can send headers and then stall
+        let response;
+        let parsed;
+        try {
+            response = await this.fetch(this.url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            parsed = await response.json().catch((e) => {
+                if (controller.signal.aborted) throw e;
+                return null;
+            });
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            if (controller.signal.aborted) {
+                throw new MiddlewareError(`Middleware did not answer ${method} within ${this.timeout / 1000}s`, { reason: 'timeout', method, cause: e });
+            }
+            throw new MiddlewareError(`Could not reach the middleware at ${this.url}`, { reason: 'network', method, cause: e });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (response.status === 401) {
+            throw parsed?.error
+                ? toMiddlewareError({ ...parsed.error, code: -32001 }, method)
+                : new MiddlewareError('Middleware session rejected', { reason: 'unauthorized', status: 401, method });
+        }
+        // Throttled or overloaded, whatever the body says: worth another try
+        if (RETRYABLE_STATUSES.includes(response.status)) {
+            const detail = parsed?.error?.message ? `: ${parsed.error.message}` : '';
+            throw new MiddlewareError(`Middleware answered HTTP ${response.status}${detail}`, { reason: 'unavailable', status: response.status, method });
+        }
+        // JSON-RPC servers may pair an error object with a non-2xx status
+        if (!response.ok && !isEnvelope(parsed)) {
+            throw new MiddlewareError(`Middleware answered HTTP ${response.status}`, { reason: 'http', status: response.status, method });
+        }
+        if (!parsed) {
+            throw new MiddlewareError(`Middleware sent a response to ${method} that is not JSON`, { reason: 'invalid_response', status: response.status, method });
+        }
+        return parsed;
+    }
+}
+
+// Legacy authentication: the wallet signs "<method>:<unix seconds>"
+async function signedHeaders(method, signMessage) {
+    const message = `${method}:${Math.floor(Date.now() / 1000)}`;
+    return { 'X-Signature': await signMessage(message), 'X-Message': message };
+}
+
+// A JSON-RPC response or batch of responses, as opposed to any other JSON body
+function isEnvelope(parsed) {
+    if (Array.isArray(parsed)) return true;
+    return Boolean(parsed) && typeof parsed === 'object' && ('result' in parsed || 'error' in parsed);
+}
+
+// Request params for the activity log, with long values (signatures, SIWE messages) shortened
+function summarize(params) {
+    return Object.fromEntries(Object.entries(params || {}).map(([key, value]) => [
+        key,
+        typeof value === 'string' && value.length > 42 ? `${value.slice(0, 20)}...` : value
+    ]));
+}
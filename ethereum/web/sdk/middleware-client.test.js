@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MiddlewareClient, MiddlewareError, toMiddlewareError } from './middleware-client.js';
+
+// fetch stand-in answering each request with the next of `responses`: [status, body]
+function fakeFetch(responses) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        const request = JSON.parse(init.body);
+        requests.push({ request, headers: init.headers });
+        const [status, body] = responses[Math.min(requests.length - 1, responses.length - 1)];
+        const json = typeof body === 'function' ? body(request) : body;
+        return {
+            status,
+            ok: status >= 200 && status < 300,
+            json: async () => {
+                if (json === undefined) throw new SyntaxError('Unexpected token <');
+                return json;
+            }
+        };
+    };
+    return { fetch, requests };
+}
+
+const ok = (result) => (request) => ({ jsonrpc: '2.0', id: request.id, result });
+
+test('call returns the result and sends the session token', async () => {
+    const { fetch, requests } = fakeFetch([[200, ok('42')]]);
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch });
+
+    assert.equal(await client.erc20BalanceOf({ token: 'abc' }), '42');
+    assert.equal(requests[0].request.method, 'erc20_balanceOf');
+    assert.equal(requests[0].headers.Authorization, 'Bearer abc');
+});
+
+test('call signs the legacy headers when given signMessage', async () => {
+    const { fetch, requests } = fakeFetch([[200, ok({ party: 'p' })]]);
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch });
+    const signed = [];
+
+    await client.userRegister({ signMessage: async (message) => { signed.push(message); return '0xsig'; } });
+
+    assert.match(signed[0], /^user_register:\d+$/);
+    assert.equal(requests[0].headers['X-Message'], signed[0]);
+    assert.equal(requests[0].headers['X-Signature'], '0xsig');
+    assert.equal(requests[0].headers.Authorization, undefined);
+});
+
+test('a 429 with a plain JSON body is retried for reads', async () => {
+    const { fetch, requests } = fakeFetch([[429, { message: 'slow down' }], [200, ok('1')]]);
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch, retries: 1 });
+
+    assert.equal(await client.call('erc20_balanceOf'), '1');
+    assert.equal(requests.length, 2);
+});
+
+test('a 503 carrying a JSON-RPC error is still unavailable', async () => {
+    const { fetch } = fakeFetch([[503, (request) => ({ jsonrpc: '2.0', id: request.id, error: { code: -32603, message: 'overloaded' } })]]);
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch, retries: 0 });
+
+    await assert.rejects(client.call('erc20_balanceOf'), (e) => {
+        assert.equal(e.reason, 'unavailable');
+        assert.equal(e.status, 503);
+        assert.equal(e.retryable, true);
+        assert.match(e.message, /overloaded/);
+        return true;
+    });
+});
+
+test('a body that stalls after the headers times out', async () => {
+    // Like fetch, the body read rejects once the request signal aborts
+    const fetch = async (url, init) => ({
+        status: 200,
+        ok: true,
+        json: () => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        })
+    });
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch, timeout: 20, retries: 0 });
+
+    await assert.rejects(client.call('erc20_balanceOf'), { reason: 'timeout' });
+});
+
+test('writes are never retried', async () => {
+    const { fetch, requests } = fakeFetch([[502, undefined], [200, ok('done')]]);
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch, retries: 2 });
+
+    await assert.rejects(client.call('erc20_withdraw'), { reason: 'unavailable' });
+    assert.equal(requests.length, 1);
+});
+
+test('other HTTP errors keep the JSON-RPC error when there is one', async () => {
+    const rpcError = (request) => ({ jsonrpc: '2.0', id: request.id, error: { code: -32602, message: 'bad amount' } });
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch: fakeFetch([[400, rpcError]]).fetch });
+    await assert.rejects(client.call('erc20_withdraw'), { reason: 'invalid_params', message: 'bad amount' });
+
+    const plain = new MiddlewareClient({ url: 'http://middleware', fetch: fakeFetch([[500, { oops: true }]]).fetch });
+    await assert.rejects(plain.call('erc20_withdraw'), { reason: 'http', status: 500 });
+});
+
+test('401 is unauthorized', async () => {
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch: fakeFetch([[401, undefined]]).fetch });
+    await assert.rejects(client.call('erc20_balanceOf'), { reason: 'unauthorized' });
+});
+
+test('batch returns results and errors in call order', async () => {
+    const { fetch } = fakeFetch([[200, (requests) => [
+        { jsonrpc: '2.0', id: requests[1].id, error: { code: -32601, message: 'no such method' } },
+        { jsonrpc: '2.0', id: requests[0].id, result: 'a' }
+    ]]]);
+    const client = new MiddlewareClient({ url: 'http://middleware', fetch });
+
+    const [first, second] = await client.batch([{ method: 'erc20_balanceOf' }, { method: 'bridge_unknown' }]);
+    assert.deepEqual(first, { result: 'a' });
+    assert.ok(second.error instanceof MiddlewareError);
+    assert.equal(second.error.reason, 'method_not_found');
+});
+
+test('toMiddlewareError maps codes to reasons', () => {
+    assert.equal(toMiddlewareError({ code: -32001, message: 'expired' }).reason, 'unauthorized');
+    assert.equal(toMiddlewareError({ code: -32050 }).reason, 'server_error');
+    assert.equal(toMiddlewareError({ code: -32050 }).message, 'Middleware error -32050');
+});
+
+test('toMiddlewareError names the method a middleware does not implement', () => {
+    const error = toMiddlewareError({ code: -32601, message: 'method not found' }, 'bridge_tokenSupply');
+    assert.equal(error.reason, 'method_not_found');
+    assert.equal(error.message, 'This middleware does not implement bridge_tokenSupply (method not found)');
+});
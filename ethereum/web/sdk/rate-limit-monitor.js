@@ -0,0 +1,142 @@
+/**
+ * Rate-limit monitor: keeps the RateLimitStatus of a set of tokens current.
+ *
+ * A token is re-read when a DepositToCanton for it is seen, when its window
+ * ends (a timer set to resetsAt) and every `interval` ms, which also picks up
+ * setTokenRateLimit changes. Deposits are watched on a contract instance of
+ * its own, so stopping the client's live event listener leaves it running.
+ *
+ * Events:
+ *   update    { token, status: RateLimitStatus|null }    null when RateLimiter is unavailable
+ */
+
+import { ethers } from './ethers.js';
+import { BRIDGE_ABI } from './abi.js';
+import { Emitter } from './emitter.js';
+
+export class RateLimitMonitor extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client        BridgeClient
+     * @param {number} [options.interval]    Poll interval in ms
+     */
+    constructor({ client, interval = 60000 }) {
+        super();
+        this.client = client;
+        this.interval = interval;
+        this.statuses = new Map();  // lowercase token address -> RateLimitStatus|null
+        this.resetTimers = new Map();
+        this.contract = null;
+        this.timer = null;
+
+        this._onDeposit = (token) => {
+            if (!this.statuses.has(token.toLowerCase())) return;
+            this.refresh(token);
+        };
+    }
+
+    /**
+     * Replace the watched tokens and read the status of the new ones.
+     * @param {string[]} tokens
+     */
+    async watch(tokens) {
+        const watched = new Set(tokens.map(token => token.toLowerCase()));
+        for (const token of this.statuses.keys()) {
+            if (!watched.has(token)) this.forget(token);
+        }
+        const added = [...watched].filter(token => !this.statuses.has(token));
+        for (const token of added) this.statuses.set(token, null);
+        await Promise.all(added.map(token => this.refresh(token)));
+    }
+
+    /**
+     * Last known status of a watched token.
+     * @returns {RateLimitStatus|null|undefined}  undefined when not watched
+     */
+    get(token) {
+        return this.statuses.get(token.toLowerCase());
+    }
+
+    /**
+     * Watched tokens with their status, in watch order.
+     * @returns {{ token: string, status: RateLimitStatus|null }[]}
+     */
+    list() {
+        return [...this.statuses].map(([token, status]) => ({ token, status }));
+    }
+
+    /**
+     * Re-read one token. Never rejects: a failed read is reported as null.
+     * @returns {Promise<RateLimitStatus|null>}
+     */
+    async refresh(token) {
+        const key = token.toLowerCase();
+        let status = null;
+        try {
+            status = await this.client.getRateLimitStatus(key);
+        } catch {
+            // Rate limit not available (e.g. older deployments without RateLimiter)
+        }
+        if (!this.statuses.has(key)) return status;
+
+        this.statuses.set(key, status);
+        this.scheduleReset(key, status);
+        this.emit('update', { token: key, status });
+        return status;
+    }
+
+    async refreshAll() {
+        await Promise.all([...this.statuses.keys()].map(token => this.refresh(token)));
+    }
+
+    // =========================================================================
+    // Polling
+    // =========================================================================
+
+    start() {
+        if (this.timer) return;
+        this.contract = new ethers.Contract(this.client.config.bridgeAddress, BRIDGE_ABI, this.client.readProvider);
+        this.contract.on('DepositToCanton', this._onDeposit);
+        this.timer = setInterval(() => this.refreshAll(), this.interval);
+        this.refreshAll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.contract) {
+            this.contract.removeAllListeners();
+            this.contract = null;
+        }
+        for (const timer of this.resetTimers.values()) clearTimeout(timer);
+        this.resetTimers.clear();
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    /**
+     * Re-read the token just after its window ends, so the full limit shows
+     * as available without waiting for the next poll. Windows ending after
+     * the next poll are scheduled by that poll.
+     */
+    scheduleReset(token, status) {
+        clearTimeout(this.resetTimers.get(token));
+        this.resetTimers.delete(token);
+        if (!this.timer || !status?.resetsAt) return;
+
+        const delay = Math.max(0, status.resetsAt * 1000 - Date.now()) + 1000;
+        if (delay > this.interval) return;
+        this.resetTimers.set(token, setTimeout(() => {
+            this.resetTimers.delete(token);
+            this.refresh(token);
+        }, delay));
+    }
+
+    forget(token) {
+        clearTimeout(this.resetTimers.get(token));
+        this.resetTimers.delete(token);
+        this.statuses.delete(token);
+    }
+}
@@ -0,0 +1,387 @@
+/**
+ * Cross-chain reconciliation: does the EVM escrow back the Canton supply?
+ *
+ * For every token, run() adds up the bridge's DepositToCanton,
+ * WithdrawalFromCanton and EmergencyWithdrawal logs. It compares the net
+ * amount with `lockedBalances(token)` and with the bridge's actual
+ * `balanceOf`. It then asks the middleware for the Canton supply of the
+ * token's `cantonTokenId` (`bridge_tokenSupply`) and matches transfers one
+ * by one against the Canton TokenTransferEvent records:
+ *
+ *   deposit  <-> mint, by the mint's `bridge.externalTxId`
+ *   withdrawal <-> burn, by the burn's `bridge.externalTxId` (the EVM release
+ *                 transaction or the withdrawal ID)
+ *
+ * Deposits not minted yet and burns not released yet are in flight, so the
+ * Canton supply should equal the locked balance minus both. Everything that
+ * does not add up becomes a discrepancy in the report, which reportToJson()
+ * and reportToCsv() / summaryToCsv() turn into downloadable files.
+ *
+ * Events:
+ *   progress  { stage, message, scannedBlocks?, totalBlocks? }   stage: tokens | evm | balances | canton | matching
+ *   log       { level, message, details }
+ */
+
+import { Emitter } from './emitter.js';
+import { ethers } from './ethers.js';
+import { ERC20_ABI } from './abi.js';
+
+/** Bridge events that move the escrowed balance. */
+export const RECONCILIATION_EVENTS = ['DepositToCanton', 'WithdrawalFromCanton', 'EmergencyWithdrawal'];
+
+// Canton Decimal carries 10 fractional digits
+const CANTON_DECIMALS = 10;
+
+// Canton events fetched per explorer page while matching
+const CANTON_PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} Discrepancy
+ * @property {string} type           locked_mismatch | bridge_underfunded | supply_mismatch | supply_unavailable |
+ *                                   unmatched_deposit | mint_without_deposit | withdrawal_without_burn | burn_without_withdrawal
+ * @property {string} token          Token address
+ * @property {string} symbol
+ * @property {string|null} amount    Token units, as a decimal string
+ * @property {string|null} evmTx     EVM transaction hash
+ * @property {string|null} cantonEvent  TokenTransferEvent contract ID
+ * @property {string} detail
+ */
+
+/**
+ * @typedef {Object} TokenReconciliation
+ * @property {string} token
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {string} cantonTokenId
+ * @property {string|null} instrument      Canton instrument ID reported by the middleware
+ * @property {Object} evm                  deposited, withdrawn, emergency, expectedLocked, lockedBalance, bridgeBalance
+ * @property {Object|null} canton          supply, minted, burned; null when the middleware could not be asked
+ * @property {Object} inFlight             pendingDeposits, pendingReleases
+ * @property {boolean|null} backed         Canton supply <= locked balance; null without a supply
+ * @property {string} status               ok | discrepancy
+ */
+
+/**
+ * @typedef {Object} ReconciliationReport
+ * @property {string} generatedAt          ISO 8601
+ * @property {{ name: string, chainId: number, bridgeAddress: string }} network
+ * @property {{ fromBlock: number, toBlock: number }} range
+ * @property {TokenReconciliation[]} tokens
+ * @property {Discrepancy[]} discrepancies
+ */
+
+export class Reconciler extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {BridgeClient} options.client
+     * @param {string} [options.apiUrl]                  Middleware for the Canton supply
+     * @param {CantonEventExplorer} [options.explorer]   Source of Canton mints and burns
+     */
+    constructor({ client, apiUrl = null, explorer = null }) {
+        super();
+        this.client = client;
+        this.apiUrl = apiUrl;
+        this.explorer = explorer;
+    }
+
+    /**
+     * Build the report.
+     * @param {Object} [options]
+     * @param {string[]} [options.tokens]    Token addresses (default: every registry token, or every token in the logs)
+     * @param {number} [options.fromBlock]   Default: the profile's deployBlock. Totals are only meaningful from the deployment.
+     * @param {number} [options.toBlock]     Default: latest
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<ReconciliationReport>}
+     */
+    async run({ tokens = null, fromBlock = this.client.config.deployBlock ?? 0, toBlock = null, signal = null } = {}) {
+        const client = this.client;
+        if (toBlock === null) toBlock = await client.readProvider.getBlockNumber();
+
+        const events = await this.scanEvents({ fromBlock, toBlock, signal });
+        if (signal?.aborted) throw new Error('Reconciliation cancelled');
+
+        this.emit('progress', { stage: 'tokens', message: 'Reading tokens' });
+        const addresses = tokens || await this.defaultTokens(events);
+
+        const results = [];
+        const discrepancies = [];
+        for (const address of addresses) {
+            if (signal?.aborted) throw new Error('Reconciliation cancelled');
+            const { result, issues } = await this.reconcileToken(ethers.getAddress(address), events, signal);
+            results.push(result);
+            discrepancies.push(...issues);
+        }
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            network: {
+                name: client.config.name ?? null,
+                chainId: client.config.chainId,
+                bridgeAddress: client.config.bridgeAddress
+            },
+            range: { fromBlock, toBlock },
+            tokens: results,
+            discrepancies
+        };
+        this.emit('log', {
+            level: discrepancies.length ? 'warn' : 'success',
+            message: `Reconciled ${results.length} tokens: ${discrepancies.length} discrepancies`
+        });
+        return report;
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    async scanEvents({ fromBlock, toBlock, signal }) {
+        const events = [];
+        for await (const batch of this.client.scanEventHistory({ events: RECONCILIATION_EVENTS, fromBlock, toBlock, signal })) {
+            events.push(...batch.events);
+            this.emit('progress', {
+                stage: 'evm',
+                message: `Scanned ${batch.scannedBlocks} of ${batch.totalBlocks} blocks`,
+                scannedBlocks: batch.scannedBlocks,
+                totalBlocks: batch.totalBlocks
+            });
+        }
+        return events;
+    }
+
+    async defaultTokens(events) {
+        if (this.client.readRegistry) {
+            const registry = await this.client.getRegistryTokens({ includeInactive: true });
+            return registry.map(token => token.address);
+        }
+        return [...new Set(events.map(event => ethers.getAddress(event.args.token)))];
+    }
+
+    async reconcileToken(address, events, signal) {
+        const client = this.client;
+        const info = await client.getTokenInfo(address);
+        const symbol = info.symbol;
+        const issues = [];
+        const issue = (type, detail, { amount = null, evmTx = null, cantonEvent = null } = {}) =>
+            issues.push({ type, token: address, symbol, amount, evmTx, cantonEvent, detail });
+        const format = (raw) => ethers.formatUnits(raw, info.decimals);
+
+        // EVM side
+        const mine = events.filter(event => event.args.token.toLowerCase() === address.toLowerCase());
+        const sum = (name) => mine.filter(event => event.name === name).reduce((total, event) => total + event.args.amount, 0n);
+        const deposits = mine.filter(event => event.name === 'DepositToCanton');
+        const withdrawals = mine.filter(event => event.name === 'WithdrawalFromCanton');
+        const deposited = sum('DepositToCanton');
+        const withdrawn = sum('WithdrawalFromCanton');
+        const emergency = sum('EmergencyWithdrawal');
+        const expectedLocked = replayLocked(mine);
+
+        this.emit('progress', { stage: 'balances', message: `Reading ${symbol} balances` });
+        const token = new ethers.Contract(address, ERC20_ABI, client.readProvider);
+        const [lockedBalance, bridgeBalance, cantonTokenId] = await Promise.all([
+            client.readBridge.lockedBalances(address),
+            token.balanceOf(client.config.bridgeAddress),
+            client.readBridge.getCantonTokenId(address)
+        ]);
+
+        if (lockedBalance !== expectedLocked) {
+            issue('locked_mismatch',
+                `lockedBalances is ${format(lockedBalance)}, the logs add up to ${format(expectedLocked)}`,
+                { amount: format(lockedBalance - expectedLocked) });
+        }
+        if (bridgeBalance < lockedBalance) {
+            issue('bridge_underfunded',
+                `The bridge holds ${format(bridgeBalance)} but owes ${format(lockedBalance)}`,
+                { amount: format(lockedBalance - bridgeBalance) });
+        }
+
+        const result = {
+            token: address,
+            symbol,
+            decimals: info.decimals,
+            cantonTokenId,
+            instrument: null,
+            evm: {
+                deposited: format(deposited),
+                withdrawn: format(withdrawn),
+                emergency: format(emergency),
+                expectedLocked: format(expectedLocked),
+                lockedBalance: format(lockedBalance),
+                bridgeBalance: format(bridgeBalance)
+            },
+            canton: null,
+            inFlight: { pendingDeposits: null, pendingReleases: null },
+            backed: null,
+            status: 'ok'
+        };
+
+        // Canton side
+        this.emit('progress', { stage: 'canton', message: `Reading the ${symbol} supply on Canton` });
+        let supply = null;
+        if (!this.apiUrl) {
+            issue('supply_unavailable', 'No middleware API URL configured');
+        } else {
+            try {
+                supply = await this.client.callMiddleware(this.apiUrl, 'Canton supply query failed',
+                    (rpc, options) => rpc.tokenSupply(cantonTokenId, options));
+                result.instrument = supply?.instrumentId?.id ?? supply?.instrumentId ?? null;
+            } catch (e) {
+                issue('supply_unavailable', `Could not read the Canton supply: ${e.message}`);
+            }
+        }
+
+        let cantonEvents = null;
+        if (this.explorer && result.instrument) {
+            try {
+                cantonEvents = await this.fetchCantonEvents(result.instrument, signal);
+            } catch (e) {
+                issue('supply_unavailable', `Could not read Canton mints and burns: ${e.message}`);
+            }
+        }
+
+        // One-by-one matching
+        this.emit('progress', { stage: 'matching', message: `Matching ${symbol} transfers` });
+        const scale = Math.max(info.decimals, CANTON_DECIMALS);
+        const toScale = (raw) => raw * 10n ** BigInt(scale - info.decimals);
+        let pendingDeposits = 0n;
+        let pendingReleases = 0n;
+        let minted = 0n;
+        let burned = 0n;
+
+        if (cantonEvents) {
+            const mints = cantonEvents.filter(event => event.kind === 'mint');
+            const burns = cantonEvents.filter(event => event.kind === 'burn');
+            minted = mints.reduce((total, event) => total + ethers.parseUnits(event.amount, scale), 0n);
+            burned = burns.reduce((total, event) => total + ethers.parseUnits(event.amount, scale), 0n);
+
+            const mintsByTx = new Map(mints.filter(event => event.externalTxId).map(event => [event.externalTxId.toLowerCase(), event]));
+            const depositTxs = new Set(deposits.map(event => event.transactionHash.toLowerCase()));
+            for (const deposit of deposits) {
+                if (mintsByTx.has(deposit.transactionHash.toLowerCase())) continue;
+                pendingDeposits += toScale(deposit.args.amount);
+                issue('unmatched_deposit', 'Deposit with no mint on Canton (still being relayed, or lost)',
+                    { amount: format(deposit.args.amount), evmTx: deposit.transactionHash });
+            }
+            for (const mint of mints) {
+                if (mint.externalTxId && depositTxs.has(mint.externalTxId.toLowerCase())) continue;
+                issue('mint_without_deposit',
+                    mint.externalTxId ? `Mint names ${mint.externalTxId}, which has no ${symbol} deposit on this bridge` : 'Mint with no EVM transaction',
+                    { amount: mint.amount, evmTx: mint.externalTxId, cantonEvent: mint.id });
+            }
+
+            // A burn names the release transaction or the withdrawal ID
+            const releaseKeys = new Set(withdrawals.flatMap(event => [event.transactionHash.toLowerCase(), event.args.withdrawalId.toLowerCase()]));
+            const burnKeys = new Set(burns.filter(event => event.externalTxId).map(event => event.externalTxId.toLowerCase()));
+            for (const withdrawal of withdrawals) {
+                if (burnKeys.has(withdrawal.transactionHash.toLowerCase()) || burnKeys.has(withdrawal.args.withdrawalId.toLowerCase())) continue;
+                issue('withdrawal_without_burn', `Release of withdrawal ${withdrawal.args.withdrawalId} with no burn on Canton`,
+                    { amount: format(withdrawal.args.amount), evmTx: withdrawal.transactionHash });
+            }
+            for (const burn of burns) {
+                if (burn.externalTxId && releaseKeys.has(burn.externalTxId.toLowerCase())) continue;
+                pendingReleases += ethers.parseUnits(burn.amount, scale);
+                issue('burn_without_withdrawal', 'Burn not released on EVM yet (queued, pending or failed)',
+                    { amount: burn.amount, evmTx: burn.externalTxId, cantonEvent: burn.id });
+            }
+
+            result.inFlight = {
+                pendingDeposits: ethers.formatUnits(pendingDeposits, scale),
+                pendingReleases: ethers.formatUnits(pendingReleases, scale)
+            };
+        }
+
+        if (supply?.totalSupply !== undefined && supply?.totalSupply !== null) {
+            const cantonSupply = ethers.parseUnits(String(supply.totalSupply), scale);
+            const locked = toScale(lockedBalance);
+            result.canton = {
+                supply: ethers.formatUnits(cantonSupply, scale),
+                minted: cantonEvents ? ethers.formatUnits(minted, scale) : null,
+                burned: cantonEvents ? ethers.formatUnits(burned, scale) : null
+            };
+            result.backed = cantonSupply <= locked;
+            // Deposits waiting for their mint and burns waiting for their release are locked but not (or no longer) supply
+            const expectedSupply = locked - pendingDeposits - pendingReleases;
+            if (cantonSupply !== expectedSupply) {
+                issue('supply_mismatch',
+                    `Canton supply is ${result.canton.supply}, expected ${ethers.formatUnits(expectedSupply, scale)} ` +
+                    `(locked ${format(lockedBalance)} minus in-flight transfers)${result.backed ? '' : '; the supply is NOT fully backed'}`,
+                    { amount: ethers.formatUnits(cantonSupply - expectedSupply, scale) });
+            }
+        }
+
+        result.status = issues.length ? 'discrepancy' : 'ok';
+        return { result, issues };
+    }
+
+    /** Every mint and burn of an instrument. */
+    async fetchCantonEvents(instrument, signal) {
+        const events = [];
+        for (const kind of ['mint', 'burn']) {
+            let cursor = null;
+            do {
+                if (signal?.aborted) throw new Error('Reconciliation cancelled');
+                const page = await this.explorer.query({ instrument, kind }, { cursor, limit: CANTON_PAGE_SIZE });
+                events.push(...page.events);
+                cursor = page.nextCursor;
+            } while (cursor);
+        }
+        return events;
+    }
+}
+
+/**
+ * Locked balance a token's bridge events add up to, replayed in block order:
+ * emergencyWithdraw clamps the balance at zero instead of reverting.
+ * @param {BridgeEvent[]} events  DepositToCanton, WithdrawalFromCanton and EmergencyWithdrawal of one token
+ * @returns {bigint}
+ */
+export function replayLocked(events) {
+    const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    let locked = 0n;
+    for (const event of ordered) {
+        if (event.name === 'DepositToCanton') locked += event.args.amount;
+        else locked = locked > event.args.amount ? locked - event.args.amount : 0n;
+    }
+    return locked;
+}
+
+/**
+ * The report as pretty-printed JSON.
+ */
+export function reportToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * One row per discrepancy.
+ */
+export function reportToCsv(report) {
+    return toCsv(
+        ['type', 'token', 'symbol', 'amount', 'evm_tx', 'canton_event', 'detail'],
+        report.discrepancies.map(d => [d.type, d.token, d.symbol, d.amount, d.evmTx, d.cantonEvent, d.detail])
+    );
+}
+
+/**
+ * One row per token with the EVM and Canton totals.
+ */
+export function summaryToCsv(report) {
+    return toCsv(
+        ['token', 'symbol', 'canton_token_id', 'instrument', 'deposited', 'withdrawn', 'emergency', 'expected_locked',
+            'locked_balance', 'bridge_balance', 'canton_supply', 'pending_deposits', 'pending_releases', 'backed', 'status'],
+        report.tokens.map(t => [
+            t.token, t.symbol, t.cantonTokenId, t.instrument,
+            t.evm.deposited, t.evm.withdrawn, t.evm.emergency, t.evm.expectedLocked, t.evm.lockedBalance, t.evm.bridgeBalance,
+            t.canton?.supply, t.inFlight.pendingDeposits, t.inFlight.pendingReleases, t.backed, t.status
+        ])
+    );
+}
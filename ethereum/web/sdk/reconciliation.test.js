@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ethers } from './ethers.js';
+import { Reconciler, replayLocked, reportToCsv, summaryToCsv } from './reconciliation.js';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const BRIDGE = '0x2222222222222222222222222222222222222222';
+const hash = (n) => ethers.toBeHex(n, 32);
+const units = (value) => ethers.parseUnits(value, 18);
+
+const event = (name, amount, blockNumber, args = {}) => ({
+    name,
+    args: { token: TOKEN, amount, ...args },
+    blockNumber,
+    logIndex: 0,
+    transactionHash: hash(blockNumber),
+    timestamp: 0
+});
+
+// =============================================================================
+// replayLocked
+// =============================================================================
+
+test('replayLocked adds deposits and subtracts releases', () => {
+    assert.equal(replayLocked([
+        event('DepositToCanton', 5n, 1),
+        event('WithdrawalFromCanton', 2n, 2),
+        event('DepositToCanton', 3n, 3)
+    ]), 6n);
+});
+
+test('replayLocked clamps emergency withdrawals at zero, in block order', () => {
+    const events = [
+        event('DepositToCanton', 4n, 3),
+        event('EmergencyWithdrawal', 10n, 2),
+        event('DepositToCanton', 5n, 1)
+    ];
+    // 5, then max(5 - 10, 0) = 0, then 4
+    assert.equal(replayLocked(events), 4n);
+});
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+const report = {
+    tokens: [{
+        token: TOKEN, symbol: 'TKN', cantonTokenId: hash(7), instrument: 'TKN',
+        evm: { deposited: '8.0', withdrawn: '1.0', emergency: '0.0', expectedLocked: '7.0', lockedBalance: '7.0', bridgeBalance: '7.0' },
+        canton: null,
+        inFlight: { pendingDeposits: null, pendingReleases: null },
+        backed: null,
+        status: 'discrepancy'
+    }],
+    discrepancies: [{
+        type: 'supply_unavailable', token: TOKEN, symbol: 'TKN', amount: null, evmTx: null, cantonEvent: null,
+        detail: 'Could not read the Canton supply: "bad", gateway\r\ntimeout'
+    }]
+};
+
+test('reportToCsv quotes fields with commas, quotes and line breaks', () => {
+    assert.equal(reportToCsv(report),
+        'type,token,symbol,amount,evm_tx,canton_event,detail\r\n' +
+        `supply_unavailable,${TOKEN},TKN,,,,"Could not read the Canton supply: ""bad"", gateway\r\ntimeout"\r\n`);
+});
+
+test('summaryToCsv writes one row per token with empty cells for unknowns', () => {
+    const lines = summaryToCsv(report).trimEnd().split('\r\n');
+    assert.equal(lines.length, 2);
+    assert.equal(lines[1], `${TOKEN},TKN,${hash(7)},TKN,8.0,1.0,0.0,7.0,7.0,7.0,,,,,discrepancy`);
+});
+
+// =============================================================================
+// Reconciler
+// =============================================================================
+
+function fakeClient({ events, locked, balance, supply }) {
+    return {
+        config: { chainId: 1, bridgeAddress: BRIDGE, deployBlock: 0, name: 'test' },
+        readRegistry: null,
+        readProvider: {
+            getBlockNumber: async () => 10,
+            // balanceOf(bridge)
+            call: async () => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [balance])
+        },
+        readBridge: { lockedBalances: async () => locked, getCantonTokenId: async () => hash(7) },
+        async *scanEventHistory() {
+            yield { fromBlock: 0, toBlock: 10, events, scannedBlocks: 11, totalBlocks: 11 };
+        },
+        getTokenInfo: async () => ({ symbol: 'TKN', decimals: 18 }),
+        callMiddleware: async (apiUrl, message, request) =>
+            request({ tokenSupply: async () => ({ totalSupply: supply, instrumentId: { admin: 'issuer', id: 'TKN' } }) }, {})
+    };
+}
+
+function fakeExplorer({ mints = [], burns = [] }) {
+    return {
+        query: async ({ kind }) => ({ events: kind === 'mint' ? mints : burns, nextCursor: null })
+    };
+}
+
+test('a deposit awaiting its mint is in flight, not a supply mismatch', async () => {
+    const client = fakeClient({
+        events: [
+            event('DepositToCanton', units('5'), 1),
+            event('DepositToCanton', units('3'), 2),
+            event('WithdrawalFromCanton', units('1'), 3, { withdrawalId: hash(99) })
+        ],
+        locked: units('7'),
+        balance: units('7'),
+        supply: '4.0'
+    });
+    const explorer = fakeExplorer({
+        mints: [{ id: 'm1', kind: 'mint', amount: '5.0', externalTxId: hash(1) }],
+        burns: [{ id: 'b1', kind: 'burn', amount: '1.0', externalTxId: hash(99) }]
+    });
+
+    const result = await new Reconciler({ client, apiUrl: 'http://middleware', explorer }).run();
+    const [token] = result.tokens;
+
+    assert.equal(token.inFlight.pendingDeposits, '3.0');
+    assert.equal(token.canton.supply, '4.0');
+    assert.equal(token.backed, true);
+    assert.deepEqual(result.discrepancies.map(d => d.type), ['unmatched_deposit']);
+    assert.equal(result.discrepancies[0].evmTx, hash(2));
+});
+
+test('mints without deposits, underfunding and an unbacked supply are reported', async () => {
+    const client = fakeClient({
+        events: [event('DepositToCanton', units('5'), 1)],
+        locked: units('5'),
+        balance: units('4'),
+        supply: '7.0'
+    });
+    const explorer = fakeExplorer({
+        mints: [
+            { id: 'm1', kind: 'mint', amount: '5.0', externalTxId: hash(1) },
+            { id: 'm2', kind: 'mint', amount: '2.0', externalTxId: hash(50) }
+        ]
+    });
+
+    const result = await new Reconciler({ client, apiUrl: 'http://middleware', explorer }).run();
+
+    assert.deepEqual(result.discrepancies.map(d => d.type).sort(), ['bridge_underfunded', 'mint_without_deposit', 'supply_mismatch']);
+    assert.equal(result.tokens[0].backed, false);
+    assert.equal(result.tokens[0].status, 'discrepancy');
+});
+
+test('without a middleware the EVM checks still run', async () => {
+    const client = fakeClient({ events: [event('DepositToCanton', units('5'), 1)], locked: units('5'), balance: units('5') });
+
+    const result = await new Reconciler({ client }).run();
+
+    assert.deepEqual(result.discrepancies.map(d => d.type), ['supply_unavailable']);
+    assert.equal(result.tokens[0].evm.expectedLocked, '5.0');
+    assert.equal(result.tokens[0].canton, null);
+});
@@ -0,0 +1,161 @@
+/**
+ * Key-value record stores for state that must survive a page reload.
+ *
+ * In the browser everything lives in one IndexedDB database; each feature
+ * owns an object store created in upgrade(). Node has no IndexedDB, so
+ * openStore() falls back to an in-memory store with the same interface.
+ */
+
+export const DB_NAME = 'canton-bridge';
+export const DB_VERSION = 2;
+
+/** Object stores, by name, with their key path. */
+export const STORES = {
+    transfers: 'id',
+    events: 'id',
+    syncState: 'network'
+};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise.
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+        db.createObjectStore('transfers', { keyPath: STORES.transfers });
+    }
+    if (oldVersion < 2) {
+        db.createObjectStore('events', { keyPath: STORES.events });
+        db.createObjectStore('syncState', { keyPath: STORES.syncState });
+    }
+}
+
+/**
+ * Open (and create or upgrade) the bridge database. Shared by all stores.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Bridge database upgrade blocked by another open tab'));
+        });
+        // Let a later call retry after a failed open
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+export class IndexedDbStore {
+    constructor(storeName) {
+        if (!STORES[storeName]) throw new Error(`Unknown object store "${storeName}"`);
+        this.storeName = storeName;
+    }
+
+    async request(mode, operation) {
+        const db = await openDatabase();
+        const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+        return promisifyRequest(operation(store));
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    put(record) {
+        return this.request('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Write several records in one transaction.
+     */
+    async putAll(records) {
+        const db = await openDatabase();
+        const tx = db.transaction(this.storeName, 'readwrite');
+        const store = tx.objectStore(this.storeName);
+        for (const record of records) store.put(record);
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    /** Records with keys in [lower, upper], in key order. */
+    getRange(lower, upper) {
+        return this.request('readonly', store => store.getAll(IDBKeyRange.bound(lower, upper)));
+    }
+
+    deleteRange(lower, upper) {
+        return this.request('readwrite', store => store.delete(IDBKeyRange.bound(lower, upper)));
+    }
+}
+
+export class MemoryStore {
+    constructor(storeName) {
+        this.keyPath = STORES[storeName] || 'id';
+        this.records = new Map();
+    }
+
+    async get(key) {
+        return this.records.get(key);
+    }
+
+    async getAll() {
+        return [...this.records.values()];
+    }
+
+    async put(record) {
+        this.records.set(record[this.keyPath], record);
+        return record[this.keyPath];
+    }
+
+    async putAll(records) {
+        for (const record of records) this.records.set(record[this.keyPath], record);
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+
+    async getRange(lower, upper) {
+        return [...this.records.keys()]
+            .filter(key => key >= lower && key <= upper)
+            .sort()
+            .map(key => this.records.get(key));
+    }
+
+    async deleteRange(lower, upper) {
+        for (const key of [...this.records.keys()]) {
+            if (key >= lower && key <= upper) this.records.delete(key);
+        }
+    }
+}
+
+/**
+ * IndexedDB store when available, in-memory otherwise.
+ */
+export function openStore(storeName) {
+    return typeof indexedDB !== 'undefined'
+        ? new IndexedDbStore(storeName)
+        : new MemoryStore(storeName);
+}
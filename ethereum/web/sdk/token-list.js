@@ -0,0 +1,59 @@
+/**
+ * Uniswap-style token lists (https://tokenlists.org) as a source of display
+ * metadata. The TokenRegistry stays authoritative for what can be bridged;
+ * a list only contributes names, symbols and logos.
+ */
+
+import { ethers } from './ethers.js';
+
+/**
+ * @typedef {Object} TokenListEntry
+ * @property {string} address   Checksummed address
+ * @property {string} symbol
+ * @property {string} name
+ * @property {number} decimals
+ * @property {string} [logoURI]
+ */
+
+/**
+ * Parse a token list, keeping entries for `chainId`.
+ * @returns {Map<string, TokenListEntry>} Keyed by lowercase address
+ */
+export function parseTokenList(json, chainId) {
+    const list = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!list || !Array.isArray(list.tokens)) {
+        throw new Error('Invalid token list: missing "tokens" array');
+    }
+
+    const entries = new Map();
+    for (const token of list.tokens) {
+        if (Number(token.chainId) !== Number(chainId)) continue;
+        if (!ethers.isAddress(token.address)) continue;
+        entries.set(token.address.toLowerCase(), {
+            address: ethers.getAddress(token.address),
+            symbol: token.symbol,
+            name: token.name,
+            decimals: Number(token.decimals),
+            logoURI: token.logoURI
+        });
+    }
+    return entries;
+}
+
+/**
+ * Overlay token list display metadata on registry tokens. Registry values
+ * win where set; the list fills empty symbols/names and adds logos.
+ */
+export function applyTokenList(registryTokens, listEntries) {
+    if (!listEntries) return registryTokens;
+    return registryTokens.map(token => {
+        const entry = listEntries.get(token.address.toLowerCase());
+        if (!entry) return token;
+        return {
+            ...token,
+            symbol: token.symbol || entry.symbol,
+            name: token.name || entry.name,
+            logoURI: entry.logoURI
+        };
+    });
+}
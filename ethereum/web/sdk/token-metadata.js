@@ -0,0 +1,59 @@
+/**
+ * Token metadata cache keyed by (lowercase) token address.
+ *
+ * Entries come from the TokenRegistry when a registry token is read, and from
+ * the ERC-20 contract otherwise. Concurrent lookups of the same token share a
+ * single request.
+ */
+
+import { ethers } from './ethers.js';
+
+export class TokenMetadataCache {
+    /**
+     * @param {(address: string) => Promise<import('./bridge-client.js').TokenInfo>} loader
+     *        Fetches metadata for a token not yet in the cache
+     */
+    constructor(loader) {
+        this.loader = loader;
+        this.values = new Map();
+        this.pending = new Map();
+    }
+
+    /**
+     * Cached metadata, or undefined if the token has not been loaded yet.
+     */
+    peek(address) {
+        return this.values.get(address.toLowerCase());
+    }
+
+    set(address, metadata) {
+        this.values.set(address.toLowerCase(), metadata);
+    }
+
+    async get(address) {
+        const key = address.toLowerCase();
+        if (this.values.has(key)) return this.values.get(key);
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const request = this.loader(address)
+            .then(metadata => {
+                this.values.set(key, metadata);
+                return metadata;
+            })
+            .finally(() => this.pending.delete(key));
+        this.pending.set(key, request);
+        return request;
+    }
+
+    clear() {
+        this.values.clear();
+        this.pending.clear();
+    }
+}
+
+/**
+ * Format a raw token amount with the token's decimals and symbol.
+ */
+export function formatTokenAmount(raw, metadata) {
+    return `${ethers.formatUnits(raw, metadata.decimals)} ${metadata.symbol}`;
+}
@@ -0,0 +1,610 @@
+/**
+ * Transfer tracker: follows deposits from the EVM transaction to the mint on
+ * Canton, and withdrawals from erc20_withdraw to the release on EVM, keeping
+ * each timeline in a persistent store.
+ *
+ * Deposit stages are advanced from:
+ *   - the EVM receipt (submitted -> confirmed, or failed on revert)
+ *   - the relayer API, polled every `interval` ms (relayed, pending_canton, minted, failed)
+ *
+ * Withdrawal stages are advanced from the bridge contract: the
+ * queuedWithdrawals / processedWithdrawals state plus the matching
+ * LargeWithdrawalQueued, WithdrawalProcessed and LargeWithdrawalCancelled logs.
+ *
+ * With `pollMiddleware` on, both kinds are also checked against the
+ * middleware RPC on every poll (the Canton side: PendingDeposit / mint,
+ * WithdrawalEvent status). The poll only uses a session the account already
+ * has and never signs in itself, so it never opens a wallet prompt. After a
+ * failed check the poll stops asking the middleware, for any transfer, with
+ * exponential backoff; signing in again starts afresh.
+ *
+ * Events:
+ *   update    TrackedTransfer                               record added or changed
+ *   removed   { id }
+ *   log       { level, message, details }
+ */
+
+import { Emitter } from './emitter.js';
+import { isBytes32 } from './bridge-client.js';
+import { openStore } from './store.js';
+
+/** Deposit stages in timeline order. `failed` can follow any of them. */
+export const DEPOSIT_STAGES = ['submitted', 'confirmed', 'relayed', 'pending_canton', 'minted'];
+
+/**
+ * Withdrawal stages in timeline order. `queued` only applies to withdrawals
+ * over the large-withdrawal threshold; `failed` and `cancelled` end the
+ * timeline early.
+ */
+export const WITHDRAWAL_STAGES = ['initiated', 'queued', 'released'];
+
+export const STAGE_LABELS = {
+    submitted: 'Submitted',
+    confirmed: 'Confirmed on EVM',
+    relayed: 'Seen by relayer',
+    pending_canton: 'Pending on Canton',
+    minted: 'Minted',
+    initiated: 'Burned on Canton',
+    queued: 'Time-locked on EVM',
+    released: 'Released on EVM',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+const STAGES = {
+    deposit: DEPOSIT_STAGES,
+    withdrawal: WITHDRAWAL_STAGES
+};
+
+// Stages that can end a timeline early
+const TERMINAL_STAGES = ['failed', 'cancelled'];
+
+// Sources whose word is enough to take a transfer out of `failed`
+const EVIDENCE_SOURCES = ['chain', 'middleware'];
+
+// Longest pause of middleware polling after failures
+const MIDDLEWARE_BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+// Relayer transfer Status -> deposit stage
+const RELAYER_STAGES = {
+    pending: 'relayed',
+    processing: 'pending_canton',
+    completed: 'minted',
+    failed: 'failed'
+};
+
+// Middleware deposit status -> deposit stage
+const MIDDLEWARE_STAGES = {
+    pending: 'pending_canton',
+    minted: 'minted',
+    failed: 'failed'
+};
+
+/**
+ * Whether a transfer may move to `stage` on the word of `source` (chain,
+ * relayer or middleware). Stages only move forward, and:
+ *   - the last stage of a timeline (minted, released) is never left;
+ *   - `failed` and `cancelled` can follow any other stage, but not each other;
+ *   - a failed or cancelled transfer only moves again on evidence of progress
+ *     from the chain or the middleware: a stage past the one it failed at.
+ *     The relayer alone cannot revive it.
+ */
+export function canAdvance(record, stage, source = 'chain') {
+    const stages = STAGES[record.kind];
+    if (stage === record.stage || record.stage === stages[stages.length - 1]) return false;
+
+    if (TERMINAL_STAGES.includes(record.stage)) {
+        if (TERMINAL_STAGES.includes(stage) || !EVIDENCE_SOURCES.includes(source)) return false;
+        const reached = [...record.history].reverse().find(entry => !TERMINAL_STAGES.includes(entry.stage));
+        return stages.indexOf(stage) > stages.indexOf(reached?.stage);
+    }
+    return TERMINAL_STAGES.includes(stage) || stages.indexOf(stage) > stages.indexOf(record.stage);
+}
+
+/**
+ * @typedef {Object} TrackedTransfer
+ * @property {string} id              Deposit: EVM transaction hash. Withdrawal: withdrawal ID
+ * @property {string} kind            "deposit" | "withdrawal"
+ * @property {number} chainId
+ * @property {string} bridgeAddress
+ * @property {string|null} hash       Deposit transaction / withdrawal release transaction
+ * @property {string|null} token
+ * @property {string|null} amount     Raw amount in base units (decimal string), once known
+ * @property {string} stage
+ * @property {{ stage: string, at: number, detail?: string }[]} history
+ * @property {string|null} error
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {string} [fingerprint]   Deposit: Canton recipient (bytes32)
+ * @property {string} [sender]
+ * @property {string|null} [nonce]   DepositToCanton nonce once confirmed
+ * @property {number|null} [blockNumber]
+ * @property {boolean} [reverted]     Deposit transaction reverted
+ * @property {string|null} [replacedBy]  Transaction that cancelled or replaced the deposit
+ * @property {string} [withdrawalId]
+ * @property {string} [requestedAmount]  Amount passed to erc20_withdraw, in token units
+ * @property {string} [destination]      EVM recipient
+ * @property {number} [fromBlock]        Block at initiation; log searches start here
+ * @property {number|null} [executeAfter]  Time-lock expiry (unix seconds) while queued
+ * @property {string|null} [queueHash]   LargeWithdrawalQueued transaction
+ * @property {string|null} [cantonStatus]  WithdrawalEvent status: Pending | Completed | Failed
+ */
+
+export class TransferTracker extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client            BridgeClient
+     * @param {Object} [options.store]           Record store; defaults to the `transfers` IndexedDB store
+     * @param {string} [options.relayerUrl]      Defaults to client.config.relayerUrl
+     * @param {string} [options.apiUrl]          Defaults to client.config.apiUrl
+     * @param {number} [options.interval]        Poll interval in ms
+     * @param {boolean} [options.pollMiddleware] Also query the middleware on every poll, in an existing session
+     */
+    constructor({ client, store = null, relayerUrl, apiUrl, interval = 15000, pollMiddleware = false }) {
+        super();
+        this.client = client;
+        this.store = store || openStore('transfers');
+        this.relayerUrl = relayerUrl ?? client.config.relayerUrl;
+        this.apiUrl = apiUrl ?? client.config.apiUrl;
+        this.interval = interval;
+        this.pollMiddleware = pollMiddleware;
+        this.transfers = new Map();
+        this.middlewareBackoff = null;  // { token, failures, retryAt } after a failed middleware check in session `token`
+        this.timer = null;
+        this.polling = false;
+
+        this._onTx = ({ action, stage, hash, details, replaced, reason }) => {
+            if (action === 'deposit' && stage === 'submitted') {
+                this.trackDeposit({ hash, ...details }).catch(e => this.logError('Failed to record deposit', e));
+            } else if (action === 'deposit' && stage === 'replaced') {
+                this.replaceDeposit(replaced, hash, reason).catch(e => this.logError('Failed to follow replaced deposit', e));
+            } else if (action === 'deposit' && stage === 'confirmed') {
+                this.refresh(hash).catch(e => this.logError('Failed to refresh deposit', e));
+            }
+        };
+        this._onWithdrawal = (withdrawal) => {
+            this.trackWithdrawal(withdrawal).catch(e => this.logError('Failed to record withdrawal', e));
+        };
+    }
+
+    /**
+     * Load stored transfers for this client's network.
+     */
+    async load() {
+        const records = await this.store.getAll();
+        this.transfers.clear();
+        for (const record of records) {
+            if (this.isOwnNetwork(record)) this.transfers.set(record.id, record);
+        }
+        return this.list();
+    }
+
+    /**
+     * Start recording deposits and withdrawals made through the client.
+     */
+    attach() {
+        this.client.on('tx', this._onTx);
+        this.client.on('withdrawalInitiated', this._onWithdrawal);
+    }
+
+    detach() {
+        this.client.off('tx', this._onTx);
+        this.client.off('withdrawalInitiated', this._onWithdrawal);
+    }
+
+    /**
+     * Tracked transfers, newest first.
+     * @returns {TrackedTransfer[]}
+     */
+    list() {
+        return [...this.transfers.values()].sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Stages of a transfer's timeline, in order.
+     */
+    stagesOf(record) {
+        return STAGES[record.kind];
+    }
+
+    /**
+     * Record a submitted deposit.
+     * @param {{ hash: string, token: string, amount: bigint|string, recipient: string, sender?: string }} deposit
+     * @returns {Promise<TrackedTransfer>}
+     */
+    async trackDeposit({ hash, token, amount, recipient, sender = null }) {
+        if (this.transfers.has(hash)) return this.transfers.get(hash);
+
+        const record = this.newRecord('deposit', hash, 'submitted', {
+            hash,
+            token,
+            amount: amount.toString(),
+            fingerprint: recipient,
+            sender,
+            nonce: null,
+            blockNumber: null,
+            reverted: false
+        });
+        await this.save(record);
+        return record;
+    }
+
+    /**
+     * Record a withdrawal returned by erc20_withdraw. The tokens are already
+     * burned on Canton at this point.
+     * @param {{ withdrawalId: string, amount: string, evmDestination: string }} withdrawal
+     * @returns {Promise<TrackedTransfer>}
+     */
+    async trackWithdrawal({ withdrawalId, amount, evmDestination }) {
+        if (!withdrawalId) throw new Error('Withdrawal has no withdrawalId');
+        if (this.transfers.has(withdrawalId)) return this.transfers.get(withdrawalId);
+
+        const record = this.newRecord('withdrawal', withdrawalId, 'initiated', {
+            withdrawalId,
+            hash: null,
+            token: null,
+            amount: null,
+            requestedAmount: String(amount),
+            destination: evmDestination || null,
+            fromBlock: await this.client.readProvider.getBlockNumber(),
+            executeAfter: null,
+            queueHash: null,
+            cantonStatus: 'Pending'
+        });
+        await this.save(record);
+        return record;
+    }
+
+    /**
+     * Follow a deposit whose transaction was replaced. A sped-up deposit
+     * carries on under the replacement's hash; a cancelled or otherwise
+     * replaced one will never deposit and fails.
+     */
+    async replaceDeposit(hash, replacementHash, reason) {
+        const record = this.transfers.get(hash);
+        if (!record) return;
+
+        if (reason !== 'repriced') {
+            await this.advance(record, 'failed', {
+                replacedBy: replacementHash,
+                error: reason === 'cancelled' ? 'Deposit transaction cancelled' : 'Deposit transaction replaced by another transaction'
+            });
+            return;
+        }
+
+        const history = [...record.history, { stage: record.stage, at: Date.now(), detail: `Sped up, replacing ${hash}` }];
+        await this.save({ ...record, id: replacementHash, hash: replacementHash, history });
+        this.transfers.delete(hash);
+        await this.store.delete(hash);
+        this.emit('removed', { id: hash });
+    }
+
+    async remove(id) {
+        this.transfers.delete(id);
+        await this.store.delete(id);
+        this.emit('removed', { id });
+    }
+
+    // =========================================================================
+    // Polling
+    // =========================================================================
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.interval);
+        this.poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Refresh every transfer that has not reached a final stage.
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            let session = await this.middlewareSession();
+            for (const record of this.list()) {
+                if (this.isFinal(record)) continue;
+                try {
+                    await this.refresh(record.id);
+                } catch (e) {
+                    this.logError(`Failed to refresh ${record.kind} ${record.id.slice(0, 10)}...`, e);
+                }
+                if (session && this.middlewareDue(record) && !(await this.pollMiddlewareStatus(record, session))) {
+                    session = null;
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Middleware session a poll may use: polling is on, the connected
+     * account is already signed in, and no failure in that session is still
+     * backing off.
+     * @returns {Promise<MiddlewareSession|null>}
+     */
+    async middlewareSession() {
+        if (!this.pollMiddleware || !this.apiUrl || !this.client.signer) return null;
+        const session = await this.client.getSession(this.apiUrl).catch(() => null);
+        if (!session) return null;
+        const backoff = this.middlewareBackoff;
+        return backoff?.token === session.token && backoff.retryAt > Date.now() ? null : session;
+    }
+
+    /** Whether a poll should ask the middleware about a transfer: still tracked, unfinished and mined. */
+    middlewareDue(record) {
+        return this.transfers.has(record.id) && !this.isFinal(record) && record.stage !== 'submitted';
+    }
+
+    /**
+     * Check one transfer in `session` without signing in. A failure backs
+     * off middleware polling as a whole.
+     * @returns {Promise<boolean>}  false if the check failed
+     */
+    async pollMiddlewareStatus(record, session) {
+        try {
+            await this.checkMiddleware(record.id, { signIn: false });
+            this.middlewareBackoff = null;
+            return true;
+        } catch (e) {
+            const backoff = this.middlewareBackoff;
+            const failures = backoff?.token === session.token ? backoff.failures + 1 : 1;
+            const delay = Math.min(this.interval * 2 ** (failures - 1), MIDDLEWARE_BACKOFF_MAX_MS);
+            this.middlewareBackoff = { token: session.token, failures, retryAt: Date.now() + delay };
+            this.logError(`Middleware check of ${record.kind} ${record.id.slice(0, 10)}... failed; pausing middleware checks for ${Math.round(delay / 1000)}s`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Advance one transfer from on-chain state, the relayer and (optionally)
+     * the middleware.
+     * @returns {Promise<TrackedTransfer>}
+     */
+    async refresh(id, { middleware = false } = {}) {
+        const record = this.getRecord(id);
+
+        if (record.kind === 'withdrawal') {
+            await this.checkWithdrawalOnChain(record);
+        } else {
+            if (record.stage === 'submitted') {
+                await this.checkReceipt(record);
+            }
+            if (record.stage !== 'submitted' && !this.isFinal(record)) {
+                await this.checkRelayer(record);
+            }
+        }
+        if (middleware && !this.isFinal(record)) await this.checkMiddleware(id);
+        return record;
+    }
+
+    async checkReceipt(record) {
+        const receipt = await this.client.readProvider.getTransactionReceipt(record.hash);
+        if (!receipt) return;
+
+        if (receipt.status === 0) {
+            await this.advance(record, 'failed', {
+                error: 'Transaction reverted',
+                blockNumber: receipt.blockNumber,
+                reverted: true
+            });
+            return;
+        }
+        const depositLog = this.client.findBridgeEvent(receipt, 'DepositToCanton');
+        await this.advance(record, 'confirmed', {
+            blockNumber: receipt.blockNumber,
+            nonce: depositLog ? depositLog.args.nonce.toString() : null
+        }, depositLog ? `Nonce ${depositLog.args.nonce}` : undefined);
+    }
+
+    async checkRelayer(record) {
+        if (!this.relayerUrl) return;
+        const transfer = await this.client.getRelayerTransfer(this.relayerUrl, record.hash);
+        if (!transfer) return;
+
+        const status = String(transfer.Status || '').toLowerCase();
+        const stage = RELAYER_STAGES[status] || 'relayed';
+        const error = stage === 'failed' ? transfer.ErrorMessage || 'Relayer reported failure' : null;
+        await this.advance(record, stage, { error, relayerId: transfer.ID ?? null }, error || `Relayer status: ${status || 'unknown'}`, 'relayer');
+    }
+
+    /**
+     * Match a withdrawal against the bridge: released once processed, queued
+     * while time-locked, cancelled when it leaves the queue unprocessed.
+     */
+    async checkWithdrawalOnChain(record) {
+        // Withdrawal IDs that are not bytes32 cannot appear on the bridge
+        if (!isBytes32(record.withdrawalId)) return;
+        const bridge = this.client.readBridge;
+
+        if (await bridge.processedWithdrawals(record.withdrawalId)) {
+            const processed = await this.findWithdrawalEvent(record, 'WithdrawalProcessed');
+            const fields = { executeAfter: null };
+            if (processed) {
+                const receipt = await this.client.readProvider.getTransactionReceipt(processed.transactionHash);
+                const released = this.client.findBridgeEvent(receipt, 'WithdrawalFromCanton');
+                fields.hash = processed.transactionHash;
+                if (released) {
+                    fields.token = released.args.token;
+                    fields.amount = released.args.amount.toString();
+                    fields.destination = released.args.recipient;
+                }
+            }
+            await this.advance(record, 'released', fields);
+            return;
+        }
+
+        const queued = await bridge.queuedWithdrawals(record.withdrawalId);
+        if (queued.executeAfter > 0n) {
+            const fields = {
+                token: queued.token,
+                amount: queued.amount.toString(),
+                destination: queued.recipient,
+                executeAfter: Number(queued.executeAfter)
+            };
+            if (!record.queueHash) {
+                const log = await this.findWithdrawalEvent(record, 'LargeWithdrawalQueued');
+                fields.queueHash = log?.transactionHash ?? null;
+            }
+            await this.advance(record, 'queued', fields,
+                `Executable after ${new Date(fields.executeAfter * 1000).toISOString()}`);
+            return;
+        }
+
+        // Left the queue without being processed: only cancelLargeWithdrawal does that
+        if (record.stage === 'queued') {
+            const cancelled = await this.findWithdrawalEvent(record, 'LargeWithdrawalCancelled');
+            await this.advance(record, 'cancelled', {
+                hash: cancelled?.transactionHash ?? null,
+                executeAfter: null,
+                error: 'Cancelled by bridge admin'
+            });
+        }
+    }
+
+    /**
+     * Newest bridge event `name` of a withdrawal since the record's
+     * `fromBlock`, scanned in chunks so that providers capping the
+     * eth_getLogs block range still answer.
+     * @returns {Promise<BridgeEvent|null>}
+     */
+    async findWithdrawalEvent(record, name) {
+        const id = record.withdrawalId.toLowerCase();
+        const scan = this.client.scanEventHistory({ events: [name], fromBlock: record.fromBlock ?? undefined });
+        for await (const batch of scan) {
+            const event = batch.events.find(e => e.args.withdrawalId.toLowerCase() === id);
+            if (event) return event;
+        }
+        return null;
+    }
+
+    /**
+     * Ask the middleware about a transfer's Canton side. Needs a middleware
+     * session, which prompts the wallet when there is none yet, unless
+     * `signIn` is false.
+     * @returns {Promise<TrackedTransfer>}
+     */
+    async checkMiddleware(id, { signIn = true } = {}) {
+        const record = this.getRecord(id);
+        if (!this.apiUrl) throw new Error('No middleware API URL configured');
+
+        if (record.kind === 'withdrawal') {
+            await this.checkWithdrawalOnCanton(record, { signIn });
+            return record;
+        }
+
+        const result = await this.client.getDepositStatus(this.apiUrl, record.hash, { signIn });
+        const stage = MIDDLEWARE_STAGES[result?.status];
+        if (stage) {
+            const error = stage === 'failed' ? result.message || 'Middleware reported failure' : null;
+            await this.advance(record, stage, { error }, result.message, 'middleware');
+        }
+        return record;
+    }
+
+    /**
+     * Apply the WithdrawalEvent status. Failed carries the FailWithdrawal
+     * reason; Completed carries the EVM release transaction.
+     */
+    async checkWithdrawalOnCanton(record, { signIn = true } = {}) {
+        const result = await this.client.getWithdrawalStatus(this.apiUrl, record.withdrawalId, { signIn });
+        if (!result?.status) return;
+
+        if (result.status === 'Failed') {
+            const reason = result.reason || 'Withdrawal failed on Canton';
+            await this.advance(record, 'failed', { cantonStatus: 'Failed', error: reason }, reason, 'middleware');
+        } else if (result.status === 'Completed') {
+            await this.advance(record, 'released', {
+                cantonStatus: 'Completed',
+                hash: record.hash || result.evmTxHash || null
+            }, undefined, 'middleware');
+        } else {
+            await this.advance(record, record.stage, { cantonStatus: result.status }, undefined, 'middleware');
+        }
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    /**
+     * Final records are no longer polled: minted deposits, reverted or
+     * cancelled deposit transactions and released or cancelled withdrawals.
+     * Failures stay open because they can still be retried: the relayer
+     * retries deposits and the middleware reports the mint, and a failed
+     * withdrawal can still be released on the bridge.
+     */
+    isFinal(record) {
+        if (record.kind === 'withdrawal') {
+            return record.stage === 'released' || record.stage === 'cancelled';
+        }
+        return record.stage === 'minted' || record.reverted || Boolean(record.replacedBy);
+    }
+
+    isOwnNetwork(record) {
+        return record.chainId === Number(this.client.config.chainId)
+            && record.bridgeAddress?.toLowerCase() === this.client.config.bridgeAddress.toLowerCase();
+    }
+
+    getRecord(id) {
+        const record = this.transfers.get(id);
+        if (!record) throw new Error(`Unknown transfer ${id}`);
+        return record;
+    }
+
+    newRecord(kind, id, stage, fields) {
+        const now = Date.now();
+        return {
+            id,
+            kind,
+            chainId: Number(this.client.config.chainId),
+            bridgeAddress: this.client.config.bridgeAddress,
+            stage,
+            history: [{ stage, at: now }],
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            ...fields
+        };
+    }
+
+    /**
+     * Move a transfer to `stage`, merging `fields` into the record, when
+     * canAdvance() allows it. A refused move to another stage is dropped
+     * with its fields, so a late failure report cannot overwrite a finished
+     * transfer.
+     */
+    async advance(record, stage, fields = {}, detail, source = 'chain') {
+        const moves = canAdvance(record, stage, source);
+        if (!moves && stage !== record.stage) return;
+
+        const changed = Object.entries(fields).some(([key, value]) => record[key] !== value);
+        if (!moves && !changed) return;
+
+        Object.assign(record, fields);
+        if (moves) {
+            record.stage = stage;
+            record.history.push(detail ? { stage, at: Date.now(), detail } : { stage, at: Date.now() });
+            if (!TERMINAL_STAGES.includes(stage)) record.error = null;
+        }
+        await this.save(record);
+    }
+
+    async save(record) {
+        record.updatedAt = Date.now();
+        this.transfers.set(record.id, record);
+        await this.store.put(record);
+        this.emit('update', record);
+    }
+
+    logError(message, error) {
+        this.emit('log', { level: 'error', message, details: error?.message || error });
+    }
+}
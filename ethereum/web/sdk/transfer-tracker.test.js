@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TransferTracker, canAdvance } from './transfer-tracker.js';
+import { MemoryStore } from './store.js';
+
+const BRIDGE = '0x2222222222222222222222222222222222222222';
+const HASH = '0x' + '01'.repeat(32);
+const OTHER_HASH = '0x' + '02'.repeat(32);
+
+const record = (kind, stage, stages = [stage]) => ({ kind, stage, history: stages.map(s => ({ stage: s, at: 0 })) });
+
+function fakeClient(overrides = {}) {
+    return {
+        config: { chainId: 1, bridgeAddress: BRIDGE, relayerUrl: null, apiUrl: 'http://middleware' },
+        signer: {},
+        on() {},
+        off() {},
+        ...overrides
+    };
+}
+
+// =============================================================================
+// Stage machine
+// =============================================================================
+
+test('canAdvance only moves forward', () => {
+    assert.equal(canAdvance(record('deposit', 'confirmed'), 'relayed'), true);
+    assert.equal(canAdvance(record('deposit', 'relayed'), 'confirmed'), false);
+    assert.equal(canAdvance(record('deposit', 'relayed'), 'relayed'), false);
+    assert.equal(canAdvance(record('withdrawal', 'initiated'), 'released'), true);
+});
+
+test('canAdvance never leaves minted or released', () => {
+    for (const source of ['chain', 'relayer', 'middleware']) {
+        assert.equal(canAdvance(record('deposit', 'minted'), 'failed', source), false);
+        assert.equal(canAdvance(record('withdrawal', 'released'), 'failed', source), false);
+        assert.equal(canAdvance(record('withdrawal', 'released'), 'cancelled', source), false);
+    }
+});
+
+test('canAdvance lets failed and cancelled follow unfinished stages', () => {
+    assert.equal(canAdvance(record('deposit', 'pending_canton'), 'failed', 'relayer'), true);
+    assert.equal(canAdvance(record('withdrawal', 'queued'), 'cancelled'), true);
+    assert.equal(canAdvance(record('withdrawal', 'failed'), 'cancelled'), false);
+});
+
+test('canAdvance leaves failed only on later progress from the chain or the middleware', () => {
+    const failed = record('deposit', 'failed', ['submitted', 'confirmed', 'relayed', 'failed']);
+    assert.equal(canAdvance(failed, 'submitted'), false);
+    assert.equal(canAdvance(failed, 'relayed', 'middleware'), false);
+    assert.equal(canAdvance(failed, 'minted', 'relayer'), false);
+    assert.equal(canAdvance(failed, 'pending_canton', 'middleware'), true);
+    assert.equal(canAdvance(failed, 'minted', 'middleware'), true);
+
+    const withdrawal = record('withdrawal', 'failed', ['initiated', 'failed']);
+    assert.equal(canAdvance(withdrawal, 'released', 'chain'), true);
+    assert.equal(canAdvance(withdrawal, 'initiated', 'chain'), false);
+});
+
+test('a late relayer failure does not overwrite a minted deposit', async () => {
+    const tracker = new TransferTracker({ client: fakeClient(), store: new MemoryStore('transfers') });
+    const deposit = await tracker.trackDeposit({ hash: HASH, token: BRIDGE, amount: 1n, recipient: HASH });
+    await tracker.advance(deposit, 'minted', {}, undefined, 'middleware');
+
+    await tracker.advance(deposit, 'failed', { error: 'Relayer reported failure' }, 'late', 'relayer');
+
+    assert.equal(deposit.stage, 'minted');
+    assert.equal(deposit.error, null);
+    assert.deepEqual(deposit.history.map(entry => entry.stage), ['submitted', 'minted']);
+});
+
+// =============================================================================
+// Withdrawals on chain
+// =============================================================================
+
+test('a failed withdrawal is still polled and released from a chunked log scan', async () => {
+    const WITHDRAWAL_ID = '0x' + 'AB'.repeat(32);
+    const RELEASE = '0x' + '03'.repeat(32);
+    const scans = [];
+    const client = fakeClient({
+        readProvider: {
+            getBlockNumber: async () => 100,
+            getTransactionReceipt: async (hash) => ({ hash })
+        },
+        readBridge: { processedWithdrawals: async () => true },
+        async *scanEventHistory(options) {
+            scans.push(options);
+            yield { events: [{ name: 'WithdrawalProcessed', args: { withdrawalId: '0x' + '01'.repeat(32) }, transactionHash: HASH }] };
+            yield { events: [{ name: 'WithdrawalProcessed', args: { withdrawalId: WITHDRAWAL_ID.toLowerCase() }, transactionHash: RELEASE }] };
+        },
+        findBridgeEvent: () => ({ args: { token: BRIDGE, amount: 7n, recipient: BRIDGE } })
+    });
+    const tracker = new TransferTracker({ client, store: new MemoryStore('transfers') });
+    const withdrawal = await tracker.trackWithdrawal({ withdrawalId: WITHDRAWAL_ID, amount: '7' });
+    await tracker.advance(withdrawal, 'failed', { error: 'Canton failure' }, undefined, 'middleware');
+    assert.equal(tracker.isFinal(withdrawal), false);
+
+    await tracker.poll();
+
+    assert.deepEqual(scans, [{ events: ['WithdrawalProcessed'], fromBlock: 100 }]);
+    assert.equal(withdrawal.stage, 'released');
+    assert.equal(withdrawal.hash, RELEASE);
+    assert.equal(withdrawal.amount, '7');
+    assert.equal(tracker.isFinal(withdrawal), true);
+});
+
+// =============================================================================
+// Middleware polling
+// =============================================================================
+
+test('poll asks the middleware in an existing session and pauses every check after a failure', async () => {
+    const asked = [];
+    let fail = true;
+    const client = fakeClient({
+        readProvider: { getTransactionReceipt: async () => null },
+        getSession: async () => ({ token: 'session-1' }),
+        getDepositStatus: async (apiUrl, hash, { signIn }) => {
+            asked.push({ hash, signIn });
+            if (fail) throw new Error('Request rejected in the wallet');
+            return { status: 'minted' };
+        }
+    });
+    const tracker = new TransferTracker({ client, store: new MemoryStore('transfers'), interval: 1000, pollMiddleware: true });
+    const logs = [];
+    tracker.on('log', entry => logs.push(entry.message));
+    for (const hash of [HASH, OTHER_HASH]) {
+        await tracker.advance(await tracker.trackDeposit({ hash, token: BRIDGE, amount: 1n, recipient: HASH }), 'confirmed');
+    }
+
+    // The first failure stops the cycle from asking about the other deposit
+    await tracker.poll();
+    assert.equal(asked.length, 1);
+    assert.equal(asked[0].signIn, false);
+    assert.match(logs[0], /pausing middleware checks for 1s/);
+
+    await tracker.poll();
+    assert.equal(asked.length, 1);
+
+    fail = false;
+    tracker.middlewareBackoff.retryAt = 0;
+    await tracker.poll();
+    assert.equal(asked.length, 3);
+    assert.deepEqual(tracker.list().map(record => record.stage), ['minted', 'minted']);
+    assert.equal(tracker.middlewareBackoff, null);
+});
+
+test('a new session ends the backoff of the last one', async () => {
+    let token = 'session-1';
+    let calls = 0;
+    const client = fakeClient({
+        readProvider: { getTransactionReceipt: async () => null },
+        getSession: async () => ({ token }),
+        getDepositStatus: async () => { calls++; throw new Error('unauthorized'); }
+    });
+    const tracker = new TransferTracker({ client, store: new MemoryStore('transfers'), pollMiddleware: true });
+    await tracker.advance(await tracker.trackDeposit({ hash: HASH, token: BRIDGE, amount: 1n, recipient: HASH }), 'confirmed');
+
+    await tracker.poll();
+    await tracker.poll();
+    assert.equal(calls, 1);
+
+    token = 'session-2';
+    await tracker.poll();
+    assert.equal(calls, 2);
+    assert.equal(tracker.middlewareBackoff.failures, 1);
+});
+
+test('poll leaves the middleware alone by default, without a session or before the deposit is mined', async () => {
+    let calls = 0;
+    const getDepositStatus = async () => { calls++; return { status: 'pending' }; };
+    const readProvider = { getTransactionReceipt: async () => null };
+    const signedIn = { readProvider, getDepositStatus, getSession: async () => ({ token: 'session-1' }) };
+
+    const trackers = [
+        new TransferTracker({ client: fakeClient(signedIn), store: new MemoryStore('transfers') }),
+        new TransferTracker({
+            client: fakeClient({ ...signedIn, getSession: async () => null }),
+            store: new MemoryStore('transfers'),
+            pollMiddleware: true
+        }),
+        new TransferTracker({ client: fakeClient({ ...signedIn, signer: null }), store: new MemoryStore('transfers'), pollMiddleware: true })
+    ];
+    for (const tracker of trackers) {
+        await tracker.advance(await tracker.trackDeposit({ hash: HASH, token: BRIDGE, amount: 1n, recipient: HASH }), 'confirmed');
+        await tracker.poll();
+    }
+
+    const unmined = new TransferTracker({ client: fakeClient(signedIn), store: new MemoryStore('transfers'), pollMiddleware: true });
+    await unmined.trackDeposit({ hash: HASH, token: BRIDGE, amount: 1n, recipient: HASH });
+    await unmined.poll();
+
+    assert.equal(calls, 0);
+});
@@ -0,0 +1,497 @@
+/**
+ * Transaction manager: keeps every transaction the client submits, so stuck
+ * ones can be sped up or cancelled, and persists them in localStorage so they
+ * survive a reload.
+ *
+ * A speed-up resends the same call with the same nonce and higher fees; a
+ * cancel sends a zero-value transfer to the sender with that nonce. Whichever
+ * transaction of a nonce is mined first wins and the others are marked
+ * replaced, with the reason ethers would give: `repriced` (same call),
+ * `cancelled` (zero-value self-transfer) or `replaced` (anything else).
+ *
+ * Open records are re-checked every `interval` ms. A receipt marks them
+ * mined, then confirmed once it has `confirmations` blocks (failed on
+ * revert). A nonce that was used without any of our transactions being mined
+ * means something sent elsewhere, e.g. the wallet's own speed-up, replaced
+ * them.
+ *
+ * Events:
+ *   update    ManagedTx                                     record added or changed
+ *   removed   { hash }
+ *   log       { level, message, details }
+ */
+
+import { Emitter } from './emitter.js';
+
+/** localStorage key holding the records of every network. */
+export const TX_STORAGE_KEY = 'cantonBridge.transactions';
+
+/** Fee increase of a speed-up or cancel over the replaced transaction. Nodes require at least 10%. */
+export const REPLACEMENT_FEE_BUMP_PERCENT = 15n;
+
+// Settled records kept once the list grows past this
+const MAX_RECORDS = 100;
+
+// Statuses that are still re-checked
+const OPEN_STATUSES = ['pending', 'mined'];
+
+/**
+ * @typedef {Object} ManagedTx
+ * @property {string} hash
+ * @property {number} chainId
+ * @property {string} from
+ * @property {string} to
+ * @property {number} nonce
+ * @property {string} data
+ * @property {string} value           Wei, decimal string
+ * @property {string|null} gasLimit
+ * @property {string|null} maxFeePerGas          EIP-1559 fees (wei), null for legacy transactions
+ * @property {string|null} maxPriorityFeePerGas
+ * @property {string|null} gasPrice              Legacy gas price (wei)
+ * @property {string} action          sendTx action, "speedUp" or "cancel"
+ * @property {string} label           What the transaction does, for display
+ * @property {string} status          pending | mined | confirmed | failed | replaced
+ * @property {number} confirmations
+ * @property {number|null} blockNumber
+ * @property {string|null} replaces   Hash this transaction was sent to replace
+ * @property {string|null} replacedBy Winning transaction of the nonce, when known
+ * @property {string|null} reason     Why it was replaced: repriced | cancelled | replaced
+ * @property {number} submittedAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * The fields of a TransactionResponse a replacement needs, as JSON.
+ */
+export function toTxSnapshot(tx) {
+    const wei = (value) => (value === null || value === undefined ? null : value.toString());
+    return {
+        hash: tx.hash,
+        chainId: Number(tx.chainId),
+        from: tx.from,
+        to: tx.to,
+        nonce: tx.nonce,
+        data: tx.data,
+        value: wei(tx.value) ?? '0',
+        gasLimit: wei(tx.gasLimit),
+        maxFeePerGas: wei(tx.maxFeePerGas),
+        maxPriorityFeePerGas: wei(tx.maxPriorityFeePerGas),
+        gasPrice: tx.maxFeePerGas ? null : wei(tx.gasPrice)
+    };
+}
+
+// In-memory stand-in for localStorage (Node)
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+}
+
+export class TxManager extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client            BridgeClient
+     * @param {Storage} [options.storage]        Defaults to localStorage, in memory without one
+     * @param {number} [options.confirmations]   Defaults to client.confirmations
+     * @param {number} [options.interval]        Poll interval in ms
+     */
+    constructor({ client, storage = null, confirmations, interval = 12000 }) {
+        super();
+        this.client = client;
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage());
+        this.confirmations = confirmations ?? client.confirmations;
+        this.interval = interval;
+        this.txs = new Map();
+        this.timer = null;
+        this.polling = false;
+
+        this._onTx = ({ action, stage, message, hash, tx, replaced, reason }) => {
+            if (stage === 'submitted' && tx) {
+                this.track(tx, { action, label: message });
+            } else if (stage === 'replaced') {
+                this.markReplaced(replaced, hash, reason, tx);
+            } else if (stage === 'confirmed' && this.txs.has(hash)) {
+                this.refresh(hash).catch(e => this.logError('Failed to refresh transaction', e));
+            }
+        };
+    }
+
+    /**
+     * Load stored transactions of this client's chain.
+     * @returns {ManagedTx[]}
+     */
+    load() {
+        const chainId = Number(this.client.config.chainId);
+        this.txs.clear();
+        for (const record of this.readAll()) {
+            if (record.chainId === chainId) this.txs.set(record.hash, record);
+        }
+        return this.list();
+    }
+
+    /**
+     * Start recording transactions sent through the client.
+     */
+    attach() {
+        this.client.on('tx', this._onTx);
+    }
+
+    detach() {
+        this.client.off('tx', this._onTx);
+    }
+
+    /**
+     * Managed transactions, newest first.
+     * @returns {ManagedTx[]}
+     */
+    list() {
+        return [...this.txs.values()].sort((a, b) => b.submittedAt - a.submittedAt);
+    }
+
+    /**
+     * Transactions not yet confirmed, failed or replaced.
+     * @returns {ManagedTx[]}
+     */
+    pending() {
+        return this.list().filter(record => OPEN_STATUSES.includes(record.status));
+    }
+
+    /**
+     * Record a submitted transaction.
+     * @param {Object} tx  TransactionResponse or a toTxSnapshot() of one
+     * @param {Object} [options]
+     * @param {string} [options.action]
+     * @param {string} [options.label]
+     * @param {string|null} [options.replaces]
+     * @returns {ManagedTx}
+     */
+    track(tx, { action = 'tx', label = '', replaces = null } = {}) {
+        const snapshot = toTxSnapshot(tx);
+        const existing = this.txs.get(snapshot.hash);
+        if (existing) return existing;
+
+        const now = Date.now();
+        const record = {
+            ...snapshot,
+            action,
+            label,
+            status: 'pending',
+            confirmations: 0,
+            blockNumber: null,
+            replaces,
+            replacedBy: null,
+            reason: null,
+            submittedAt: now,
+            updatedAt: now
+        };
+        this.save(record);
+        return record;
+    }
+
+    remove(hash) {
+        this.txs.delete(hash);
+        this.persist();
+        this.emit('removed', { hash });
+    }
+
+    /**
+     * Forget every settled transaction of this chain.
+     */
+    clearSettled() {
+        for (const record of this.list()) {
+            if (!OPEN_STATUSES.includes(record.status)) this.remove(record.hash);
+        }
+    }
+
+    // =========================================================================
+    // Speed Up / Cancel
+    // =========================================================================
+
+    /**
+     * Resend a pending transaction with the same nonce and higher fees.
+     * @returns {Promise<ManagedTx>}  The replacement
+     */
+    speedUp(hash) {
+        const original = this.getRecord(hash);
+        return this.replace(original, 'speedUp', {
+            to: original.to,
+            data: original.data,
+            value: BigInt(original.value),
+            gasLimit: original.gasLimit !== null ? BigInt(original.gasLimit) : undefined
+        }, `Speed up: ${original.label || original.action}`);
+    }
+
+    /**
+     * Replace a pending transaction with a zero-value transfer to the sender.
+     * @returns {Promise<ManagedTx>}  The replacement
+     */
+    cancel(hash) {
+        const original = this.getRecord(hash);
+        return this.replace(original, 'cancel', {
+            to: original.from,
+            data: '0x',
+            value: 0n,
+            gasLimit: 21000n
+        }, `Cancel: ${original.label || original.action}`);
+    }
+
+    async replace(original, action, request, label) {
+        if (original.status !== 'pending') {
+            throw new Error(`Transaction ${original.hash.slice(0, 10)}... is ${original.status}, not pending`);
+        }
+        const signer = this.client.requireSigner();
+        const from = await signer.getAddress();
+        if (from.toLowerCase() !== original.from.toLowerCase()) {
+            throw new Error(`Switch the wallet to ${original.from} to replace this transaction`);
+        }
+
+        // The nonce may have been used since the last poll
+        const nextNonce = await this.client.readProvider.getTransactionCount(original.from, 'latest');
+        if (nextNonce > original.nonce) {
+            await this.refresh(original.hash);
+            throw new Error(`Nonce ${original.nonce} has already been mined`);
+        }
+
+        const fees = await this.replacementFees(original);
+        this.client.emit('api', {
+            method: 'SEND',
+            endpoint: action === 'cancel' ? 'Cancel transaction' : 'Speed up transaction',
+            params: { nonce: original.nonce, replaces: original.hash.slice(0, 10) }
+        });
+        let tx;
+        try {
+            tx = await signer.sendTransaction({ ...request, nonce: original.nonce, chainId: original.chainId, ...fees });
+        } catch (e) {
+            throw await this.client.translateError(e);
+        }
+
+        if (tx.nonce !== original.nonce) {
+            // Some wallets ignore the nonce a site asks for and send a new transaction instead
+            this.emit('log', {
+                level: 'warn',
+                message: `The wallet sent nonce ${tx.nonce} instead of ${original.nonce}; use the wallet's own speed up or cancel`,
+                details: tx.hash
+            });
+            return this.track(tx, { action, label });
+        }
+        this.emit('log', {
+            level: 'info',
+            message: `${action === 'cancel' ? 'Cancellation' : 'Speed-up'} sent for nonce ${original.nonce}`,
+            details: tx.hash
+        });
+        return this.track(tx, { action, label, replaces: original.hash });
+    }
+
+    /**
+     * Fees for a replacement: the original's raised by
+     * REPLACEMENT_FEE_BUMP_PERCENT, or the current network fees if higher.
+     */
+    async replacementFees(original) {
+        const feeData = await this.client.readProvider.getFeeData();
+        const bump = (wei) => BigInt(wei) * (100n + REPLACEMENT_FEE_BUMP_PERCENT) / 100n;
+        const max = (a, b) => (b !== null && b !== undefined && b > a ? b : a);
+
+        if (original.maxFeePerGas !== null) {
+            const maxPriorityFeePerGas = max(bump(original.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas);
+            const maxFeePerGas = max(max(bump(original.maxFeePerGas), feeData.maxFeePerGas), maxPriorityFeePerGas);
+            return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+        }
+        return { type: 0, gasPrice: max(bump(original.gasPrice ?? 0n), feeData.gasPrice) };
+    }
+
+    // =========================================================================
+    // Polling
+    // =========================================================================
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.interval);
+        this.poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Re-check every open transaction.
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            for (const record of this.pending()) {
+                // An earlier refresh this round may have settled it as replaced
+                if (!OPEN_STATUSES.includes(record.status)) continue;
+                try {
+                    await this.refresh(record.hash);
+                } catch (e) {
+                    this.logError(`Failed to check transaction ${record.hash.slice(0, 10)}...`, e);
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Update one transaction from its receipt, or from its sender's nonce
+     * when it has none.
+     * @returns {Promise<ManagedTx>}
+     */
+    async refresh(hash) {
+        const record = this.getRecord(hash);
+        const provider = this.client.readProvider;
+
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+            const confirmations = await receipt.confirmations();
+            const status = receipt.status === 0 ? 'failed'
+                : confirmations >= this.confirmations ? 'confirmed'
+                    : 'mined';
+            this.update(record, { status, confirmations, blockNumber: receipt.blockNumber });
+            this.settleNonce(record);
+            return record;
+        }
+
+        if (record.status !== 'pending') return record;
+        const nextNonce = await provider.getTransactionCount(record.from, 'latest');
+        if (nextNonce <= record.nonce) return record;
+
+        // Nonce used: by one of ours, whose refresh settles this one, or by a transaction sent elsewhere
+        for (const peer of this.noncePeers(record)) {
+            if (await provider.getTransactionReceipt(peer.hash)) {
+                await this.refresh(peer.hash);
+                return record;
+            }
+        }
+        this.update(record, { status: 'replaced', replacedBy: null, reason: 'replaced' });
+        return record;
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    /**
+     * A replacement reported by the client's wait (e.g. a speed-up from the
+     * wallet itself): record the winner and mark the original replaced.
+     */
+    markReplaced(hash, replacementHash, reason, replacement = null) {
+        if (replacement && !this.txs.has(replacementHash)) {
+            this.track(replacement, {
+                action: reason === 'cancelled' ? 'cancel' : 'speedUp',
+                label: `Replacement of ${hash.slice(0, 10)}...`,
+                replaces: hash
+            });
+        }
+        const record = this.txs.get(hash);
+        if (record) this.update(record, { status: 'replaced', replacedBy: replacementHash, reason });
+        if (this.txs.has(replacementHash)) {
+            this.refresh(replacementHash).catch(e => this.logError('Failed to refresh transaction', e));
+        }
+    }
+
+    /**
+     * Once one transaction of a nonce is mined, the others of that nonce
+     * can no longer be.
+     */
+    settleNonce(winner) {
+        for (const peer of this.noncePeers(winner)) {
+            if (peer.status !== 'pending') continue;
+            this.update(peer, { status: 'replaced', replacedBy: winner.hash, reason: replacementReason(peer, winner) });
+        }
+    }
+
+    noncePeers(record) {
+        const from = record.from.toLowerCase();
+        return this.list().filter(other => other.hash !== record.hash
+            && other.nonce === record.nonce
+            && other.from.toLowerCase() === from);
+    }
+
+    getRecord(hash) {
+        const record = this.txs.get(hash);
+        if (!record) throw new Error(`Unknown transaction ${hash}`);
+        return record;
+    }
+
+    update(record, fields) {
+        const changed = Object.entries(fields).some(([key, value]) => record[key] !== value);
+        if (!changed) return;
+        Object.assign(record, fields);
+        this.save(record);
+    }
+
+    save(record) {
+        record.updatedAt = Date.now();
+        this.txs.set(record.hash, record);
+        this.persist();
+        this.emit('update', record);
+    }
+
+    readAll() {
+        try {
+            return JSON.parse(this.storage.getItem(TX_STORAGE_KEY)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Write this chain's records back next to the other chains'. Past
+     * MAX_RECORDS, the oldest settled records are dropped, from storage and
+     * from memory alike.
+     */
+    persist() {
+        const chainId = Number(this.client.config.chainId);
+        let records = [
+            ...this.readAll().filter(record => record.chainId !== chainId),
+            ...this.txs.values()
+        ].sort((a, b) => b.submittedAt - a.submittedAt);
+
+        if (records.length > MAX_RECORDS) {
+            const open = records.filter(record => OPEN_STATUSES.includes(record.status));
+            const settled = records.filter(record => !OPEN_STATUSES.includes(record.status));
+            records = [...open, ...settled.slice(0, Math.max(0, MAX_RECORDS - open.length))];
+
+            const kept = new Set(records.map(record => record.hash));
+            for (const hash of [...this.txs.keys()]) {
+                if (kept.has(hash)) continue;
+                this.txs.delete(hash);
+                this.emit('removed', { hash });
+            }
+        }
+        try {
+            this.storage.setItem(TX_STORAGE_KEY, JSON.stringify(records));
+        } catch (e) {
+            this.logError('Failed to save transactions', e);
+        }
+    }
+
+    logError(message, error) {
+        this.emit('log', { level: 'error', message, details: error?.message || error });
+    }
+}
+
+/**
+ * How `winner` replaced `record`, classified like ethers' TRANSACTION_REPLACED.
+ */
+function replacementReason(record, winner) {
+    if (winner.to?.toLowerCase() === record.to?.toLowerCase() && winner.data === record.data && winner.value === record.value) {
+        return 'repriced';
+    }
+    if (winner.data === '0x' && winner.value === '0' && winner.to?.toLowerCase() === winner.from.toLowerCase()) {
+        return 'cancelled';
+    }
+    return 'replaced';
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TxManager, TX_STORAGE_KEY } from './tx-manager.js';
+
+function fakeStorage(records = []) {
+    const items = new Map([[TX_STORAGE_KEY, JSON.stringify(records)]]);
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const client = { config: { chainId: 1 }, confirmations: 1, on() {}, off() {} };
+
+const record = (n, status, chainId = 1) => ({
+    hash: '0x' + n.toString(16).padStart(64, '0'),
+    chainId,
+    nonce: n,
+    status,
+    submittedAt: n,
+    updatedAt: n
+});
+
+test('records dropped past the limit leave memory and storage together', () => {
+    const stored = [
+        ...Array.from({ length: 99 }, (_, i) => record(i + 1, 'confirmed')),
+        record(200, 'pending'),
+        record(300, 'confirmed', 5)
+    ];
+    const storage = fakeStorage(stored);
+    const manager = new TxManager({ client, storage });
+    manager.load();
+    const removed = [];
+    manager.on('removed', ({ hash }) => removed.push(hash));
+
+    manager.save(record(201, 'confirmed'));
+
+    const persisted = JSON.parse(storage.getItem(TX_STORAGE_KEY));
+    assert.equal(persisted.length, 100);
+    assert.deepEqual(
+        [...manager.txs.keys()].sort(),
+        persisted.filter(r => r.chainId === 1).map(r => r.hash).sort()
+    );
+    // The two oldest settled records go; the open one stays however old
+    assert.deepEqual(removed.sort(), [record(1, 'confirmed').hash, record(2, 'confirmed').hash]);
+    assert.equal(manager.txs.has(record(200, 'pending').hash), true);
+});
@@ -0,0 +1,105 @@
+/**
+ * WalletConnect v2 connector, for wallets that cannot inject a provider into
+ * the page: mobile wallets, and hardware wallets signing through a companion
+ * app.
+ *
+ * The WalletConnect EthereumProvider is an EIP-1193 provider, so once a
+ * session exists it is used like an injected wallet: it emits
+ * accountsChanged, chainChanged and disconnect (also when the wallet ends
+ * the session). The package is loaded from an ES module CDN on first use,
+ * since the web UI has no bundler. Sessions are kept by the provider in
+ * localStorage; init() restores the last one without a new pairing.
+ *
+ * Events:
+ *   uri       { uri }                                       pairing URI to show as a QR code
+ */
+
+import { Emitter } from './emitter.js';
+
+/** Picker entry ID of the WalletConnect connector. */
+export const WALLETCONNECT_ID = 'walletconnect';
+
+/** ES module builds loaded in the browser. */
+export const WALLETCONNECT_MODULE_URL = 'https://esm.sh/@walletconnect/ethereum-provider@2.17.0';
+export const QRCODE_MODULE_URL = 'https://esm.sh/qrcode@1.5.4';
+
+/**
+ * Render a pairing URI as a PNG data URI.
+ * @returns {Promise<string>}
+ */
+export async function pairingQrCode(uri, { moduleUrl = QRCODE_MODULE_URL, width = 280 } = {}) {
+    const { default: QRCode } = await import(moduleUrl);
+    return QRCode.toDataURL(uri, { width, margin: 1 });
+}
+
+export class WalletConnectConnector extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.projectId       WalletConnect Cloud project ID
+     * @param {number} options.chainId         Chain to request
+     * @param {string} [options.rpcUrl]        RPC for reads the provider makes itself
+     * @param {Object} [options.metadata]      { name, description, url, icons } shown in the wallet
+     * @param {string} [options.moduleUrl]     Where to load @walletconnect/ethereum-provider from
+     */
+    constructor({ projectId, chainId, rpcUrl = null, metadata = null, moduleUrl = WALLETCONNECT_MODULE_URL }) {
+        super();
+        if (!projectId) throw new Error('WalletConnect needs a project ID (walletConnectProjectId in the network profile)');
+        this.projectId = projectId;
+        this.chainId = Number(chainId);
+        this.rpcUrl = rpcUrl;
+        this.metadata = metadata;
+        this.moduleUrl = moduleUrl;
+        this.provider = null;
+
+        this._onDisplayUri = (uri) => this.emit('uri', { uri });
+    }
+
+    /**
+     * Load the provider and restore a stored session, if any.
+     * @returns {Promise<Object>}  EIP-1193 provider
+     */
+    async init() {
+        if (this.provider) return this.provider;
+
+        const { EthereumProvider } = await import(this.moduleUrl);
+        const provider = await EthereumProvider.init({
+            projectId: this.projectId,
+            // Optional so wallets without this chain can still pair and be asked to add it
+            optionalChains: [this.chainId],
+            rpcMap: this.rpcUrl ? { [this.chainId]: this.rpcUrl } : undefined,
+            showQrModal: false,
+            metadata: this.metadata || undefined
+        });
+        provider.on('display_uri', this._onDisplayUri);
+        this.provider = provider;
+        return provider;
+    }
+
+    /** A session restored by init() or opened by connect(). */
+    get connected() {
+        return Boolean(this.provider?.session);
+    }
+
+    /** Name of the wallet at the other end of the session. */
+    get peerName() {
+        return this.provider?.session?.peer?.metadata?.name || null;
+    }
+
+    /**
+     * Open a session, emitting `uri` for the QR code, unless one is already
+     * active. Resolves once the wallet approves.
+     * @returns {Promise<Object>}  EIP-1193 provider
+     */
+    async connect() {
+        const provider = await this.init();
+        if (!this.connected) await provider.connect();
+        return provider;
+    }
+
+    /**
+     * End the session on both sides.
+     */
+    async disconnect() {
+        if (this.connected) await this.provider.disconnect();
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Wallet discovery: the EIP-1193 providers a page can connect to.
+ *
+ * Wallets implementing EIP-6963 answer an `eip6963:requestProvider` event
+ * with `eip6963:announceProvider`, carrying their name, icon and reverse-DNS
+ * id. discover() asks for announcements and keeps listening, so a wallet that
+ * loads late still shows up. Older wallets only set `window.ethereum` (or
+ * `window.ethereum.providers` when several are installed); those are listed
+ * as legacy entries named from their isMetaMask-style flags, unless the same
+ * provider was also announced.
+ *
+ * Entry IDs (the rdns, or "legacy:<name>") stay the same across page loads,
+ * so a chosen wallet can be remembered.
+ *
+ * Events:
+ *   update    WalletEntry[]                                 wallet list changed
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * @typedef {Object} WalletEntry
+ * @property {string} id            rdns for EIP-6963 wallets, "legacy:<name>" otherwise
+ * @property {string} name
+ * @property {string|null} icon     Data URI
+ * @property {string|null} rdns     e.g. "io.metamask"
+ * @property {boolean} legacy       Found through window.ethereum rather than EIP-6963
+ * @property {Object} provider      EIP-1193 provider
+ */
+
+// window.ethereum flags -> wallet name, most specific first: several wallets also set isMetaMask
+const LEGACY_FLAGS = [
+    ['isRabby', 'Rabby'],
+    ['isPhantom', 'Phantom'],
+    ['isCoinbaseWallet', 'Coinbase Wallet'],
+    ['isBraveWallet', 'Brave Wallet'],
+    ['isFrame', 'Frame'],
+    ['isTrust', 'Trust Wallet'],
+    ['isOkxWallet', 'OKX Wallet'],
+    ['isMetaMask', 'MetaMask']
+];
+
+/**
+ * Name of a provider found on window.ethereum, from its flags.
+ */
+export function legacyWalletName(provider) {
+    const match = LEGACY_FLAGS.find(([flag]) => provider[flag]);
+    return match ? match[1] : 'Browser Wallet';
+}
+
+export class WalletRegistry extends Emitter {
+    /**
+     * @param {Object} [options]
+     * @param {EventTarget} [options.target]  Where wallets announce themselves (default: window)
+     */
+    constructor({ target = globalThis.window ?? null } = {}) {
+        super();
+        this.target = target;
+        this.announced = new Map();  // id -> WalletEntry
+        this.listening = false;
+
+        this._onAnnounce = (event) => this.addAnnounced(event.detail);
+    }
+
+    /**
+     * Ask EIP-6963 wallets to announce themselves and give them `timeout` ms
+     * to answer. Later announcements still emit `update`.
+     * @returns {Promise<WalletEntry[]>}
+     */
+    async discover({ timeout = 200 } = {}) {
+        if (!this.target) return [];
+        if (!this.listening) {
+            this.target.addEventListener('eip6963:announceProvider', this._onAnnounce);
+            this.listening = true;
+        }
+        this.target.dispatchEvent(new Event('eip6963:requestProvider'));
+        await new Promise(resolve => setTimeout(resolve, timeout));
+        return this.list();
+    }
+
+    stop() {
+        if (!this.listening) return;
+        this.target.removeEventListener('eip6963:announceProvider', this._onAnnounce);
+        this.listening = false;
+    }
+
+    /**
+     * Announced wallets, then legacy providers that did not announce.
+     * @returns {WalletEntry[]}
+     */
+    list() {
+        const announced = [...this.announced.values()];
+        const providers = new Set(announced.map(entry => entry.provider));
+        return [...announced, ...this.legacyWallets().filter(entry => !providers.has(entry.provider))];
+    }
+
+    /**
+     * @returns {WalletEntry|null}
+     */
+    get(id) {
+        return this.list().find(entry => entry.id === id) || null;
+    }
+
+    // =========================================================================
+    // Internal Helpers
+    // =========================================================================
+
+    addAnnounced(detail) {
+        const { info, provider } = detail || {};
+        if (!info?.uuid || typeof provider?.request !== 'function') return;
+
+        const id = info.rdns || info.uuid;
+        if (this.announced.get(id)?.provider === provider) return;
+        this.announced.set(id, {
+            id,
+            name: info.name || info.rdns || 'Unnamed wallet',
+            icon: info.icon || null,
+            rdns: info.rdns || null,
+            legacy: false,
+            provider
+        });
+        this.emit('update', this.list());
+    }
+
+    /**
+     * Providers on window.ethereum, including the EIP-5749 `providers` list.
+     */
+    legacyWallets() {
+        const ethereum = this.target?.ethereum;
+        if (!ethereum) return [];
+        const providers = Array.isArray(ethereum.providers) && ethereum.providers.length
+            ? ethereum.providers
+            : [ethereum];
+
+        const seen = new Map();  // name -> count, for wallets sharing a name
+        return providers.map(provider => {
+            const name = legacyWalletName(provider);
+            const count = (seen.get(name) || 0) + 1;
+            seen.set(name, count);
+            const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            return {
+                id: `legacy:${slug}${count > 1 ? `-${count}` : ''}`,
+                name: count > 1 ? `${name} (${count})` : name,
+                icon: null,
+                rdns: null,
+                legacy: true,
+                provider
+            };
+        });
+    }
+}